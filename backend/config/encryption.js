@@ -0,0 +1,46 @@
+// Master keys for envelope encryption. Only data keys are encrypted with these;
+// document files and text are encrypted with per-owner data keys.
+//
+// ENCRYPTION_MASTER_KEY      32-byte key, hex (64 chars) or base64
+// ENCRYPTION_MASTER_KEY_ID   name stored with every wrapped data key (default "master-1")
+// ENCRYPTION_OLD_MASTER_KEYS comma separated "id:key" pairs kept for unwrapping
+//                            data keys until `npm run rotate-keys` rewraps them
+require('dotenv').config();
+
+const parseKey = (value, name) => {
+  const trimmed = (value || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`${name} must be a 32-byte key in hex or base64`);
+  }
+  return key;
+};
+
+const masterKeys = new Map();
+const activeKeyId = process.env.ENCRYPTION_MASTER_KEY_ID || 'master-1';
+
+(process.env.ENCRYPTION_OLD_MASTER_KEYS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .forEach((entry) => {
+    const separator = entry.indexOf(':');
+    if (separator < 1) {
+      throw new Error('ENCRYPTION_OLD_MASTER_KEYS entries must look like "id:key"');
+    }
+    const id = entry.slice(0, separator);
+    masterKeys.set(id, parseKey(entry.slice(separator + 1), `ENCRYPTION_OLD_MASTER_KEYS (${id})`));
+  });
+
+if (process.env.ENCRYPTION_MASTER_KEY) {
+  masterKeys.set(activeKeyId, parseKey(process.env.ENCRYPTION_MASTER_KEY, 'ENCRYPTION_MASTER_KEY'));
+}
+
+module.exports = {
+  enabled: Boolean(process.env.ENCRYPTION_MASTER_KEY),
+  activeKeyId,
+  masterKeys
+};
@@ -0,0 +1,101 @@
+// Playbooks for contract risk review (utils/riskReviewer). A playbook says which clauses
+// a contract must have and how strict each rule-based check is; a finding's severity
+// decides how many points it adds to the report's risk score.
+//
+// RISK_PLAYBOOK_DIR  directory of additional playbooks as <name>.json. A file may set
+//                    "extends" to another playbook name and override only what differs
+//                    (objects are merged, lists such as requiredClauses are replaced);
+//                    "default.json" replaces the built-in default the same way.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PLAYBOOK = {
+  name: 'default',
+  description: 'General commercial contract review under Indian law',
+  requiredClauses: [
+    { category: 'term', severity: 'medium' },
+    { category: 'payment', severity: 'medium' },
+    { category: 'termination', severity: 'high' },
+    { category: 'confidentiality', severity: 'medium' },
+    { category: 'limitation_of_liability', severity: 'high' },
+    { category: 'governing_law', severity: 'medium' },
+    { category: 'dispute_resolution', severity: 'medium' },
+    { category: 'notices', severity: 'low' },
+    { category: 'force_majeure', severity: 'low' }
+  ],
+  checks: {
+    oneSidedIndemnity: { enabled: true, severity: 'high' },
+    unlimitedLiability: { enabled: true, severity: 'critical' },
+    autoRenewal: { enabled: true, severity: 'medium', minimumOptOutDays: 30 },
+    governingLaw: {
+      enabled: true,
+      severity: 'medium',
+      allowed: ['India', 'Indian', 'Republic of India']
+    },
+    noticePeriod: { enabled: true, severity: 'medium', minimumDays: 30 }
+  },
+  // Points added to the 0-100 risk score per finding
+  scoring: { critical: 35, high: 20, medium: 10, low: 4, info: 0 },
+  ai: { enabled: true, maxFindings: 10 }
+};
+
+const merge = (base, override) => {
+  if (Array.isArray(override) || typeof override !== 'object' || override === null) return override;
+
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = base && typeof base[key] === 'object' && !Array.isArray(base[key])
+      ? merge(base[key], value)
+      : value;
+  }
+  return result;
+};
+
+const loadPlaybooks = () => {
+  const raw = new Map();
+  const directory = process.env.RISK_PLAYBOOK_DIR;
+
+  if (directory && fs.existsSync(directory)) {
+    for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.json'))) {
+      const name = path.basename(file, '.json');
+      try {
+        raw.set(name, JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+      } catch (error) {
+        throw new Error(`Invalid risk playbook ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  const playbooks = new Map();
+  const resolve = (name, seen = []) => {
+    if (playbooks.has(name)) return playbooks.get(name);
+    if (seen.includes(name)) throw new Error(`Risk playbook "${name}" extends itself`);
+
+    const definition = raw.get(name);
+    let playbook;
+    if (name === 'default') {
+      playbook = definition ? merge(DEFAULT_PLAYBOOK, definition) : DEFAULT_PLAYBOOK;
+    } else {
+      const parent = definition.extends || 'default';
+      if (parent !== 'default' && !raw.has(parent)) {
+        throw new Error(`Risk playbook "${name}" extends unknown playbook "${parent}"`);
+      }
+      const { extends: _, ...overrides } = definition;
+      playbook = merge(resolve(parent, [...seen, name]), overrides);
+    }
+
+    playbook = { ...playbook, name };
+    playbooks.set(name, playbook);
+    return playbook;
+  };
+
+  resolve('default');
+  for (const name of raw.keys()) resolve(name);
+  return playbooks;
+};
+
+module.exports = {
+  defaultName: 'default',
+  playbooks: loadPlaybooks()
+};
@@ -1,5 +1,6 @@
 const AvailableDocument = require('../models/AvailableDocument');
 const { Op } = require('sequelize');
+const fileStorage = require('../utils/storage');
 
 // Get all available documents with search and filter
 const getAvailableDocuments = async (req, res) => {
@@ -259,8 +260,8 @@ const downloadAvailableDocument = async (req, res) => {
     await document.increment('downloadCount');
 
     // If there's a file path, serve the file
-    if (document.filePath && require('fs').existsSync(document.filePath)) {
-      res.download(document.filePath, `${document.caseNumber}.pdf`);
+    if (document.filePath && await fileStorage.exists(document.filePath)) {
+      await fileStorage.send(res, document.filePath, { fileName: `${document.caseNumber}.pdf` });
     } else {
       // Return full text as downloadable content
       res.setHeader('Content-Type', 'text/plain');
@@ -0,0 +1,113 @@
+const Document = require('../models/Document');
+const Clause = require('../models/Clause');
+const { CATEGORIES } = require('../utils/clauseParser');
+const { extractClauses } = require('../utils/documentProcessor');
+
+const CLAUSE_ATTRIBUTES = ['id', 'parentId', 'position', 'depth', 'kind', 'number', 'reference',
+  'heading', 'text', 'start', 'end', 'category', 'categoryConfidence', 'textRevision'];
+
+const findDocument = (req) => Document.findOne({
+  where: { id: req.params.id, userId: req.user.id },
+  attributes: ['id', 'userId', 'status', 'textRevision']
+});
+
+// Nests a position-ordered clause list under its parents
+const buildTree = (clauses) => {
+  const byId = new Map();
+  const roots = [];
+
+  for (const clause of clauses) {
+    byId.set(clause.id, { ...clause.toJSON(), children: [] });
+  }
+  for (const node of byId.values()) {
+    const parent = node.parentId ? byId.get(node.parentId) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+};
+
+// GET /:id/clauses?format=tree|flat&category=payment,termination
+const getClauses = async (req, res) => {
+  try {
+    const doc = await findDocument(req);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const categories = req.query.category
+      ? String(req.query.category).split(',').map(category => category.trim()).filter(Boolean)
+      : null;
+    const unknown = (categories || []).filter(category => category !== 'other' && !CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown clause category: ${unknown.join(', ')}`,
+        categories: [...CATEGORIES, 'other']
+      });
+    }
+
+    const where = { documentId: doc.id };
+    if (categories) where.category = categories;
+
+    const clauses = await Clause.findAll({
+      where,
+      attributes: CLAUSE_ATTRIBUTES,
+      order: [['position', 'ASC']]
+    });
+
+    // Filtered results lose their parents, so they are always returned flat
+    const flat = req.query.format === 'flat' || Boolean(categories);
+    const textRevision = clauses.length ? clauses[0].textRevision : null;
+
+    res.json({
+      success: true,
+      documentId: doc.id,
+      count: clauses.length,
+      textRevision,
+      stale: textRevision !== null && textRevision !== doc.textRevision,
+      clauses: flat ? clauses : buildTree(clauses)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
+
+const getClause = async (req, res) => {
+  try {
+    const doc = await findDocument(req);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const clause = await Clause.findOne({
+      where: { id: req.params.clauseId, documentId: doc.id },
+      attributes: CLAUSE_ATTRIBUTES,
+      include: [{ model: Clause, as: 'children', attributes: ['id', 'reference', 'heading', 'category'] }],
+      order: [[{ model: Clause, as: 'children' }, 'position', 'ASC']]
+    });
+    if (!clause) return res.status(404).json({ error: 'Clause not found' });
+
+    res.json({ success: true, clause });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
+
+// POST /:id/clauses - parse again now, e.g. after the parser improved
+const reparseClauses = async (req, res) => {
+  try {
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (doc.originalText == null) {
+      return res.status(409).json({ error: 'Document has no extracted text yet', status: doc.status });
+    }
+
+    const count = await extractClauses(doc);
+    res.json({ success: true, documentId: doc.id, count, textRevision: doc.textRevision });
+  } catch (error) {
+    res.status(500).json({ error: 'Clause extraction failed: ' + error.message });
+  }
+};
+
+module.exports = {
+  getClauses,
+  getClause,
+  reparseClauses
+};
@@ -1,8 +1,16 @@
 const Document = require('../models/Document');
+const DocumentSummary = require('../models/DocumentSummary');
+const DocumentTranslation = require('../models/DocumentTranslation');
 const OCR = require('../utils/ocrHelper');
 const AIHelper = require('../utils/aiHelper');
 const Translator = require('../utils/translator');
-const { simplifyLegalText } = require('../utils/simplifyLegalText');
+const SimplificationService = require('../utils/simplificationService');
+const { loadGlossary } = require('../utils/glossary');
+const DocumentSummarizer = require('../utils/documentSummarizer');
+const SummaryExport = require('../utils/summaryExport');
+const rateLimiter = require('../utils/rateLimiter');
+const FileFormats = require('../utils/fileFormats');
+const fileStorage = require('../utils/storage');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -10,7 +18,7 @@ const fs = require('fs').promises;
 // File upload configuration
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadPath = 'uploads/documents';
+    const uploadPath = 'uploads/temp';
     await fs.mkdir(uploadPath, { recursive: true });
     cb(null, uploadPath);
   },
@@ -23,15 +31,7 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: (req, file, cb) => {
-    const allowed = ['.pdf', '.doc', '.docx', '.txt', '.png', '.jpg', '.jpeg'];
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (allowed.includes(ext)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only PDF, DOC, DOCX, TXT, and image files allowed.'));
-    }
-  }
+  fileFilter: FileFormats.fileFilter
 }).single('document');
 
 // Upload document
@@ -46,15 +46,16 @@ const uploadDocument = async (req, res) => {
 
     // Extract text using OCR
     const fileExt = path.extname(file.originalname).substring(1);
-    const ocrResult = await OCR.extractText(file.path, fileExt);
+    const ocrResult = await OCR.extractText(file.path, FileFormats.detectFormat(file.originalname, file.mimetype));
+    const storageKey = await fileStorage.storeUpload('documents', file, { ownerUserId: req.user.id });
 
     // Create document record
     const document = await Document.create({
       userId: req.user.id,
       title: title || file.originalname,
       originalFileName: file.originalname,
-      fileName: file.filename,
-      filePath: file.path,
+      fileName: path.basename(storageKey),
+      filePath: storageKey,
       fileType: fileExt,
       fileSize: file.size,
       mimeType: file.mimetype,
@@ -133,7 +134,7 @@ const getDocument = async (req, res) => {
 // Simplify document language
 const simplifyDocument = async (req, res) => {
   try {
-    const { complexityLevel = 'simple' } = req.body;
+    const { complexityLevel = 'simple', method = 'ai' } = req.body;
     
     const document = await Document.findOne({
       where: { id: req.params.id, userId: req.user.id }
@@ -147,27 +148,55 @@ const simplifyDocument = async (req, res) => {
       return res.status(400).json({ success: false, message: 'No text available to simplify' });
     }
 
-    // Simplify using AI helper
-    const simplified = await AIHelper.simplifyLegalText(document.originalText, complexityLevel);
-
-    // Update document with simplified text
-    await document.update({ simplifiedText: simplified });
+    // Same service as POST /api/documents/:id/simplify; "intermediate" is its "moderate"
+    const result = await SimplificationService.simplifyDocument(document, {
+      method,
+      complexity: complexityLevel === 'intermediate' ? 'moderate' : complexityLevel,
+      glossary: await loadGlossary(req.user),
+      requestedBy: req.user.id
+    });
 
     res.json({
       success: true,
       message: 'Document simplified successfully',
-      simplifiedText: simplified,
-      readabilityImprovement: 'Text has been simplified for better understanding'
+      simplifiedText: result.simplifiedText,
+      method: result.method,
+      readabilityScore: result.simplification.readabilityScore,
+      wordCountReduction: result.simplification.wordCountReduction,
+      fallbacks: result.fallbacks
     });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 };
 
-// Summarize document
+const SUMMARY_FORMATS = ['md', 'docx', 'pdf'];
+
+const summaryResponse = (document, stored, cached) => ({
+  success: true,
+  summary: stored.summary,
+  summaryType: stored.summaryType,
+  label: DocumentSummarizer.SUMMARY_TYPES[stored.summaryType]?.label || stored.summaryType,
+  originalLength: document.originalText?.length || 0,
+  model: stored.model,
+  promptVersion: stored.promptVersion,
+  textRevision: stored.textRevision,
+  cached,
+  generatedAt: stored.updatedAt
+});
+
+// Summarize document as one of DocumentSummarizer.SUMMARY_TYPES. Summaries are stored per
+// type and served again until the text, model or prompt changes; `force: true` regenerates.
 const summarizeDocument = async (req, res) => {
   try {
-    const { summaryType = 'brief' } = req.body;
+    const { summaryType = 'brief', force = false } = req.body;
+
+    if (!DocumentSummarizer.SUMMARY_TYPES[summaryType]) {
+      return res.status(400).json({
+        success: false,
+        message: `summaryType must be one of: ${DocumentSummarizer.SUMMARY_TYPE_NAMES.join(', ')}`
+      });
+    }
     
     const document = await Document.findOne({
       where: { id: req.params.id, userId: req.user.id }
@@ -177,23 +206,141 @@ const summarizeDocument = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Document not found' });
     }
 
-    const summary = await AIHelper.summarizeDocument(document.originalText, summaryType);
+    if (!document.originalText) {
+      return res.status(400).json({ success: false, message: 'No text available to summarize' });
+    }
+
+    const stored = await DocumentSummary.findOne({ where: { documentId: document.id, summaryType } });
+    if (stored && !force && DocumentSummarizer.isCurrent(stored, document)) {
+      return res.json(summaryResponse(document, stored, true));
+    }
+
+    if (!rateLimiter.canMakeRequest(req.user.id)) {
+      return res.status(429).json({ success: false, message: 'Rate limit exceeded, try again in a minute', retryAfter: 60 });
+    }
+    rateLimiter.recordRequest(req.user.id);
+
+    const { summary, model, promptVersion } = await DocumentSummarizer.summarize(document.originalText, summaryType);
+    const fields = { textRevision: document.textRevision, summary, model, promptVersion, requestedBy: req.user.id };
+    const saved = stored
+      ? await stored.update(fields, { ownerUserId: document.userId })
+      : await DocumentSummary.create({ documentId: document.id, summaryType, ...fields }, { ownerUserId: document.userId });
+
+    res.json(summaryResponse(document, saved, false));
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Stored summaries of a document, with whether each is still current, and the
+// summary types that can be requested
+const getSummaries = async (req, res) => {
+  try {
+    const document = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'textRevision']
+    });
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    const summaries = await DocumentSummary.findAll({
+      where: { documentId: document.id },
+      order: [['updatedAt', 'DESC']]
+    });
 
     res.json({
       success: true,
-      summary,
-      summaryType,
-      originalLength: document.originalText?.length || 0
+      types: DocumentSummarizer.SUMMARY_TYPE_NAMES.map(type => ({
+        type,
+        label: DocumentSummarizer.SUMMARY_TYPES[type].label
+      })),
+      summaries: summaries.map(summary => ({
+        id: summary.id,
+        summaryType: summary.summaryType,
+        label: DocumentSummarizer.SUMMARY_TYPES[summary.summaryType]?.label || summary.summaryType,
+        summary: summary.summary,
+        model: summary.model,
+        promptVersion: summary.promptVersion,
+        textRevision: summary.textRevision,
+        stale: !DocumentSummarizer.isCurrent(summary, document),
+        generatedAt: summary.updatedAt
+      }))
     });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 };
 
-// Translate document
+// GET /:id/summaries/:summaryType/download?format=md|docx|pdf - the stored summary as a file
+const downloadSummary = async (req, res) => {
+  try {
+    const { summaryType } = req.params;
+    const format = (req.query.format || 'md').toLowerCase();
+
+    if (!SUMMARY_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `format must be one of: ${SUMMARY_FORMATS.join(', ')}` });
+    }
+
+    const document = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'title']
+    });
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    const stored = await DocumentSummary.findOne({ where: { documentId: document.id, summaryType } });
+    if (!stored) {
+      return res.status(404).json({ success: false, message: `No ${summaryType} summary yet; create one with POST /summarize` });
+    }
+
+    const label = DocumentSummarizer.SUMMARY_TYPES[summaryType]?.label || 'Summary';
+    const generated = new Date(stored.updatedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    const meta = { title: `${label}: ${document.title}`, subtitle: `Generated ${generated}` };
+    const fileBase = `${document.title.replace(/[^\w.-]+/g, '_')}_${summaryType}`;
+
+    res.attachment(`${fileBase}.${format}`);
+    if (format === 'docx') return res.type('docx').send(await SummaryExport.toDOCX(stored.summary, meta));
+    if (format === 'pdf') return res.type('pdf').send(await SummaryExport.toPDF(stored.summary, meta));
+    res.type('text/markdown; charset=utf-8').send(SummaryExport.toMarkdown(stored.summary, meta));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+const translationProvider = methods => (methods.includes('google_translate')
+  ? 'google'
+  : (methods.includes('mymemory') ? 'mymemory' : 'custom'));
+
+const translationResponse = (stored, cached) => ({
+  success: true,
+  translationId: stored.id,
+  translation: stored.translatedText,
+  sourceLanguage: stored.originalLanguage,
+  targetLanguage: stored.targetLanguage,
+  preservedStructure: true,
+  glossaryTerms: stored.glossaryTerms || [],
+  provider: stored.provider,
+  confidence: stored.confidence,
+  textRevision: stored.textRevision,
+  cached
+});
+
+// Translate document. The result is stored per language pair and served again while
+// the text and the glossary terms it contains are unchanged; `force: true` redoes it.
 const translateDocument = async (req, res) => {
   try {
-    const { targetLanguage, sourceLanguage = 'auto' } = req.body;
+    const { targetLanguage, sourceLanguage = 'auto', force = false } = req.body;
+
+    if (!targetLanguage || !Translator.isLanguageSupported(targetLanguage)) {
+      return res.status(400).json({ success: false, message: `Unsupported target language: ${targetLanguage}` });
+    }
+    if (sourceLanguage !== 'auto' && !Translator.isLanguageSupported(sourceLanguage)) {
+      return res.status(400).json({ success: false, message: `Unsupported source language: ${sourceLanguage}` });
+    }
     
     const document = await Document.findOne({
       where: { id: req.params.id, userId: req.user.id }
@@ -203,45 +350,83 @@ const translateDocument = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Document not found' });
     }
 
+    if (!document.originalText) {
+      return res.status(400).json({ success: false, message: 'No text available to translate' });
+    }
+
+    const glossary = (await loadGlossary(req.user)).within(document.originalText);
+    const glossaryVersion = glossary.size > 0 ? glossary.version : null;
+    const stored = await DocumentTranslation.findOne({
+      where: { documentId: document.id, originalLanguage: sourceLanguage, targetLanguage }
+    });
+    if (stored && !force && stored.status === 'completed'
+      && stored.textRevision === document.textRevision && stored.glossaryVersion === glossaryVersion) {
+      return res.json(translationResponse(stored, true));
+    }
+
+    if (!rateLimiter.canMakeRequest(req.user.id)) {
+      return res.status(429).json({ success: false, message: 'Rate limit exceeded, try again in a minute', retryAfter: 60 });
+    }
+    rateLimiter.recordRequest(req.user.id);
+
     const translation = await Translator.translateLegalDocument(
       document.originalText, 
       targetLanguage, 
-      sourceLanguage
+      sourceLanguage,
+      { glossary }
     );
 
-    res.json({
-      success: true,
-      translation: translation.translatedText,
-      sourceLanguage: translation.sourceLanguage,
-      targetLanguage: translation.targetLanguage,
-      preservedStructure: translation.preservedStructure
-    });
+    const fields = {
+      requestedBy: req.user.id,
+      textRevision: document.textRevision,
+      glossaryVersion,
+      originalText: document.originalText,
+      translatedText: translation.translatedText,
+      glossaryTerms: translation.glossaryTerms,
+      confidence: translation.confidence,
+      provider: translationProvider(translation.methods),
+      status: 'completed'
+    };
+    const saved = stored
+      ? await stored.update(fields, { ownerUserId: document.userId })
+      : await DocumentTranslation.create({
+        documentId: document.id,
+        originalLanguage: sourceLanguage,
+        targetLanguage,
+        ...fields
+      }, { ownerUserId: document.userId });
+
+    res.json(translationResponse(saved, false));
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 };
 
-// Ask question about document
-const askDocumentQuestion = async (req, res) => {
+// Stored translations of a document, without their text
+const getTranslations = async (req, res) => {
   try {
-    const { question } = req.body;
-    
     const document = await Document.findOne({
-      where: { id: req.params.id, userId: req.user.id }
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'textRevision']
     });
 
     if (!document) {
       return res.status(404).json({ success: false, message: 'Document not found' });
     }
 
-    const answer = await AIHelper.answerDocumentQuestion(document.originalText, question);
+    const translations = await DocumentTranslation.findAll({
+      where: { documentId: document.id },
+      attributes: ['id', 'originalLanguage', 'targetLanguage', 'textRevision', 'glossaryTerms',
+        'confidence', 'provider', 'status', 'updatedAt'],
+      order: [['updatedAt', 'DESC']]
+    });
 
     res.json({
       success: true,
-      question,
-      answer: answer.response,
-      confidence: answer.confidence,
-      sources: answer.sources
+      translations: translations.map(translation => ({
+        ...translation.get({ plain: true }),
+        stale: translation.textRevision !== document.textRevision
+      }))
     });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -305,8 +490,13 @@ const downloadDocument = async (req, res) => {
     // Update download count
     await document.increment('downloadCount');
 
-    res.download(document.filePath, document.originalFileName);
+    await fileStorage.send(res, document.filePath, {
+      fileName: document.originalFileName,
+      contentType: document.mimeType,
+      redirect: req.query.redirect !== 'false'
+    });
   } catch (error) {
+    if (res.headersSent) return;
     res.status(500).json({ success: false, message: error.message });
   }
 };
@@ -322,9 +512,9 @@ const deleteDocument = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Document not found' });
     }
 
-    // Delete file from filesystem
+    // Delete file from storage
     try {
-      await fs.unlink(document.filePath);
+      await fileStorage.delete(document.filePath);
     } catch (fileError) {
       console.warn('Could not delete file:', fileError.message);
     }
@@ -383,8 +573,10 @@ module.exports = {
   getDocument,
   simplifyDocument,
   summarizeDocument,
+  getSummaries,
+  downloadSummary,
   translateDocument,
-  askDocumentQuestion,
+  getTranslations,
   searchDocuments,
   downloadDocument,
   deleteDocument,
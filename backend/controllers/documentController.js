@@ -2,86 +2,313 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
 const Document = require('../models/Document');
+const DocumentRevision = require('../models/DocumentRevision');
 const OCR = require('../utils/ocrHelper');
-const OpenAI = require('openai');
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-// Rate limiting and quota management
-const rateLimiter = {
-  requests: new Map(),
-  maxRequestsPerMinute: 3, // Adjust based on your OpenAI plan
-  
-  canMakeRequest: (userId) => {
-    const now = Date.now();
-    const userRequests = rateLimiter.requests.get(userId) || [];
-    
-    // Remove requests older than 1 minute
-    const recentRequests = userRequests.filter(time => now - time < 60000);
-    rateLimiter.requests.set(userId, recentRequests);
-    
-    return recentRequests.length < rateLimiter.maxRequestsPerMinute;
-  },
-  
-  recordRequest: (userId) => {
-    const userRequests = rateLimiter.requests.get(userId) || [];
-    userRequests.push(Date.now());
-    rateLimiter.requests.set(userId, userRequests);
-  }
-};
-
-// File upload config
+const ImagePreprocessor = require('../utils/imagePreprocessor');
+const FileFormats = require('../utils/fileFormats');
+const { hashFile } = require('../utils/contentHash');
+const storage = require('../utils/storage');
+const Encryption = require('../utils/encryption');
+const { compareTexts } = require('../utils/documentDiff');
+const RedlineExport = require('../utils/redlineExport');
+const jobQueue = require('../utils/jobQueue');
+const {
+  PROCESS_DOCUMENT, EXTRACT_CLAUSES, EXTRACT_ENTITIES, INDEX_DOCUMENT
+} = require('../utils/documentProcessor');
+
+// File upload config: multer writes a temp file that is then moved into storage
 const upload = multer({
-  dest: 'uploads/documents/',
+  dest: 'uploads/temp/',
   limits: { fileSize: 10 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const allowed = ['application/pdf', 'image/jpeg', 'image/png', 'text/plain'];
-    cb(null, allowed.includes(file.mimetype));
-  }
+  fileFilter: FileFormats.fileFilter
 });
 
+// What to do when an upload matches a document the user already has:
+// link   - keep the existing document and discard the upload (default)
+// reuse  - create a new document that copies the existing text and simplification
+// new    - create an independent copy and process it from scratch
+const DUPLICATE_MODES = ['link', 'reuse', 'new'];
+
+// The earliest upload with this content is treated as the original
+const findOriginal = (userId, contentHash) => Document.findOne({
+  where: { userId, contentHash },
+  order: [['createdAt', 'ASC']]
+});
+
+// Fields carried over when a duplicate reuses an earlier extraction
+const copyExtraction = (source) => {
+  const reuseSimplified = source.simplifiedText && !source.simplifiedTextStale;
+  return {
+    status: 'processed',
+    originalText: source.originalText,
+    confidence: source.confidence,
+    languages: source.languages,
+    pageCount: source.pageCount,
+    pages: source.pages,
+    documentType: source.documentType,
+    simplifiedText: reuseSimplified ? source.simplifiedText : null,
+    simplifiedTextRevision: reuseSimplified ? 1 : null,
+    simplifiedSections: reuseSimplified ? source.simplifiedSections : null
+  };
+};
+
+// Every document in the same version chain as `doc`
+const versionChainWhere = (doc) => {
+  const rootId = doc.versionGroupId || doc.id;
+  const { Op } = Document.sequelize.Sequelize;
+  return {
+    userId: doc.userId,
+    [Op.or]: [{ id: rootId }, { versionGroupId: rootId }]
+  };
+};
+
+// Chain fields for a new draft uploaded on top of `previous`
+const nextVersion = async (previous) => {
+  const latest = await Document.max('versionNumber', { where: versionChainWhere(previous) });
+  return {
+    versionGroupId: previous.versionGroupId || previous.id,
+    versionNumber: (latest || 1) + 1,
+    previousVersionId: previous.id
+  };
+};
+
 const uploadDocument = async (req, res) => {
+  let storedKey;
   try {
     if (!req.file) return res.status(400).json({ error: 'No file provided' });
     
-    const { title, tags } = req.body;
-    
-    // Extract text using OCR
-    const extractedText = await OCR.extractText(req.file.path, req.file.mimetype.split('/')[1]);
-    
-    const doc = await Document.create({
-      userId: req.user.id,
-      title: title || req.file.originalname,
-      originalFileName: req.file.originalname,
-      fileName: req.file.filename,
-      filePath: req.file.path,
-      fileType: path.extname(req.file.originalname).slice(1),
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-      originalText: extractedText.text,
-      confidence: extractedText.confidence,
-      tags: tags ? JSON.parse(tags) : []
-    });
-
-    res.status(201).json({
+    const { title, tags, versionOf, caseNumber } = req.body;
+    const force = req.body.force === true || req.body.force === 'true';
+    // An unchanged draft still becomes a version, reusing the earlier extraction
+    const mode = force ? 'new' : (req.body.duplicate || (versionOf ? 'reuse' : 'link'));
+
+    if (!DUPLICATE_MODES.includes(mode)) {
+      fs.removeSync(req.file.path);
+      return res.status(400).json({
+        error: `Invalid duplicate mode: ${mode}. Use one of: ${DUPLICATE_MODES.join(', ')}`
+      });
+    }
+
+    let languages;
+    let preprocess;
+    try {
+      languages = OCR.resolveLanguages(req.body.languages);
+      preprocess = ImagePreprocessor.resolveSteps(req.body.preprocess);
+    } catch (error) {
+      fs.removeSync(req.file.path);
+      return res.status(400).json({ error: error.message });
+    }
+
+    let previous = null;
+    let version = {};
+    if (versionOf) {
+      previous = await Document.findOne({
+        where: { id: versionOf, userId: req.user.id },
+        attributes: ['id', 'userId', 'title', 'versionGroupId', 'caseNumber']
+      });
+      if (!previous) {
+        fs.removeSync(req.file.path);
+        return res.status(404).json({ error: 'Document to add a version to not found' });
+      }
+      version = await nextVersion(previous);
+    }
+
+    const contentHash = await hashFile(req.file.path);
+    const existing = await findOriginal(req.user.id, contentHash);
+
+    if (existing && mode === 'link' && !previous) {
+      fs.removeSync(req.file.path);
+      return res.json({
+        success: true,
+        message: 'Document already uploaded',
+        duplicate: true,
+        documentId: existing.id,
+        status: existing.status
+      });
+    }
+
+    const canReuse = existing && mode === 'reuse' && existing.status === 'processed';
+    storedKey = await storage.storeUpload('documents', req.file, { ownerUserId: req.user.id });
+
+    // The row and its jobs are committed together, so a failed enqueue leaves no document
+    // waiting in 'uploaded' for processing that never starts
+    const { doc, job } = await Document.sequelize.transaction(async (transaction) => {
+      const created = await Document.create({
+        userId: req.user.id,
+        title: title || (previous ? previous.title : req.file.originalname),
+        originalFileName: req.file.originalname,
+        fileName: path.basename(storedKey),
+        filePath: storedKey,
+        fileType: path.extname(req.file.originalname).slice(1),
+        fileSize: req.file.size,
+        mimeType: req.file.mimetype,
+        contentHash,
+        duplicateOf: existing && mode !== 'new' ? existing.id : null,
+        status: 'uploaded',
+        tags: tags ? JSON.parse(tags) : [],
+        caseNumber: caseNumber || (previous ? previous.caseNumber : null),
+        ...version,
+        ...(canReuse ? copyExtraction(existing) : {})
+      }, { transaction });
+
+      if (canReuse) {
+        for (const type of [EXTRACT_CLAUSES, EXTRACT_ENTITIES, INDEX_DOCUMENT]) {
+          await jobQueue.enqueue(type, {}, { documentId: created.id, transaction });
+        }
+        return { doc: created, job: null };
+      }
+
+      // Text extraction runs in the background; clients poll /:id/status
+      return {
+        doc: created,
+        job: await jobQueue.enqueue(PROCESS_DOCUMENT, {
+          fileType: FileFormats.detectFormat(req.file.originalname, req.file.mimetype),
+          languages,
+          preprocess
+        }, { documentId: created.id, transaction })
+      };
+    });
+
+    if (canReuse) {
+      return res.status(201).json({
+        success: true,
+        message: 'Document uploaded, text reused from an identical document',
+        duplicate: true,
+        documentId: doc.id,
+        duplicateOf: existing.id,
+        versionNumber: doc.versionNumber,
+        status: doc.status
+      });
+    }
+
+    res.status(202).json({
       success: true,
-      message: 'Document uploaded successfully',
+      message: 'Document uploaded, processing started',
+      duplicate: Boolean(existing),
+      duplicateOf: existing ? existing.id : undefined,
       documentId: doc.id,
-      extractedLength: extractedText.text?.length || 0
+      versionNumber: doc.versionNumber,
+      status: doc.status,
+      jobId: job.id
     });
   } catch (error) {
     if (req.file) fs.removeSync(req.file.path);
+    if (storedKey) await storage.delete(storedKey).catch(() => {});
     res.status(500).json({ error: 'Upload failed: ' + error.message });
   }
 };
 
+// Upload a new draft of :id as the next version in its chain
+const uploadVersion = (req, res) => {
+  req.body.versionOf = req.params.id;
+  return uploadDocument(req, res);
+};
+
+const getDocumentVersions = async (req, res) => {
+  try {
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'userId', 'versionGroupId']
+    });
+
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const versions = await Document.findAll({
+      where: versionChainWhere(doc),
+      attributes: ['id', 'title', 'originalFileName', 'versionNumber', 'previousVersionId',
+        'status', 'fileSize', 'contentHash', 'createdAt'],
+      order: [['versionNumber', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    const latest = versions[versions.length - 1];
+    res.json({
+      success: true,
+      documentId: doc.id,
+      latestVersionId: latest.id,
+      versions: versions.map(version => ({
+        ...version.toJSON(),
+        isLatest: version.id === latest.id
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
+
+const REDLINE_FORMATS = ['json', 'html', 'docx'];
+
+// Clause-level diff of :id against another version (default: the previous one).
+// `?format=html|docx` exports the result as a redline.
+const compareDocumentVersions = async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!REDLINE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Use one of: ${REDLINE_FORMATS.join(', ')}` });
+    }
+
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'userId', 'title', 'versionGroupId', 'versionNumber', 'previousVersionId', 'status', 'originalText']
+    });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const otherId = req.params.otherId || req.query.with || doc.previousVersionId;
+    if (!otherId) {
+      return res.status(400).json({ error: 'No version to compare with; pass /compare/:otherId' });
+    }
+
+    const other = await Document.findOne({
+      where: { ...versionChainWhere(doc), id: otherId },
+      attributes: ['id', 'title', 'versionNumber', 'status', 'originalText']
+    });
+    if (!other) return res.status(404).json({ error: 'Version not found in this document\'s history' });
+
+    const missingText = [doc, other].find(version => version.originalText == null);
+    if (missingText) {
+      return res.status(409).json({
+        error: `Version ${missingText.versionNumber} has no extracted text yet`,
+        status: missingText.status
+      });
+    }
+
+    // Older version on the left, whichever way round they were requested
+    const [before, after] = other.versionNumber <= doc.versionNumber ? [other, doc] : [doc, other];
+    const comparison = compareTexts(before.originalText, after.originalText);
+    const labels = {
+      title: doc.title,
+      beforeLabel: `Version ${before.versionNumber}`,
+      afterLabel: `Version ${after.versionNumber}`
+    };
+    const fileBase = `${doc.title.replace(/[^\w.-]+/g, '_')}_v${before.versionNumber}-v${after.versionNumber}_redline`;
+
+    if (format === 'html') {
+      res.attachment(`${fileBase}.html`);
+      return res.type('html').send(RedlineExport.toHTML(comparison, labels));
+    }
+    if (format === 'docx') {
+      const buffer = await RedlineExport.toDOCX(comparison, { ...labels, author: req.user.name });
+      res.attachment(`${fileBase}.docx`);
+      return res.type('docx').send(buffer);
+    }
+
+    res.json({
+      success: true,
+      before: { id: before.id, versionNumber: before.versionNumber },
+      after: { id: after.id, versionNumber: after.versionNumber },
+      ...comparison
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Comparison failed: ' + error.message });
+  }
+};
+
 const getDocuments = async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, caseNumber } = req.query;
     const offset = (page - 1) * limit;
     
     const docs = await Document.findAndCountAll({
-      where: { userId: req.user.id },
+      where: { userId: req.user.id, ...(caseNumber ? { caseNumber } : {}) },
       order: [['createdAt', 'DESC']],
       limit: parseInt(limit),
       offset: parseInt(offset),
@@ -114,269 +341,288 @@ const getDocument = async (req, res) => {
   }
 };
 
-const searchDocuments = async (req, res) => {
+// PATCH /:id { title?, tags?, caseNumber? } - file details; the text is edited through PUT /:id/text
+const updateDocumentDetails = async (req, res) => {
   try {
-    const { q: query } = req.query;
-    if (!query) return res.status(400).json({ error: 'Query required' });
+    const { title, tags, caseNumber } = req.body;
+    const fields = {};
 
-    const docs = await Document.findAll({
-      where: {
-        userId: req.user.id,
-        [Document.sequelize.Sequelize.Op.or]: [
-          { title: { [Document.sequelize.Sequelize.Op.like]: `%${query}%` } },
-          { originalText: { [Document.sequelize.Sequelize.Op.like]: `%${query}%` } }
-        ]
-      },
-      attributes: { exclude: ['originalText', 'simplifiedText'] }
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim()) return res.status(400).json({ error: 'title must be a non-empty string' });
+      fields.title = title.trim();
+    }
+    if (tags !== undefined) {
+      if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        return res.status(400).json({ error: 'tags must be an array of strings' });
+      }
+      fields.tags = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+    }
+    if (caseNumber !== undefined) {
+      if (caseNumber !== null && (typeof caseNumber !== 'string' || caseNumber.length > 100)) {
+        return res.status(400).json({ error: 'caseNumber must be a string of at most 100 characters, or null' });
+      }
+      fields.caseNumber = caseNumber ? caseNumber.trim() : null;
+    }
+
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'userId', 'title', 'tags', 'caseNumber']
     });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
 
-    res.json({ success: true, documents: docs, query });
+    await doc.update(fields);
+    res.json({ success: true, documentId: doc.id, title: doc.title, tags: doc.tags, caseNumber: doc.caseNumber });
   } catch (error) {
-    res.status(500).json({ error: 'Search failed' });
+    res.status(500).json({ error: 'Update failed' });
   }
 };
 
-// Alternative local simplification without OpenAI
-const simplifyDocumentLocal = async (req, res) => {
+const getDocumentStatus = async (req, res) => {
   try {
     const doc = await Document.findOne({
-      where: { id: req.params.id, userId: req.user.id }
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'status', 'confidence', 'updatedAt']
     });
-
+    
     if (!doc) return res.status(404).json({ error: 'Document not found' });
-    if (!doc.originalText) return res.status(400).json({ error: 'No text to simplify' });
-
-    // Basic local simplification (regex-based)
-    let simplified = doc.originalText
-      .replace(/\b(heretofore|hereinafter|whereas|wherefore|hereby|herein|thereof|therein)\b/gi, '')
-      .replace(/\b(pursuant to|in accordance with|notwithstanding)\b/gi, 'according to')
-      .replace(/\b(shall|will)\b/gi, 'must')
-      .replace(/\b(party of the first part|party of the second part)\b/gi, 'party')
-      .replace(/\b(aforementioned|aforesaid)\b/gi, 'mentioned')
-      .replace(/\s+/g, ' ')
-      .trim();
-
-    await doc.update({ simplifiedText: simplified });
-
-    res.json({ 
-      success: true, 
-      simplifiedText: simplified,
-      method: 'local',
-      note: 'Simplified using basic text processing due to AI service limitations'
+
+    const job = await jobQueue.getLatestJob(doc.id, PROCESS_DOCUMENT);
+    
+    res.json({
+      success: true,
+      documentId: doc.id,
+      status: doc.status,
+      confidence: doc.confidence,
+      job: jobQueue.describe(job)
     });
   } catch (error) {
-    res.status(500).json({ error: 'Local simplification failed: ' + error.message });
+    res.status(500).json({ error: 'Status fetch failed' });
   }
 };
 
-const simplifyDocument = async (req, res) => {
+// Text for a page range, e.g. ?pages=4 or ?pages=2-5
+const getDocumentText = async (req, res) => {
   try {
-    console.log('Simplify request received:', {
-      documentId: req.params.id,
-      userId: req.user?.id,
-      body: req.body
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'originalText', 'pages', 'pageCount', 'confidence']
     });
-
-    // Input validation
-    if (!req.params.id) {
-      return res.status(400).json({ 
-        error: 'Document ID is required',
-        details: 'Missing document ID in request parameters'
+    
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (!doc.originalText) return res.status(400).json({ error: 'No extracted text yet' });
+
+    if (!req.query.pages) {
+      return res.json({
+        success: true,
+        pageCount: doc.pageCount,
+        confidence: doc.confidence,
+        text: doc.originalText
       });
     }
 
-    if (!req.user || !req.user.id) {
-      return res.status(401).json({ 
-        error: 'User authentication required',
-        details: 'No authenticated user found in request'
-      });
+    const match = /^(\d+)(?:-(\d+))?$/.exec(req.query.pages);
+    if (!match) {
+      return res.status(400).json({ error: 'Invalid page range, use e.g. pages=4 or pages=2-5' });
     }
-
-    // Check OpenAI API key
-    if (!process.env.OPENAI_API_KEY) {
-      console.log('OpenAI API key not configured, falling back to local simplification');
-      return simplifyDocumentLocal(req, res);
+    if (!doc.pages) {
+      return res.status(400).json({ error: 'Page information is not available for this document' });
     }
 
-    // Rate limiting check
-    if (!rateLimiter.canMakeRequest(req.user.id)) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        details: `You can make ${rateLimiter.maxRequestsPerMinute} requests per minute. Please wait before trying again.`,
-        retryAfter: 60
-      });
+    const from = parseInt(match[1]);
+    const to = match[2] ? parseInt(match[2]) : from;
+    const pages = OCR.getPageRange(doc.originalText, doc.pages, from, to);
+    
+    if (pages.length === 0) {
+      return res.status(404).json({ error: `Pages ${req.query.pages} not found (document has ${doc.pageCount} pages)` });
     }
 
-    const { complexity = 'simple', fallbackToLocal = false } = req.body;
+    res.json({
+      success: true,
+      pageCount: doc.pageCount,
+      from,
+      to,
+      pages,
+      text: pages.map(p => p.text).join('\n\n')
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
+
+// Save a human correction of the extracted text as a new revision.
+// Body: { text, note?, page? } - with `page`, only that page's text is replaced.
+const updateDocumentText = async (req, res) => {
+  try {
+    const { text, note, page } = req.body;
     
-    // Validate complexity parameter
-    const validComplexities = ['simple', 'moderate', 'detailed'];
-    if (!validComplexities.includes(complexity)) {
-      return res.status(400).json({
-        error: 'Invalid complexity level',
-        details: `Complexity must be one of: ${validComplexities.join(', ')}`
-      });
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({ error: 'Corrected text is required' });
     }
 
-    console.log('Finding document...');
     const doc = await Document.findOne({
       where: { id: req.params.id, userId: req.user.id }
     });
-
-    if (!doc) {
-      console.log('Document not found:', req.params.id);
-      return res.status(404).json({ 
-        error: 'Document not found',
-        details: 'Document does not exist or you do not have access to it'
-      });
+    
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (doc.originalText == null) {
+      return res.status(409).json({ error: 'Document has not been processed yet' });
     }
 
-    console.log('Document found:', {
-      id: doc.id,
-      title: doc.title,
-      hasOriginalText: !!doc.originalText,
-      originalTextLength: doc.originalText?.length || 0,
-      hasSimplifiedText: !!doc.simplifiedText
-    });
+    let updatedText = text;
+    let updatedPages = null;
+    const pageNumber = page ? parseInt(page) : null;
 
-    if (!doc.originalText || doc.originalText.trim().length === 0) {
-      return res.status(400).json({ 
-        error: 'No text to simplify',
-        details: 'Document does not contain extractable text content'
-      });
+    if (pageNumber) {
+      if (!doc.pages || !doc.pages.some(p => p.page === pageNumber)) {
+        return res.status(400).json({ error: `Page ${page} not found in this document` });
+      }
+      ({ text: updatedText, pages: updatedPages } = OCR.replacePageText(doc.originalText, doc.pages, pageNumber, text));
     }
 
-    // Return cached simplified text if available
-    if (doc.simplifiedText && doc.simplifiedText.trim().length > 0) {
-      console.log('Returning cached simplified text');
-      return res.json({ 
-        success: true, 
-        simplifiedText: doc.simplifiedText,
-        cached: true
-      });
+    if (updatedText === doc.originalText) {
+      return res.json({ success: true, message: 'Text unchanged', revision: doc.textRevision });
     }
 
-    // If fallback is requested, use local simplification
-    if (fallbackToLocal) {
-      console.log('Using local simplification as requested');
-      return simplifyDocumentLocal(req, res);
-    }
+    const revision = await Document.sequelize.transaction(async (transaction) => {
+      // Keep the machine output as the first revision before overwriting it
+      const existing = await DocumentRevision.count({ where: { documentId: doc.id }, transaction });
+      if (existing === 0) {
+        await DocumentRevision.create({
+          documentId: doc.id,
+          revision: doc.textRevision,
+          source: 'ocr',
+          text: doc.originalText
+        }, { transaction });
+      }
+
+      const nextRevision = doc.textRevision + 1;
+      const created = await DocumentRevision.create({
+        documentId: doc.id,
+        revision: nextRevision,
+        source: 'manual',
+        text: updatedText,
+        page: pageNumber,
+        editedBy: req.user.id,
+        note: note || null
+      }, { transaction });
+
+      // Full-text edits move page boundaries in ways we cannot track
+      await doc.update({
+        originalText: updatedText,
+        textRevision: nextRevision,
+        pages: pageNumber ? updatedPages : null
+      }, { transaction });
+
+      return created;
+    });
 
-    // Record the request for rate limiting
-    rateLimiter.recordRequest(req.user.id);
+    // Clause, entity and chunk offsets point into the old text
+    await jobQueue.enqueue(EXTRACT_CLAUSES, {}, { documentId: doc.id });
+    await jobQueue.enqueue(EXTRACT_ENTITIES, {}, { documentId: doc.id });
+    await jobQueue.enqueue(INDEX_DOCUMENT, {}, { documentId: doc.id });
 
-    // Prepare text for simplification
-    const maxTextLength = 2000; // Conservative limit to reduce token usage
-    const textToSimplify = doc.originalText.substring(0, maxTextLength);
-    
-    if (doc.originalText.length > maxTextLength) {
-      console.log(`Text truncated from ${doc.originalText.length} to ${maxTextLength} characters`);
-    }
+    res.json({
+      success: true,
+      message: 'Corrected text saved',
+      revision: revision.revision,
+      editedBy: req.user.id,
+      pagesPreserved: Boolean(doc.pages),
+      simplifiedTextStale: doc.simplifiedTextStale
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Text update failed: ' + error.message });
+  }
+};
 
-    console.log('Calling OpenAI API...');
+const getDocumentRevisions = async (req, res) => {
+  try {
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'textRevision']
+    });
     
-    // Enhanced prompt based on complexity level
-    const complexityPrompts = {
-      simple: "Rewrite this legal text using simple, everyday language. Keep it brief:",
-      moderate: "Simplify this legal text for general understanding. Be concise:",
-      detailed: "Simplify this legal text while preserving key information. Be efficient:"
-    };
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
 
-    const prompt = `${complexityPrompts[complexity]}\n\n${textToSimplify}`;
-    
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a legal document simplification expert. Be concise and clear."
-        },
-        {
-          role: "user", 
-          content: prompt
-        }
-      ],
-      max_tokens: 1000, // Reduced to minimize costs
-      temperature: 0.2, // Lower temperature for consistency
+    // Lengths are taken after decryption, so the text is loaded rather than measured in SQL
+    const rows = await DocumentRevision.findAll({
+      where: { documentId: doc.id },
+      attributes: ['id', 'revision', 'source', 'page', 'editedBy', 'note', 'createdAt', 'text'],
+      order: [['revision', 'DESC']]
     });
 
-    if (!completion.choices || completion.choices.length === 0) {
-      throw new Error('No response generated from AI service');
-    }
-
-    const simplified = completion.choices[0].message?.content?.trim();
-    
-    if (!simplified) {
-      throw new Error('Empty response from AI service');
-    }
+    const revisions = rows.map((row) => {
+      const { text, ...revision } = row.get({ plain: true });
+      return { ...revision, length: text.length };
+    });
 
-    console.log('OpenAI response received, length:', simplified.length);
+    res.json({ success: true, currentRevision: doc.textRevision, revisions });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
 
-    // Save simplified text to database
-    try {
-      await doc.update({ simplifiedText: simplified });
-      console.log('Simplified text saved to database');
-    } catch (dbError) {
-      console.error('Database update error:', dbError);
-    }
+const getDocumentRevision = async (req, res) => {
+  try {
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id']
+    });
+    
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
 
-    res.json({ 
-      success: true, 
-      simplifiedText: simplified,
-      complexity: complexity,
-      originalLength: doc.originalText.length,
-      simplifiedLength: simplified.length,
-      cached: false,
-      method: 'ai'
+    const revision = await DocumentRevision.findOne({
+      where: { documentId: doc.id, revision: req.params.revision }
     });
+    
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
 
+    res.json({ success: true, revision });
   } catch (error) {
-    console.error('Simplification error:', {
-      message: error.message,
-      stack: error.stack,
-      name: error.name,
-      code: error.code,
-      status: error.status
-    });
-
-    // Handle specific OpenAI errors
-    if (error.code === 'insufficient_quota') {
-      // Offer local fallback for quota exceeded
-      console.log('OpenAI quota exceeded, offering local fallback');
-      return res.status(503).json({
-        error: 'AI service quota exceeded',
-        details: 'Please try again later, upgrade your plan, or use local simplification',
-        fallbackAvailable: true,
-        suggestion: 'Add "fallbackToLocal": true to your request body to use basic simplification'
-      });
-    }
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
 
-    if (error.code === 'invalid_api_key') {
-      console.log('Invalid OpenAI API key, falling back to local simplification');
-      return simplifyDocumentLocal(req, res);
-    }
+// Encrypted text cannot be matched in SQL, so the user's documents are decrypted and filtered here
+const searchEncrypted = async (userId, query) => {
+  const needle = query.toLowerCase();
+  const docs = await Document.findAll({
+    where: { userId },
+    attributes: { exclude: ['simplifiedText'] },
+    order: [['createdAt', 'DESC']]
+  });
+
+  return docs
+    .filter(doc => doc.title.toLowerCase().includes(needle)
+      || (doc.originalText || '').toLowerCase().includes(needle))
+    .map((doc) => {
+      const { originalText, ...summary } = doc.toJSON();
+      return summary;
+    });
+};
 
-    if (error.code === 'rate_limit_exceeded') {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        details: 'Too many requests to AI service. Please wait and try again.',
-        retryAfter: 60,
-        fallbackAvailable: true
-      });
-    }
+const searchDocuments = async (req, res) => {
+  try {
+    const { q: query } = req.query;
+    if (!query) return res.status(400).json({ error: 'Query required' });
 
-    // Handle network/timeout errors with fallback
-    if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      console.log('Network error, falling back to local simplification');
-      return simplifyDocumentLocal(req, res);
+    if (Encryption.isEnabled()) {
+      return res.json({ success: true, documents: await searchEncrypted(req.user.id, query), query });
     }
 
-    // Generic error response
-    res.status(500).json({ 
-      error: 'Simplification failed',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred',
-      fallbackAvailable: true
+    const docs = await Document.findAll({
+      where: {
+        userId: req.user.id,
+        [Document.sequelize.Sequelize.Op.or]: [
+          { title: { [Document.sequelize.Sequelize.Op.like]: `%${query}%` } },
+          { originalText: { [Document.sequelize.Sequelize.Op.like]: `%${query}%` } }
+        ]
+      },
+      attributes: { exclude: ['originalText', 'simplifiedText'] }
     });
+
+    res.json({ success: true, documents: docs, query });
+  } catch (error) {
+    res.status(500).json({ error: 'Search failed' });
   }
 };
 
@@ -386,13 +632,18 @@ const downloadDocument = async (req, res) => {
       where: { id: req.params.id, userId: req.user.id }
     });
     
-    if (!doc || !fs.existsSync(doc.filePath)) {
+    if (!doc || !(await storage.exists(doc.filePath))) {
       return res.status(404).json({ error: 'File not found' });
     }
 
     await doc.increment('downloadCount');
-    res.download(doc.filePath, doc.originalFileName);
+    await storage.send(res, doc.filePath, {
+      fileName: doc.originalFileName,
+      contentType: doc.mimeType,
+      redirect: req.query.redirect !== 'false'
+    });
   } catch (error) {
+    if (res.headersSent) return;
     res.status(500).json({ error: 'Download failed' });
   }
 };
@@ -405,7 +656,7 @@ const deleteDocument = async (req, res) => {
     
     if (!doc) return res.status(404).json({ error: 'Document not found' });
     
-    if (fs.existsSync(doc.filePath)) fs.removeSync(doc.filePath);
+    await storage.delete(doc.filePath);
     await doc.destroy();
     
     res.json({ success: true, message: 'Document deleted' });
@@ -414,6 +665,59 @@ const deleteDocument = async (req, res) => {
   }
 };
 
+// Groups of documents in the user's library that share the same file content. Documents
+// uploaded before content hashing have no hash until `npm run backfill-hashes` has run;
+// they are counted as `unhashed` rather than hashed here.
+const getDuplicates = async (req, res) => {
+  try {
+    const { fn, col, literal, Op } = Document.sequelize.Sequelize;
+    const unhashed = await Document.count({ where: { userId: req.user.id, contentHash: null } });
+    const groups = await Document.findAll({
+      where: { userId: req.user.id, contentHash: { [Op.ne]: null } },
+      attributes: ['contentHash', [fn('COUNT', col('id')), 'count']],
+      group: ['contentHash'],
+      having: literal('COUNT(`id`) > 1'),
+      raw: true
+    });
+
+    if (groups.length === 0) {
+      return res.json({ success: true, groups: [], totalGroups: 0, redundantCopies: 0, unhashed });
+    }
+
+    const docs = await Document.findAll({
+      where: {
+        userId: req.user.id,
+        contentHash: { [Op.in]: groups.map(group => group.contentHash) }
+      },
+      attributes: ['id', 'title', 'originalFileName', 'fileSize', 'status', 'contentHash', 'duplicateOf', 'createdAt'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const byHash = new Map();
+    for (const doc of docs) {
+      if (!byHash.has(doc.contentHash)) byHash.set(doc.contentHash, []);
+      byHash.get(doc.contentHash).push(doc);
+    }
+
+    const result = [...byHash.entries()].map(([contentHash, documents]) => ({
+      contentHash,
+      count: documents.length,
+      wastedBytes: documents.slice(1).reduce((sum, doc) => sum + doc.fileSize, 0),
+      documents
+    }));
+
+    res.json({
+      success: true,
+      groups: result,
+      totalGroups: result.length,
+      redundantCopies: result.reduce((sum, group) => sum + group.count - 1, 0),
+      unhashed
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list duplicates' });
+  }
+};
+
 const getDocumentStats = async (req, res) => {
   try {
     const stats = await Document.findOne({
@@ -437,9 +741,18 @@ module.exports = {
   uploadDocument,
   getDocuments,
   getDocument,
+  updateDocumentDetails,
+  getDocumentStatus,
+  getDocumentText,
+  updateDocumentText,
+  getDocumentRevisions,
+  getDocumentRevision,
   searchDocuments,
-  simplifyDocument,
   downloadDocument,
   deleteDocument,
+  uploadVersion,
+  getDocumentVersions,
+  compareDocumentVersions,
+  getDuplicates,
   getDocumentStats
 };
\ No newline at end of file
@@ -0,0 +1,134 @@
+const Document = require('../models/Document');
+const DocumentEntity = require('../models/DocumentEntity');
+const Encryption = require('../utils/encryption');
+const { ENTITY_TYPES } = require('../utils/entityExtractor');
+
+const { Op } = Document.sequelize.Sequelize;
+
+const ENTITY_ATTRIBUTES = ['id', 'documentId', 'textRevision', 'type', 'value', 'text', 'start', 'end', 'metadata'];
+const MAX_RESULTS = 500;
+
+const parseTypes = (value) => {
+  if (!value) return { types: null };
+  const types = String(value).split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = types.filter(type => !ENTITY_TYPES.includes(type));
+  return unknown.length > 0
+    ? { error: `Unknown entity type: ${unknown.join(', ')}` }
+    : { types };
+};
+
+// Amounts are matched on their digits, so "45,000" finds "INR 45000"
+const normalizeQuery = (query, types) => {
+  if (types && types.length === 1 && types[0] === 'amount') {
+    const number = /\d[\d,]*(?:\.\d+)?/.exec(query);
+    if (number) return number[0].replace(/,/g, '');
+  }
+  return query;
+};
+
+// GET /entities?type=party&value=sharma&documentId=12
+const searchEntities = async (req, res) => {
+  try {
+    const { types, error } = parseTypes(req.query.type);
+    if (error) return res.status(400).json({ error, types: ENTITY_TYPES });
+
+    const query = req.query.value ? normalizeQuery(String(req.query.value).trim(), types) : null;
+    if (!query && !types) {
+      return res.status(400).json({ error: 'Provide a type, a value or both' });
+    }
+
+    const where = {};
+    if (types) where.type = types;
+    if (req.query.documentId) where.documentId = req.query.documentId;
+
+    const include = [{
+      model: Document,
+      as: 'document',
+      where: { userId: req.user.id },
+      attributes: ['id', 'title', 'textRevision']
+    }];
+
+    let entities;
+    if (query && Encryption.isEnabled()) {
+      // Values are encrypted at rest, so matching happens after decryption
+      const needle = query.toLowerCase();
+      entities = (await DocumentEntity.findAll({
+        where,
+        include,
+        attributes: ENTITY_ATTRIBUTES,
+        order: [['documentId', 'DESC'], ['start', 'ASC']]
+      }))
+        .filter(entity => entity.value.toLowerCase().includes(needle)
+          || entity.text.toLowerCase().includes(needle))
+        .slice(0, MAX_RESULTS);
+    } else {
+      if (query) {
+        where[Op.or] = [
+          { value: { [Op.like]: `%${query}%` } },
+          { text: { [Op.like]: `%${query}%` } }
+        ];
+      }
+      entities = await DocumentEntity.findAll({
+        where,
+        include,
+        attributes: ENTITY_ATTRIBUTES,
+        order: [['documentId', 'DESC'], ['start', 'ASC']],
+        limit: MAX_RESULTS
+      });
+    }
+
+    res.json({
+      success: true,
+      query: { type: types, value: req.query.value || null },
+      count: entities.length,
+      truncated: entities.length === MAX_RESULTS,
+      entities: entities.map((entity) => {
+        const { document, ...fields } = entity.toJSON();
+        return {
+          ...fields,
+          documentTitle: document.title,
+          stale: fields.textRevision !== document.textRevision
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Search failed' });
+  }
+};
+
+// GET /:id/entities?type=statute,amount
+const getDocumentEntities = async (req, res) => {
+  try {
+    const { types, error } = parseTypes(req.query.type);
+    if (error) return res.status(400).json({ error, types: ENTITY_TYPES });
+
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'textRevision']
+    });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const entities = await DocumentEntity.findAll({
+      where: { documentId: doc.id, ...(types ? { type: types } : {}) },
+      attributes: ENTITY_ATTRIBUTES,
+      order: [['start', 'ASC']]
+    });
+    const textRevision = entities.length ? entities[0].textRevision : null;
+
+    res.json({
+      success: true,
+      documentId: doc.id,
+      count: entities.length,
+      textRevision,
+      stale: textRevision !== null && textRevision !== doc.textRevision,
+      entities
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
+
+module.exports = {
+  searchEntities,
+  getDocumentEntities
+};
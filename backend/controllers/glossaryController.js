@@ -0,0 +1,210 @@
+const { Op } = require('sequelize');
+const GlossaryTerm = require('../models/GlossaryTerm');
+const Translator = require('../utils/translator');
+const { GLOSSARY_SCOPES, visibleTo, loadGlossary } = require('../utils/glossary');
+
+const TERM_ATTRIBUTES = ['id', 'scope', 'organization', 'userId', 'createdBy', 'term', 'language',
+  'replacement', 'definition', 'translations', 'doNotTranslate', 'caseSensitive', 'createdAt', 'updatedAt'];
+
+// Global terms are kept by administrators, org terms by members of the organisation
+// and user terms by their owner
+const canManage = (user, { scope, organization, userId }) => {
+  if (user.role === 'admin') return true;
+  if (scope === 'org') return Boolean(user.organization) && organization === user.organization;
+  if (scope === 'user') return userId === user.id;
+  return false;
+};
+
+// Validated term fields from a request body; `current` is the stored term on update
+const termFields = (body, user, current = null) => {
+  const fields = {};
+
+  if (body.term !== undefined || !current) {
+    const term = typeof body.term === 'string' ? body.term.trim() : '';
+    if (!term || term.length > 200) return { error: 'term is required and must be at most 200 characters' };
+    fields.term = term;
+  }
+
+  if (body.scope !== undefined || !current) {
+    const scope = body.scope || 'user';
+    if (!GLOSSARY_SCOPES.includes(scope)) return { error: `scope must be one of: ${GLOSSARY_SCOPES.join(', ')}` };
+    fields.scope = scope;
+  }
+  const scope = fields.scope || current.scope;
+  if (!current || fields.scope !== undefined || body.organization !== undefined) {
+    // Members can only share terms with their own organisation
+    fields.organization = scope === 'org'
+      ? (user.role === 'admin' && body.organization)
+        || (current && current.scope === 'org' && current.organization)
+        || user.organization
+        || null
+      : null;
+    if (scope === 'org' && !fields.organization) {
+      return { error: 'organization is required for org terms; ask an administrator to set yours' };
+    }
+    fields.userId = scope === 'user' ? (current && current.userId) || user.id : null;
+  }
+
+  if (body.language !== undefined || !current) {
+    const language = String(body.language || 'en').toLowerCase();
+    if (!Translator.isLanguageSupported(language)) return { error: `Unsupported language: ${language}` };
+    fields.language = language;
+  }
+
+  if (body.translations !== undefined) {
+    const translations = body.translations || {};
+    if (typeof translations !== 'object' || Array.isArray(translations)) {
+      return { error: 'translations must be an object of language code to term' };
+    }
+    const unsupported = Object.keys(translations).filter(code => !Translator.isLanguageSupported(code));
+    if (unsupported.length > 0) return { error: `Unsupported translation language: ${unsupported.join(', ')}` };
+    const blank = Object.keys(translations).filter(code => typeof translations[code] !== 'string' || !translations[code].trim());
+    if (blank.length > 0) return { error: `Translation for ${blank.join(', ')} must be a non-empty string` };
+    fields.translations = Object.fromEntries(Object.entries(translations)
+      .map(([code, text]) => [code.toLowerCase(), text.trim()]));
+  }
+
+  if (body.replacement !== undefined) {
+    const replacement = body.replacement ? String(body.replacement).trim() : null;
+    if (replacement && replacement.length > 500) return { error: 'replacement must be at most 500 characters' };
+    fields.replacement = replacement || null;
+  }
+  if (body.definition !== undefined) fields.definition = body.definition ? String(body.definition) : null;
+  if (body.doNotTranslate !== undefined) fields.doNotTranslate = Boolean(body.doNotTranslate);
+  if (body.caseSensitive !== undefined) fields.caseSensitive = Boolean(body.caseSensitive);
+
+  return { fields };
+};
+
+// Another term defined for the same owner, term and language
+const findDuplicate = (fields, exceptId = null) => GlossaryTerm.findOne({
+  where: {
+    scope: fields.scope,
+    organization: fields.organization,
+    userId: fields.userId,
+    term: fields.term,
+    language: fields.language,
+    ...(exceptId ? { id: { [Op.ne]: exceptId } } : {})
+  }
+});
+
+const findVisible = (req) => GlossaryTerm.findOne({
+  where: { id: req.params.id, ...visibleTo(req.user) }
+});
+
+// GET /api/glossary?scope=&language=&q= - terms visible to the user.
+// ?effective=true returns the merged glossary applied to their documents instead.
+const getTerms = async (req, res) => {
+  try {
+    const { scope, language, q, effective } = req.query;
+    if (scope && !GLOSSARY_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${GLOSSARY_SCOPES.join(', ')}` });
+    }
+
+    if (effective === 'true') {
+      const glossary = await loadGlossary(req.user);
+      const entries = glossary.inLanguage(language).filter(entry => (!scope || entry.scope === scope)
+        && (!q || entry.term.toLowerCase().includes(String(q).toLowerCase())));
+      return res.json({ success: true, effective: true, count: entries.length, terms: entries });
+    }
+
+    const where = { [Op.and]: [visibleTo(req.user)] };
+    if (scope) where.scope = scope;
+    if (language) where.language = language;
+    if (q) where.term = { [Op.like]: `%${q}%` };
+
+    const terms = await GlossaryTerm.findAll({
+      where,
+      attributes: TERM_ATTRIBUTES,
+      order: [['term', 'ASC'], ['scope', 'ASC']]
+    });
+
+    res.json({ success: true, effective: false, count: terms.length, terms });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
+
+// GET /api/glossary/:id
+const getTerm = async (req, res) => {
+  try {
+    const term = await findVisible(req);
+    if (!term) return res.status(404).json({ error: 'Glossary term not found' });
+
+    res.json({ success: true, term, canEdit: canManage(req.user, term) });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
+
+// POST /api/glossary
+// { term, scope?: global|org|user, language?, replacement?, definition?, translations?,
+//   doNotTranslate?, caseSensitive?, organization? (administrators only) }
+const createTerm = async (req, res) => {
+  try {
+    const { fields, error } = termFields(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+    if (!canManage(req.user, fields)) {
+      return res.status(403).json({ error: `Not allowed to add ${fields.scope} glossary terms` });
+    }
+
+    const duplicate = await findDuplicate(fields);
+    if (duplicate) {
+      return res.status(409).json({ error: 'This term is already defined in that glossary', termId: duplicate.id });
+    }
+
+    const term = await GlossaryTerm.create({ ...fields, createdBy: req.user.id });
+
+    res.status(201).json({ success: true, term });
+  } catch (error) {
+    res.status(500).json({ error: 'Create failed: ' + error.message });
+  }
+};
+
+// PUT /api/glossary/:id - same fields as POST; omitted fields are kept
+const updateTerm = async (req, res) => {
+  try {
+    const term = await findVisible(req);
+    if (!term) return res.status(404).json({ error: 'Glossary term not found' });
+    if (!canManage(req.user, term)) return res.status(403).json({ error: 'Not allowed to edit this term' });
+
+    const { fields, error } = termFields(req.body, req.user, term);
+    if (error) return res.status(400).json({ error });
+
+    const updated = { ...term.get({ plain: true }), ...fields };
+    if (!canManage(req.user, updated)) {
+      return res.status(403).json({ error: `Not allowed to move terms to the ${updated.scope} glossary` });
+    }
+    const duplicate = await findDuplicate(updated, term.id);
+    if (duplicate) {
+      return res.status(409).json({ error: 'This term is already defined in that glossary', termId: duplicate.id });
+    }
+
+    await term.update(fields);
+    res.json({ success: true, term });
+  } catch (error) {
+    res.status(500).json({ error: 'Update failed: ' + error.message });
+  }
+};
+
+// DELETE /api/glossary/:id
+const deleteTerm = async (req, res) => {
+  try {
+    const term = await findVisible(req);
+    if (!term) return res.status(404).json({ error: 'Glossary term not found' });
+    if (!canManage(req.user, term)) return res.status(403).json({ error: 'Not allowed to delete this term' });
+
+    await term.destroy();
+    res.json({ success: true, message: 'Glossary term deleted' });
+  } catch (error) {
+    res.status(500).json({ error: 'Delete failed' });
+  }
+};
+
+module.exports = {
+  getTerms,
+  getTerm,
+  createTerm,
+  updateTerm,
+  deleteTerm
+};
@@ -5,11 +5,13 @@ const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs').promises;
 const { authorize } = require('../middleware/authMiddleware');
+const FileFormats = require('../utils/fileFormats');
+const fileStorage = require('../utils/storage');
 
 // File upload configuration for judges
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadPath = 'uploads/judge-documents';
+    const uploadPath = 'uploads/temp';
     await fs.mkdir(uploadPath, { recursive: true });
     cb(null, uploadPath);
   },
@@ -22,15 +24,7 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage,
   limits: { fileSize: 20 * 1024 * 1024 }, // 20MB limit for court documents
-  fileFilter: (req, file, cb) => {
-    const allowed = ['.pdf', '.doc', '.docx'];
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (allowed.includes(ext)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF and DOC files are allowed for court documents.'));
-    }
-  }
+  fileFilter: FileFormats.fileFilter
 }).single('document');
 
 // Generate document hash for blockchain verification
@@ -120,7 +114,7 @@ const uploadJudgeDocument = async (req, res) => {
       documentHash,
       blockchainTxId: blockchainTx.transactionId,
       fileName: file.originalname,
-      filePath: file.path,
+      filePath: await fileStorage.storeUpload('judge-documents', file, { ownerUserId: req.user.id }),
       fileType: path.extname(file.originalname).substring(1),
       category: category || 'other',
       caseNumber,
@@ -344,8 +338,12 @@ const downloadJudgeDocument = async (req, res) => {
     // Log access for audit trail
     console.log(`[Audit] Document ${document.id} accessed by user ${req.user.id} at ${new Date().toISOString()}`);
 
-    res.download(document.filePath, document.fileName);
+    await fileStorage.send(res, document.filePath, {
+      fileName: document.fileName,
+      redirect: req.query.redirect !== 'false'
+    });
   } catch (error) {
+    if (res.headersSent) return;
     res.status(500).json({ success: false, message: error.message });
   }
 };
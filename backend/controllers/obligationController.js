@@ -0,0 +1,257 @@
+const Document = require('../models/Document');
+const Clause = require('../models/Clause');
+const Obligation = require('../models/Obligation');
+const CaseSchedule = require('../models/CaseSchedule');
+const AdvocateDiary = require('../models/AdvocateDiary');
+const { parseClauses, flattenClauses } = require('../utils/clauseParser');
+const { extractObligations } = require('../utils/obligationExtractor');
+const { addDuration, nextOccurrence, today } = require('../utils/legalDates');
+
+const OBLIGATION_TYPES = ['deadline', 'payment', 'renewal', 'expiry', 'notice_period'];
+const TARGETS = ['schedule', 'diary'];
+const SCHEDULE_EVENT_TYPES = ['filing_deadline', 'reminder'];
+const DIARY_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const OBLIGATION_ATTRIBUTES = ['id', 'clauseId', 'textRevision', 'type', 'title', 'party', 'dueDate',
+  'relativeTo', 'recurrence', 'noticeDays', 'amount', 'reference', 'sourceText', 'start', 'end',
+  'caseScheduleId', 'diaryEntryId'];
+
+// Stored clauses when they match the current text, otherwise a fresh parse
+const clausesFor = async (doc) => {
+  const stored = await Clause.findAll({
+    where: { documentId: doc.id, textRevision: doc.textRevision },
+    attributes: ['id', 'depth', 'reference', 'heading', 'start', 'end'],
+    order: [['position', 'ASC']]
+  });
+  if (stored.length > 0) return stored.map(clause => clause.get({ plain: true }));
+
+  return flattenClauses(parseClauses(doc.originalText).tree);
+};
+
+// Replaces the document's obligations with a fresh extraction
+const storeObligations = async (doc) => {
+  const { obligations, effectiveDate, termEnd } = extractObligations(doc.originalText, await clausesFor(doc));
+
+  await Document.sequelize.transaction(async (transaction) => {
+    await Obligation.destroy({ where: { documentId: doc.id }, transaction });
+    for (const obligation of obligations) {
+      await Obligation.create({
+        ...obligation,
+        documentId: doc.id,
+        textRevision: doc.textRevision
+      }, { transaction, ownerUserId: doc.userId });
+    }
+  });
+
+  return { effectiveDate, termEnd };
+};
+
+const listObligations = (doc, types) => Obligation.findAll({
+  where: { documentId: doc.id, ...(types ? { type: types } : {}) },
+  attributes: OBLIGATION_ATTRIBUTES,
+  order: [['start', 'ASC']]
+});
+
+const parseTypes = (value) => {
+  if (!value) return { types: null };
+  const types = String(value).split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = types.filter(type => !OBLIGATION_TYPES.includes(type));
+  return unknown.length > 0
+    ? { error: `Unknown obligation type: ${unknown.join(', ')}` }
+    : { types };
+};
+
+// GET /:id/obligations?type=payment,renewal - extracted on first request
+const getObligations = async (req, res) => {
+  try {
+    const { types, error } = parseTypes(req.query.type);
+    if (error) return res.status(400).json({ error, types: OBLIGATION_TYPES });
+
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const existing = await Obligation.count({ where: { documentId: doc.id } });
+    if (existing === 0) {
+      if (doc.originalText == null) {
+        return res.status(409).json({ error: 'Document has no extracted text yet', status: doc.status });
+      }
+      await storeObligations(doc);
+    }
+
+    const obligations = await listObligations(doc, types);
+    const textRevision = obligations.length ? obligations[0].textRevision : doc.textRevision;
+
+    res.json({
+      success: true,
+      documentId: doc.id,
+      count: obligations.length,
+      textRevision,
+      stale: textRevision !== doc.textRevision,
+      obligations
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
+
+// POST /:id/obligations - extract again; links to calendar entries made earlier are dropped
+const extractDocumentObligations = async (req, res) => {
+  try {
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (doc.originalText == null) {
+      return res.status(409).json({ error: 'Document has no extracted text yet', status: doc.status });
+    }
+
+    const { effectiveDate, termEnd } = await storeObligations(doc);
+    const obligations = await listObligations(doc, null);
+
+    res.json({
+      success: true,
+      documentId: doc.id,
+      textRevision: doc.textRevision,
+      effectiveDate,
+      termEnd,
+      count: obligations.length,
+      obligations
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Obligation extraction failed: ' + error.message });
+  }
+};
+
+// The date an obligation is put in the calendar on: a date given in the request,
+// the next instalment of a recurring one, or its due date
+const calendarDate = (obligation, overrides) => {
+  const override = overrides[obligation.id];
+  if (override) return override;
+  if (obligation.recurrence) return nextOccurrence(obligation.recurrence, today());
+  return obligation.dueDate;
+};
+
+const describe = (obligation, doc) => [
+  obligation.title,
+  obligation.party ? `Responsible: ${obligation.party}` : null,
+  obligation.relativeTo ? `Counted from: ${obligation.relativeTo}` : null,
+  `Source: ${obligation.reference ? `clause ${obligation.reference} of ` : ''}"${doc.title}" (document ${doc.id})`
+].filter(Boolean).join('\n');
+
+// POST /:id/obligations/schedule
+// { target: schedule|diary, obligationIds?, dates?: { [id]: "YYYY-MM-DD" }, eventType?,
+//   reminderDaysBefore?, caseNumber?, clientName?, court?, priority? }
+const scheduleObligations = async (req, res) => {
+  try {
+    const {
+      target,
+      obligationIds,
+      dates = {},
+      eventType = 'filing_deadline',
+      reminderDaysBefore = 7,
+      caseNumber = null,
+      clientName = null,
+      court = null,
+      priority = 'high'
+    } = req.body;
+
+    if (!TARGETS.includes(target)) {
+      return res.status(400).json({ error: `target must be one of: ${TARGETS.join(', ')}` });
+    }
+    if (target === 'schedule' && !SCHEDULE_EVENT_TYPES.includes(eventType)) {
+      return res.status(400).json({ error: `eventType must be one of: ${SCHEDULE_EVENT_TYPES.join(', ')}` });
+    }
+    if (target === 'diary' && !DIARY_PRIORITIES.includes(priority)) {
+      return res.status(400).json({ error: `priority must be one of: ${DIARY_PRIORITIES.join(', ')}` });
+    }
+    const leadDays = parseInt(reminderDaysBefore, 10);
+    if (Number.isNaN(leadDays) || leadDays < 0) {
+      return res.status(400).json({ error: 'reminderDaysBefore must be a non-negative number' });
+    }
+    const invalidDate = Object.values(dates).find(date => !/^\d{4}-\d{2}-\d{2}$/.test(date));
+    if (invalidDate) {
+      return res.status(400).json({ error: `Invalid date "${invalidDate}", expected YYYY-MM-DD` });
+    }
+
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'title']
+    });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const where = { documentId: doc.id };
+    if (Array.isArray(obligationIds)) where.id = obligationIds;
+    const obligations = await Obligation.findAll({ where, order: [['start', 'ASC']] });
+    if (obligations.length === 0) {
+      return res.status(404).json({ error: 'No obligations found; extract them first' });
+    }
+
+    const linkField = target === 'schedule' ? 'caseScheduleId' : 'diaryEntryId';
+    const created = [];
+    const skipped = [];
+
+    await Document.sequelize.transaction(async (transaction) => {
+      for (const obligation of obligations) {
+        if (obligation[linkField]) {
+          skipped.push({ obligationId: obligation.id, reason: 'Already in the calendar', entryId: obligation[linkField] });
+          continue;
+        }
+        const date = calendarDate(obligation, dates);
+        if (!date) {
+          skipped.push({ obligationId: obligation.id, reason: 'No date; pass one in "dates"' });
+          continue;
+        }
+
+        let entry;
+        if (target === 'schedule') {
+          entry = await CaseSchedule.create({
+            userId: req.user.id,
+            title: obligation.title,
+            caseNumber,
+            court,
+            eventType,
+            scheduledDate: date,
+            description: describe(obligation, doc),
+            reminderTime: leadDays * 24 * 60,
+            isRecurring: Boolean(obligation.recurrence),
+            recurrencePattern: obligation.recurrence
+          }, { transaction });
+        } else {
+          entry = await AdvocateDiary.create({
+            userId: req.user.id,
+            title: obligation.title,
+            caseNumber,
+            clientName,
+            description: describe(obligation, doc),
+            category: 'document_prep',
+            priority,
+            tags: ['obligation', obligation.type],
+            attachments: [{ documentId: doc.id, obligationId: obligation.id, reference: obligation.reference }],
+            reminderDate: addDuration(date, -leadDays, 'day')
+          }, { transaction });
+        }
+
+        await obligation.update({ [linkField]: entry.id }, { transaction });
+        created.push({ obligationId: obligation.id, entryId: entry.id, date });
+      }
+    });
+
+    res.status(created.length > 0 ? 201 : 200).json({
+      success: true,
+      documentId: doc.id,
+      target,
+      created,
+      skipped
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Scheduling failed: ' + error.message });
+  }
+};
+
+module.exports = {
+  getObligations,
+  extractDocumentObligations,
+  scheduleObligations
+};
@@ -1,98 +1,173 @@
 // controllers/queryController.js
+const { randomUUID } = require('crypto');
+const sequelize = require('../config/db');
 const Query = require('../models/Query');
 const QueryResponse = require('../models/QueryResponse');
 const AIHelper = require('../utils/aiHelper');
-const { Op } = require('sequelize');
-const { v4: uuidv4 } = require('uuid');
+const { openEventStream } = require('../utils/eventStream');
+
+// Validated question stored as a new Query in "processing", or an error message
+const startQuery = async (req) => {
+  const { question, context, category, priority = 'medium' } = req.body;
+
+  if (!question || question.trim().length === 0) {
+    return { error: 'Question is required' };
+  }
+
+  // Create session ID if not provided
+  const sessionId = req.body.sessionId || randomUUID();
+
+  const query = await Query.create({
+    userId: req.user.id,
+    question: question.trim(),
+    context: context || {},
+    category: category || 'general',
+    priority,
+    status: 'processing',
+    sessionId
+  });
+
+  return { query, category };
+};
+
+// Category and recent conversation the answer is generated with
+const adviceContext = async (req, query, category) => {
+  // Classify query if category not provided
+  const queryCategory = category || await AIHelper.classifyQuery(query.question);
+
+  // Get conversation history for context
+  const conversationHistory = await getConversationHistory(req.user.id, query.sessionId, 5);
+
+  return {
+    category: queryCategory,
+    conversationHistory,
+    startTime: Date.now(),
+    userRole: req.user.role
+  };
+};
+
+// Stores the answer, marks the query completed and returns the response body
+const completeQuery = async (query, category, aiResult) => {
+  const response = await QueryResponse.create({
+    queryId: query.id,
+    response: aiResult.answer,
+    confidence: aiResult.confidence,
+    sources: aiResult.sources || [],
+    processingTime: aiResult.processingTime
+  });
+
+  await query.update({
+    status: 'completed',
+    category
+  });
+
+  return {
+    success: true,
+    query: {
+      id: query.id,
+      question: query.question,
+      category,
+      sessionId: query.sessionId,
+      status: 'completed'
+    },
+    response: {
+      id: response.id,
+      answer: response.response,
+      confidence: response.confidence,
+      sources: response.sources,
+      processingTime: response.processingTime
+    }
+  };
+};
+
+const queryFailure = error => ({
+  success: false,
+  message: 'Failed to process query',
+  error: process.env.NODE_ENV === 'development' ? error.message : undefined
+});
 
 // Create new query (AI Chatbot)
 const askQuestion = async (req, res) => {
   try {
-    const { question, context, category, priority = 'medium' } = req.body;
-
-    if (!question || question.trim().length === 0) {
+    const { query, category, error } = await startQuery(req);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Question is required'
+        message: error
       });
     }
 
-    // Create session ID if not provided
-    const sessionId = req.body.sessionId || uuidv4();
-
-    // Create query record
-    const query = await Query.create({
-      userId: req.user.id,
-      question: question.trim(),
-      context: context || {},
-      category: category || 'general',
-      priority,
-      status: 'processing',
-      sessionId
-    });
-
     try {
-      // Classify query if category not provided
-      const queryCategory = category || await AIHelper.classifyQuery(question);
-      
-      // Get conversation history for context
-      const conversationHistory = await getConversationHistory(req.user.id, sessionId, 5);
+      const context = await adviceContext(req, query, category);
+      const aiResult = await AIHelper.generateLegalAdvice(query.question, context);
+
+      res.json(await completeQuery(query, context.category, aiResult));
+
+    } catch (aiError) {
+      // Update query status to failed
+      await query.update({ status: 'failed' });
       
-      // Generate AI response
-      const aiResult = await AIHelper.generateLegalAdvice(question, {
-        category: queryCategory,
-        conversationHistory,
-        startTime: Date.now(),
-        userRole: req.user.role
-      });
+      throw aiError;
+    }
 
-      // Create response record
-      const response = await QueryResponse.create({
-        queryId: query.id,
-        response: aiResult.answer,
-        confidence: aiResult.confidence,
-        sources: aiResult.sources || [],
-        processingTime: aiResult.processingTime
+  } catch (error) {
+    console.error('Query processing error:', error);
+    res.status(500).json(queryFailure(error));
+  }
+};
+
+// Create new query, answered as Server-Sent Events:
+//   query  { id, question, category, sessionId, status }  once the question is stored
+//   token  { text }  each piece of the answer as it arrives
+//   done   the body POST / responds with, once the answer is stored
+//   error  { success, message }
+// Closing the connection cancels the upstream request and marks the query "cancelled".
+const askQuestionStream = async (req, res) => {
+  let stream = null;
+  try {
+    const { query, category, error } = await startQuery(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
       });
+    }
 
-      // Update query status
-      await query.update({
-        status: 'completed',
-        category: queryCategory
+    stream = openEventStream(res);
+    try {
+      const context = await adviceContext(req, query, category);
+      stream.send('query', {
+        id: query.id,
+        question: query.question,
+        category: context.category,
+        sessionId: query.sessionId,
+        status: 'processing'
       });
 
-      res.json({
-        success: true,
-        query: {
-          id: query.id,
-          question: query.question,
-          category: queryCategory,
-          sessionId: query.sessionId,
-          status: 'completed'
-        },
-        response: {
-          id: response.id,
-          answer: response.response,
-          confidence: response.confidence,
-          sources: response.sources,
-          processingTime: response.processingTime
-        }
+      const aiResult = await AIHelper.streamLegalAdvice(query.question, context, {
+        signal: stream.signal,
+        onToken: text => stream.send('token', { text })
       });
 
+      stream.send('done', await completeQuery(query, context.category, aiResult));
+      stream.end();
+
     } catch (aiError) {
-      // Update query status to failed
-      await query.update({ status: 'failed' });
-      
+      await query.update({ status: stream.signal.aborted ? 'cancelled' : 'failed' });
+
       throw aiError;
     }
 
   } catch (error) {
+    if (stream && stream.signal.aborted) {
+      console.log('Query stream cancelled by the client');
+      return stream.end();
+    }
+
     console.error('Query processing error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to process query',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    if (!stream) return res.status(500).json(queryFailure(error));
+    stream.send('error', queryFailure(error));
+    stream.end();
   }
 };
 
@@ -400,6 +475,7 @@ const getConversationHistory = async (userId, sessionId, limit = 5) => {
 
 module.exports = {
   askQuestion,
+  askQuestionStream,
   getQueryHistory,
   getQuery,
   getConversation,
@@ -0,0 +1,269 @@
+const { Op } = require('sequelize');
+const Document = require('../models/Document');
+const rateLimiter = require('../utils/rateLimiter');
+const DocumentIndex = require('../utils/documentIndex');
+const DocumentQA = require('../utils/documentQA');
+const jobQueue = require('../utils/jobQueue');
+const { INDEX_DOCUMENT } = require('../utils/documentProcessor');
+
+const MAX_QUESTION_LENGTH = 2000;
+const MAX_TOP_K = 20;
+
+// Questions across documents retrieve more chunks, at least one from each document
+// searched and at most PER_DOCUMENT from any one
+const ASK_SCOPES = ['all', 'tag', 'case', 'documents'];
+const LIBRARY_TOP_K = 12;
+const PER_DOCUMENT = 3;
+const MAX_SCOPE_DOCUMENTS = 100;
+
+const QA_ATTRIBUTES = ['id', 'userId', 'title', 'originalText', 'textRevision', 'pages', 'status'];
+
+// Validated { question, topK } from a request body
+const questionInput = (body, defaultTopK = DocumentIndex.DEFAULT_TOP_K) => {
+  const question = typeof body.question === 'string' ? body.question.trim() : '';
+  if (!question) return { error: 'question is required' };
+  if (question.length > MAX_QUESTION_LENGTH) {
+    return { error: `question must be at most ${MAX_QUESTION_LENGTH} characters` };
+  }
+
+  const topK = body.topK === undefined ? defaultTopK : parseInt(body.topK, 10);
+  if (Number.isNaN(topK) || topK < 1 || topK > MAX_TOP_K) {
+    return { error: `topK must be between 1 and ${MAX_TOP_K}` };
+  }
+  return { question, topK };
+};
+
+const rateLimited = res => res.status(429).json({
+  error: 'Rate limit exceeded',
+  details: `You can make ${rateLimiter.maxRequestsPerMinute} requests per minute. Please wait before trying again.`,
+  retryAfter: 60
+});
+
+// POST /:id/ask { question, topK? } - answer from the document's closest chunks, with
+// citations giving chunk id, clause reference, pages and character offsets
+const askDocument = async (req, res) => {
+  try {
+    const { question, topK, error } = questionInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: QA_ATTRIBUTES
+    });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (!doc.originalText) {
+      return res.status(409).json({ error: 'Document has no extracted text yet', status: doc.status });
+    }
+
+    if (process.env.OPENAI_API_KEY) {
+      if (!rateLimiter.canMakeRequest(req.user.id)) return rateLimited(res);
+      rateLimiter.recordRequest(req.user.id);
+    }
+
+    const result = await DocumentQA.answerQuestion([doc], question, { topK });
+
+    res.json({
+      success: true,
+      documentId: doc.id,
+      question,
+      answer: result.answer,
+      method: result.method,
+      model: result.model,
+      confidence: result.confidence,
+      citations: result.citations,
+      sources: result.sources,
+      reindexed: result.reindexed.length > 0
+    });
+  } catch (error) {
+    console.error('Document question error:', error.message);
+    res.status(500).json({ error: 'Question answering failed: ' + error.message });
+  }
+};
+
+// The scope of a library question from the request body. Without `scope` it is
+// inferred from whichever of documentIds, caseNumber or tag is given.
+const scopeInput = (body) => {
+  const { tag, caseNumber, documentIds } = body;
+  const scope = body.scope || (documentIds ? 'documents' : caseNumber ? 'case' : tag ? 'tag' : 'all');
+  if (!ASK_SCOPES.includes(scope)) return { error: `scope must be one of: ${ASK_SCOPES.join(', ')}` };
+
+  if (scope === 'tag' && (typeof tag !== 'string' || !tag.trim())) return { error: 'tag is required for scope "tag"' };
+  if (scope === 'case' && (typeof caseNumber !== 'string' || !caseNumber.trim())) {
+    return { error: 'caseNumber is required for scope "case"' };
+  }
+  if (scope === 'documents') {
+    const ids = Array.isArray(documentIds) ? documentIds.map(id => parseInt(id, 10)) : [];
+    if (ids.length === 0 || ids.some(Number.isNaN)) return { error: 'documentIds must be a non-empty array of ids' };
+    if (ids.length > MAX_SCOPE_DOCUMENTS) return { error: `At most ${MAX_SCOPE_DOCUMENTS} documents can be searched at once` };
+    return { scope, documentIds: [...new Set(ids)] };
+  }
+  return { scope, tag: scope === 'tag' ? tag.trim() : null, caseNumber: scope === 'case' ? caseNumber.trim() : null };
+};
+
+// Ids of the user's documents in the scope
+const documentIdsIn = async (userId, { scope, tag, caseNumber, documentIds }) => {
+  const where = { userId };
+  if (scope === 'documents') where.id = documentIds;
+  if (scope === 'case') where.caseNumber = caseNumber;
+
+  const docs = await Document.findAll({ where, attributes: ['id', 'tags'], order: [['createdAt', 'DESC']] });
+  const wanted = tag ? tag.toLowerCase() : null;
+  return docs
+    .filter(doc => !wanted || (doc.tags || []).some(docTag => String(docTag).toLowerCase() === wanted))
+    .map(doc => doc.id);
+};
+
+// Queues a rebuild of the document's retrieval index unless one is already queued
+const queueIndexing = async (doc) => {
+  const latest = await jobQueue.getLatestJob(doc.id, INDEX_DOCUMENT);
+  if (latest && ['pending', 'running'].includes(latest.status)) return latest;
+  return jobQueue.enqueue(INDEX_DOCUMENT, {}, { documentId: doc.id });
+};
+
+// POST /ask { question, scope?: all|tag|case|documents, tag?, caseNumber?, documentIds?, topK?, perDocument? }
+// Answers from the closest chunks across the documents in scope, with citations grouped by document.
+// Documents whose index is missing or stale are queued for indexing and skipped rather than
+// embedded inside the request.
+const askDocuments = async (req, res) => {
+  try {
+    const { question, topK, error } = questionInput(req.body, LIBRARY_TOP_K);
+    if (error) return res.status(400).json({ error });
+    const scope = scopeInput(req.body);
+    if (scope.error) return res.status(400).json({ error: scope.error, scopes: ASK_SCOPES });
+    const perDocument = req.body.perDocument === undefined ? PER_DOCUMENT : parseInt(req.body.perDocument, 10);
+    if (Number.isNaN(perDocument) || perDocument < 1) {
+      return res.status(400).json({ error: 'perDocument must be a positive number' });
+    }
+
+    const ids = await documentIdsIn(req.user.id, scope);
+    if (scope.scope === 'documents') {
+      const missing = scope.documentIds.filter(id => !ids.includes(id));
+      if (missing.length > 0) return res.status(404).json({ error: 'Documents not found', documentIds: missing });
+    }
+    if (ids.length === 0) return res.status(404).json({ error: 'No documents in this scope' });
+    if (ids.length > MAX_SCOPE_DOCUMENTS) {
+      return res.status(400).json({
+        error: `The scope has ${ids.length} documents; narrow it to at most ${MAX_SCOPE_DOCUMENTS} with a tag, case number or document list`
+      });
+    }
+
+    const withText = await Document.findAll({
+      where: { id: ids, userId: req.user.id, originalText: { [Op.ne]: null } },
+      attributes: QA_ATTRIBUTES
+    });
+    const hasText = new Set(withText.map(doc => doc.id));
+    const skipped = ids.filter(id => !hasText.has(id)).map(id => ({ documentId: id, reason: 'No extracted text yet' }));
+    if (withText.length === 0) {
+      return res.status(409).json({ error: 'None of the documents in this scope has extracted text yet', skipped });
+    }
+
+    const stale = new Set(await DocumentIndex.staleDocuments(withText));
+    for (const doc of stale) {
+      const job = await queueIndexing(doc);
+      skipped.push({ documentId: doc.id, reason: 'Being indexed', job: jobQueue.describe(job) });
+    }
+    const docs = withText.filter(doc => !stale.has(doc));
+    if (docs.length === 0) {
+      return res.status(409).json({ error: 'None of the documents in this scope is indexed yet; try again shortly', skipped });
+    }
+
+    if (process.env.OPENAI_API_KEY) {
+      if (!rateLimiter.canMakeRequest(req.user.id)) return rateLimited(res);
+      rateLimiter.recordRequest(req.user.id);
+    }
+
+    const result = await DocumentQA.answerQuestion(docs, question, {
+      topK: Math.max(topK, docs.length),
+      perDocument,
+      reindex: false
+    });
+
+    // Documents that contributed no passage, because theirs did not fit in the model's
+    // context or they have no indexed text
+    const answeredFrom = new Set(result.sources.map(source => source.documentId));
+    const omitted = new Set(result.omittedDocuments);
+    for (const doc of docs) {
+      if (answeredFrom.has(doc.id)) continue;
+      skipped.push({
+        documentId: doc.id,
+        reason: omitted.has(doc.id) ? 'No room for its passages in the question context' : 'No indexed passages'
+      });
+    }
+
+    // Cited documents first, in order of first citation
+    const byDocument = new Map();
+    for (const citation of [...result.citations, ...result.sources]) {
+      if (!byDocument.has(citation.documentId)) {
+        byDocument.set(citation.documentId, {
+          documentId: citation.documentId,
+          title: citation.documentTitle,
+          cited: false,
+          citations: []
+        });
+      }
+    }
+    for (const citation of result.citations) {
+      const entry = byDocument.get(citation.documentId);
+      entry.cited = true;
+      entry.citations.push(citation);
+    }
+
+    res.json({
+      success: true,
+      question,
+      scope: { type: scope.scope, tag: scope.tag || null, caseNumber: scope.caseNumber || null, documentIds: ids },
+      answer: result.answer,
+      method: result.method,
+      model: result.model,
+      confidence: result.confidence,
+      searchedDocuments: answeredFrom.size,
+      skipped,
+      documents: [...byDocument.values()],
+      citations: result.citations,
+      sources: result.sources
+    });
+  } catch (error) {
+    console.error('Library question error:', error.message);
+    res.status(500).json({ error: 'Question answering failed: ' + error.message });
+  }
+};
+
+// GET /:id/index - whether the retrieval index matches the current text
+const getDocumentIndex = async (req, res) => {
+  try {
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'textRevision']
+    });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    res.json({ success: true, documentId: doc.id, ...await DocumentIndex.indexStatus(doc) });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed: ' + error.message });
+  }
+};
+
+// POST /:id/index - rebuild the retrieval index now
+const reindexDocument = async (req, res) => {
+  try {
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'userId', 'originalText', 'textRevision', 'pages', 'status']
+    });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (!doc.originalText) {
+      return res.status(409).json({ error: 'Document has no extracted text yet', status: doc.status });
+    }
+
+    res.json({ success: true, documentId: doc.id, ...await DocumentIndex.indexDocument(doc) });
+  } catch (error) {
+    res.status(500).json({ error: 'Indexing failed: ' + error.message });
+  }
+};
+
+module.exports = {
+  askDocument,
+  askDocuments,
+  getDocumentIndex,
+  reindexDocument
+};
@@ -0,0 +1,137 @@
+const Document = require('../models/Document');
+const Clause = require('../models/Clause');
+const RiskReview = require('../models/RiskReview');
+const AIHelper = require('../utils/aiHelper');
+const rateLimiter = require('../utils/rateLimiter');
+const { parseClauses, flattenClauses } = require('../utils/clauseParser');
+const { reviewContract } = require('../utils/riskReviewer');
+const { defaultName, playbooks } = require('../config/riskPlaybook');
+
+const REVIEW_SUMMARY_ATTRIBUTES = ['id', 'playbook', 'textRevision', 'score', 'rating',
+  'findingCount', 'aiStatus', 'requestedBy', 'createdAt'];
+
+// Stored clauses when they match the current text, otherwise a fresh parse
+const clausesFor = async (doc) => {
+  const stored = await Clause.findAll({
+    where: { documentId: doc.id, textRevision: doc.textRevision },
+    attributes: ['id', 'position', 'depth', 'reference', 'heading', 'text', 'start', 'end', 'category'],
+    order: [['position', 'ASC']]
+  });
+  if (stored.length > 0) return stored.map(clause => clause.get({ plain: true }));
+
+  return flattenClauses(parseClauses(doc.originalText).tree);
+};
+
+// Why the LLM pass is not run, or null when it can be
+const aiUnavailableReason = (req, playbook) => {
+  if (req.body.ai === false || req.body.ai === 'false') return 'Disabled for this request';
+  if (!playbook.ai || !playbook.ai.enabled) return 'Disabled in the playbook';
+  if (!process.env.OPENAI_API_KEY) return 'OpenAI API key not configured';
+  if (!rateLimiter.canMakeRequest(req.user.id)) {
+    return `Rate limit of ${rateLimiter.maxRequestsPerMinute} AI requests per minute reached`;
+  }
+  return null;
+};
+
+const reviewResponse = (review, doc) => ({
+  success: true,
+  reviewId: review.id,
+  documentId: doc.id,
+  textRevision: review.textRevision,
+  stale: review.textRevision !== doc.textRevision,
+  createdAt: review.createdAt,
+  ...JSON.parse(review.report)
+});
+
+// POST /:id/risk-review { playbook, ai }
+const reviewDocument = async (req, res) => {
+  try {
+    const playbookName = req.body.playbook || defaultName;
+    const playbook = playbooks.get(playbookName);
+    if (!playbook) {
+      return res.status(400).json({
+        error: `Unknown playbook: ${playbookName}`,
+        playbooks: [...playbooks.keys()]
+      });
+    }
+
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (!doc.originalText) {
+      return res.status(409).json({ error: 'Document has no extracted text yet', status: doc.status });
+    }
+
+    const clauses = await clausesFor(doc);
+
+    const skipReason = aiUnavailableReason(req, playbook);
+    if (!skipReason) rateLimiter.recordRequest(req.user.id);
+
+    const report = await reviewContract(doc.originalText, clauses, playbook, {
+      aiReview: skipReason ? null : (text, config) => AIHelper.reviewContractRisks(text, config)
+    });
+    if (skipReason) report.ai.reason = skipReason;
+
+    const review = await RiskReview.create({
+      documentId: doc.id,
+      requestedBy: req.user.id,
+      playbook: playbook.name,
+      textRevision: doc.textRevision,
+      score: report.score,
+      rating: report.rating,
+      findingCount: report.findings.length,
+      aiStatus: report.ai.status,
+      report: JSON.stringify(report)
+    });
+
+    res.status(201).json(reviewResponse(review, doc));
+  } catch (error) {
+    console.error('Risk review error:', error);
+    res.status(500).json({ error: 'Risk review failed: ' + error.message });
+  }
+};
+
+// GET /:id/risk-review - latest report; ?history=true lists earlier runs without findings
+const getRiskReview = async (req, res) => {
+  try {
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'textRevision']
+    });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    if (req.query.history === 'true') {
+      const reviews = await RiskReview.findAll({
+        where: { documentId: doc.id },
+        attributes: REVIEW_SUMMARY_ATTRIBUTES,
+        order: [['createdAt', 'DESC']]
+      });
+      return res.json({ success: true, documentId: doc.id, reviews });
+    }
+
+    const review = await RiskReview.findOne({
+      where: { documentId: doc.id },
+      order: [['createdAt', 'DESC']]
+    });
+    if (!review) return res.status(404).json({ error: 'Document has not been reviewed yet' });
+
+    res.json(reviewResponse(review, doc));
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
+
+const getRiskPlaybooks = async (req, res) => {
+  res.json({
+    success: true,
+    default: defaultName,
+    playbooks: [...playbooks.values()]
+  });
+};
+
+module.exports = {
+  reviewDocument,
+  getRiskReview,
+  getRiskPlaybooks
+};
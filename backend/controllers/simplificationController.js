@@ -0,0 +1,394 @@
+const Document = require('../models/Document');
+const DocumentSimplification = require('../models/DocumentSimplification');
+const jobQueue = require('../utils/jobQueue');
+const rateLimiter = require('../utils/rateLimiter');
+const SimplificationService = require('../utils/simplificationService');
+const { loadGlossary } = require('../utils/glossary');
+const { SIMPLIFY_DOCUMENT } = require('../utils/documentProcessor');
+const {
+  planSections, chunkSections, COMPLEXITY_LEVELS, SIMPLIFICATION_METHODS
+} = require('../utils/documentSimplifier');
+const { alignSimplification } = require('../utils/textAlignment');
+const { openEventStream } = require('../utils/eventStream');
+
+// Documents that fit in this many chunks are simplified within the request
+const MAX_INLINE_CHUNKS = 2;
+
+const SIMPLIFIED_FORMATS = ['text', 'aligned'];
+
+const SIMPLIFICATION_ATTRIBUTES = ['id', 'complexity', 'method', 'model', 'promptVersion', 'textRevision',
+  'readabilityScore', 'wordCountReduction', 'requestedBy', 'createdAt', 'updatedAt'];
+
+// Stored section offsets with the simplified text of each section filled in
+const simplifiedSections = (simplifiedText, sections) => (sections || []).map(section => ({
+  ...section,
+  text: simplifiedText.slice(section.simplified.start, section.simplified.end)
+}));
+
+const describeSimplification = (simplification, doc) => ({
+  ...Object.fromEntries(SIMPLIFICATION_ATTRIBUTES.map(field => [field, simplification[field]])),
+  stale: simplification.textRevision !== doc.textRevision
+});
+
+// Same shape whichever method produced the text and whether or not it was cached.
+// `glossary` holds the user's glossary terms found in the document.
+const simplificationResponse = (doc, simplification, { requestedMethod, glossary, result = null }) => ({
+  success: true,
+  documentId: doc.id,
+  requestedMethod,
+  method: simplification.method,
+  complexity: simplification.complexity,
+  model: simplification.model,
+  promptVersion: simplification.promptVersion,
+  simplifiedText: simplification.simplifiedText,
+  sections: simplifiedSections(simplification.simplifiedText, simplification.sections),
+  readabilityScore: simplification.readabilityScore,
+  wordCountReduction: simplification.wordCountReduction,
+  originalLength: doc.originalText.length,
+  simplifiedLength: simplification.simplifiedText.length,
+  chunkCount: result ? result.chunkCount : null,
+  fallbacks: result ? result.fallbacks : SimplificationService.unconfiguredAttempts(requestedMethod, glossary),
+  glossaryTerms: glossary.entries.map(entry => entry.term),
+  cached: !result,
+  simplification: describeSimplification(simplification, doc)
+});
+
+// Provider errors surface only when the request turned fallback off
+const providerError = (error) => {
+  if (error.code === 'insufficient_quota') {
+    return [503, { error: 'AI service quota exceeded', details: 'Retry with "fallback": true or "method": "basic"' }];
+  }
+  if (error.code === 'rate_limit_exceeded' || error.status === 429) {
+    return [429, { error: 'Rate limit exceeded', details: 'Too many requests to AI service. Please wait and try again.', retryAfter: 60 }];
+  }
+  if (error.code === 'invalid_api_key' || error.status === 401) {
+    return [502, { error: 'AI service rejected the API key' }];
+  }
+  return [500, {
+    error: 'Simplification failed',
+    details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+  }];
+};
+
+// Options and document of a simplify request, or `error: [status, body]` to respond with
+const simplifyRequest = async (req) => {
+  const { complexity = 'simple', force = false, fallback = true, fallbackToLocal = false } = req.body;
+  const method = fallbackToLocal ? 'basic' : (req.body.method || 'ai');
+
+  if (!SIMPLIFICATION_METHODS.includes(method)) {
+    return {
+      error: [400, {
+        error: 'Invalid simplification method',
+        details: `Method must be one of: ${SIMPLIFICATION_METHODS.join(', ')}`
+      }]
+    };
+  }
+  if (!COMPLEXITY_LEVELS.includes(complexity)) {
+    return {
+      error: [400, {
+        error: 'Invalid complexity level',
+        details: `Complexity must be one of: ${COMPLEXITY_LEVELS.join(', ')}`
+      }]
+    };
+  }
+
+  const doc = await Document.findOne({
+    where: { id: req.params.id, userId: req.user.id }
+  });
+  if (!doc) return { error: [404, { error: 'Document not found' }] };
+  if (!doc.originalText || doc.originalText.trim().length === 0) {
+    return {
+      error: [400, {
+        error: 'No text to simplify',
+        details: 'Document does not contain extractable text content'
+      }]
+    };
+  }
+
+  return {
+    doc,
+    method,
+    complexity,
+    force,
+    fallback: fallback !== false && fallback !== 'false',
+    glossary: (await loadGlossary(req.user)).within(doc.originalText)
+  };
+};
+
+const RATE_LIMITED = {
+  error: 'Rate limit exceeded',
+  details: `You can make ${rateLimiter.maxRequestsPerMinute} requests per minute. Please wait before trying again.`,
+  retryAfter: 60,
+  fallbackAvailable: true
+};
+
+// POST /:id/simplify { method: basic|ai|huggingface|hybrid, complexity, force, fallback }
+// `fallbackToLocal: true` is still accepted and means method "basic".
+const simplifyDocument = async (req, res) => {
+  try {
+    const request = await simplifyRequest(req);
+    if (request.error) return res.status(request.error[0]).json(request.error[1]);
+    const {
+      doc, method, complexity, force, fallback, glossary
+    } = request;
+
+    if (!force) {
+      const cached = await SimplificationService.findCached(doc, method, complexity, glossary);
+      if (cached) return res.json(simplificationResponse(doc, cached, { requestedMethod: method, glossary }));
+    }
+
+    const external = SimplificationService.usesExternalService(method);
+    if (external && !rateLimiter.canMakeRequest(req.user.id)) {
+      return res.status(429).json(RATE_LIMITED);
+    }
+
+    // Long documents sent to an external service are simplified in the background;
+    // poll GET /:id/simplify/status
+    const chunkCount = chunkSections(planSections(doc.originalText)).length;
+    if (external && chunkCount > MAX_INLINE_CHUNKS) {
+      const running = await jobQueue.getLatestJob(doc.id, SIMPLIFY_DOCUMENT);
+      const alreadyQueued = running && ['pending', 'running'].includes(running.status)
+        && running.payload.method === method && running.payload.complexity === complexity;
+      if (!alreadyQueued) rateLimiter.recordRequest(req.user.id);
+
+      const job = alreadyQueued
+        ? running
+        : await jobQueue.enqueue(SIMPLIFY_DOCUMENT, { method, complexity, requestedBy: req.user.id }, { documentId: doc.id });
+
+      return res.status(202).json({
+        success: true,
+        status: job.status,
+        jobId: job.id,
+        requestedMethod: method,
+        complexity,
+        chunkCount,
+        statusUrl: `/api/documents/${doc.id}/simplify/status`
+      });
+    }
+
+    if (external) rateLimiter.recordRequest(req.user.id);
+    const result = await SimplificationService.simplifyDocument(doc, {
+      method,
+      complexity,
+      fallback,
+      glossary,
+      requestedBy: req.user.id
+    });
+
+    res.json(simplificationResponse(doc, result.simplification, { requestedMethod: method, glossary, result }));
+  } catch (error) {
+    console.error('Simplification error:', error.message);
+    const [status, body] = providerError(error);
+    res.status(status).json(body);
+  }
+};
+
+// POST /:id/simplify/stream - POST /:id/simplify as Server-Sent Events, for documents of
+// any length:
+//   start    { documentId, requestedMethod, complexity, chunkCount }
+//   token    { section, text }  model output of a section as it arrives (AI methods only)
+//   progress { progress }       share of chunks done, 0-1
+//   done     the body POST /:id/simplify responds with, once the result is stored
+//   error    { status, error, details }
+// Token text is provisional; `done` carries the stitched result. Closing the connection
+// cancels the upstream request and nothing is stored.
+const simplifyDocumentStream = async (req, res) => {
+  let stream = null;
+  try {
+    const request = await simplifyRequest(req);
+    if (request.error) return res.status(request.error[0]).json(request.error[1]);
+    const {
+      doc, method, complexity, force, fallback, glossary
+    } = request;
+
+    const cached = force ? null : await SimplificationService.findCached(doc, method, complexity, glossary);
+    const external = SimplificationService.usesExternalService(method);
+    if (!cached && external) {
+      if (!rateLimiter.canMakeRequest(req.user.id)) return res.status(429).json(RATE_LIMITED);
+      rateLimiter.recordRequest(req.user.id);
+    }
+
+    stream = openEventStream(res);
+    if (cached) {
+      stream.send('done', simplificationResponse(doc, cached, { requestedMethod: method, glossary }));
+      return stream.end();
+    }
+
+    stream.send('start', {
+      documentId: doc.id,
+      requestedMethod: method,
+      complexity,
+      chunkCount: chunkSections(planSections(doc.originalText)).length
+    });
+
+    const result = await SimplificationService.simplifyDocument(doc, {
+      method,
+      complexity,
+      fallback,
+      glossary,
+      requestedBy: req.user.id,
+      signal: stream.signal,
+      onToken: (section, text) => stream.send('token', { section, text }),
+      onProgress: progress => stream.send('progress', { progress: Math.round(progress * 100) / 100 })
+    });
+
+    stream.send('done', simplificationResponse(doc, result.simplification, { requestedMethod: method, glossary, result }));
+    stream.end();
+  } catch (error) {
+    if (stream && stream.signal.aborted) {
+      console.log(`Simplification stream for document ${req.params.id} cancelled by the client`);
+      return stream.end();
+    }
+
+    console.error('Simplification error:', error.message);
+    const [status, body] = providerError(error);
+    if (!stream) return res.status(status).json(body);
+    stream.send('error', { status, ...body });
+    stream.end();
+  }
+};
+
+// GET /:id/simplify/status - progress of a background simplification
+const getSimplificationStatus = async (req, res) => {
+  try {
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'textRevision', 'simplifiedText', 'simplifiedTextRevision', 'simplifiedSections']
+    });
+
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const job = await jobQueue.getLatestJob(doc.id, SIMPLIFY_DOCUMENT);
+    const ready = Boolean(doc.simplifiedText) && !doc.simplifiedTextStale;
+
+    res.json({
+      success: true,
+      documentId: doc.id,
+      ready,
+      job: jobQueue.describe(job),
+      simplifiedText: ready ? doc.simplifiedText : null,
+      sections: ready ? simplifiedSections(doc.simplifiedText, doc.simplifiedSections) : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Status fetch failed' });
+  }
+};
+
+// GET /:id/simplifications - every stored variant, newest first
+const getSimplifications = async (req, res) => {
+  try {
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'textRevision']
+    });
+
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const where = { documentId: doc.id };
+    if (req.query.complexity) where.complexity = req.query.complexity;
+    if (req.query.method) where.method = req.query.method;
+
+    const simplifications = await DocumentSimplification.findAll({
+      where,
+      attributes: SIMPLIFICATION_ATTRIBUTES,
+      order: [['updatedAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      documentId: doc.id,
+      textRevision: doc.textRevision,
+      count: simplifications.length,
+      simplifications: simplifications.map(simplification => describeSimplification(simplification, doc))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
+
+// GET /:id/simplified?format=text|aligned - the current simplification, or a stored one
+// picked with ?variant=<id> or ?complexity=&method=. "aligned" pairs each paragraph and
+// sentence with the original wording it came from.
+const getSimplifiedText = async (req, res) => {
+  try {
+    const format = req.query.format || 'text';
+    if (!SIMPLIFIED_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${SIMPLIFIED_FORMATS.join(', ')}` });
+    }
+
+    const doc = await Document.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      attributes: ['id', 'originalText', 'textRevision', 'simplifiedText', 'simplifiedTextRevision', 'simplifiedSections']
+    });
+
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    let source = {
+      simplification: null,
+      simplifiedText: doc.simplifiedText,
+      sections: doc.simplifiedSections,
+      textRevision: doc.simplifiedTextRevision
+    };
+    const { variant, complexity, method } = req.query;
+    if (variant || complexity || method) {
+      const where = { documentId: doc.id };
+      if (variant) where.id = variant;
+      if (complexity) where.complexity = complexity;
+      if (method) where.method = method;
+
+      const simplification = await DocumentSimplification.findOne({ where, order: [['updatedAt', 'DESC']] });
+      if (!simplification) return res.status(404).json({ error: 'No matching simplification' });
+      source = {
+        simplification: describeSimplification(simplification, doc),
+        simplifiedText: simplification.simplifiedText,
+        sections: simplification.sections,
+        textRevision: simplification.textRevision
+      };
+    }
+
+    if (!source.simplifiedText) {
+      return res.status(404).json({ error: 'Document has not been simplified yet' });
+    }
+
+    const stale = source.textRevision !== doc.textRevision;
+    const response = {
+      success: true,
+      documentId: doc.id,
+      format,
+      simplification: source.simplification,
+      textRevision: source.textRevision,
+      stale
+    };
+
+    if (format === 'aligned') {
+      // A stale simplification no longer matches originalText offsets
+      if (stale) {
+        return res.status(409).json({
+          error: 'The text changed after it was simplified; simplify it again to align it',
+          textRevision: doc.textRevision,
+          simplifiedTextRevision: source.textRevision
+        });
+      }
+      return res.json({
+        ...response,
+        ...alignSimplification(doc.originalText, source.simplifiedText, source.sections)
+      });
+    }
+
+    res.json({
+      ...response,
+      simplifiedText: source.simplifiedText,
+      sections: simplifiedSections(source.simplifiedText, source.sections)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Fetch failed' });
+  }
+};
+
+module.exports = {
+  simplifyDocument,
+  simplifyDocumentStream,
+  getSimplificationStatus,
+  getSimplifications,
+  getSimplifiedText
+};
@@ -28,6 +28,10 @@ const errorHandler = (err, req, res, next) => {
     error = { message: 'File too large', statusCode: 400 };
   }
 
+  if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+    error = { message: err.message, statusCode: 415 };
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
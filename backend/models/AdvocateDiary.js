@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const AdvocateDiary = sequelize.define('AdvocateDiary', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'users', key: 'id' }
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  caseNumber: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  clientName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  category: {
+    type: DataTypes.ENUM('case', 'meeting', 'court_hearing', 'research', 'document_prep', 'other'),
+    defaultValue: 'other'
+  },
+  priority: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
+    defaultValue: 'medium'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'in_progress', 'completed', 'cancelled'),
+    defaultValue: 'pending'
+  },
+  attachments: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  tags: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  reminderDate: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  isArchived: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
+}, {
+  tableName: 'advocate_diaries',
+  indexes: [
+    { fields: ['userId', 'reminderDate'] }
+  ]
+});
+
+module.exports = AdvocateDiary;
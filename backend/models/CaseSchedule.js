@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const CaseSchedule = sequelize.define('CaseSchedule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'users', key: 'id' }
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  caseNumber: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  court: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  judge: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  eventType: {
+    type: DataTypes.ENUM('hearing', 'filing_deadline', 'meeting', 'reminder', 'other'),
+    allowNull: false
+  },
+  scheduledDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  location: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reminderTime: {
+    type: DataTypes.INTEGER,
+    defaultValue: 30
+  },
+  isRecurring: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  recurrencePattern: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('scheduled', 'completed', 'cancelled', 'postponed'),
+    defaultValue: 'scheduled'
+  },
+  participants: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'case_schedules',
+  indexes: [
+    { fields: ['userId', 'scheduledDate'] }
+  ]
+});
+
+module.exports = CaseSchedule;
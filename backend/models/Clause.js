@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Encryption = require('../utils/encryption');
+const Document = require('./Document');
+
+// One node of a document's clause tree, produced by utils/clauseParser
+const Clause = sequelize.define('Clause', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'documents', key: 'id' }
+  },
+  parentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'clauses', key: 'id' }
+  },
+  // Document.textRevision the clauses were parsed from
+  textRevision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Reading order within the document
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  depth: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  kind: {
+    type: DataTypes.ENUM('preamble', 'article', 'section', 'subclause', 'schedule'),
+    allowNull: false
+  },
+  number: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Full citation such as "5.2(a)(ii)" or "ARTICLE 3"
+  reference: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Encrypted at rest like the text, so sized for the ciphertext of a 500-character heading
+  heading: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // The clause's own text, without its sub-clauses
+  text: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false
+  },
+  // Offsets into Document.originalText covering the clause and its sub-clauses
+  start: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  end: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  category: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'other'
+  },
+  categoryConfidence: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: true
+  }
+}, {
+  tableName: 'clauses',
+  indexes: [
+    { fields: ['documentId', 'position'] },
+    { fields: ['documentId', 'category'] },
+    { fields: ['parentId'] }
+  ]
+});
+
+// Callers writing many clauses pass `ownerUserId` in the create options to skip the lookup
+Encryption.encryptFields(Clause, ['heading', 'text'], async (clause, options) => {
+  if (options.ownerUserId) return options.ownerUserId;
+  const doc = await Document.findByPk(clause.documentId, {
+    attributes: ['userId'],
+    transaction: options.transaction
+  });
+  return doc.userId;
+});
+
+module.exports = Clause;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/db');
+const Encryption = require('../utils/encryption');
 
 const Document = sequelize.define('Document', {
   id: {
@@ -40,6 +41,32 @@ const Document = sequelize.define('Document', {
     type: DataTypes.STRING(100),
     allowNull: false
   },
+  // SHA-256 of the uploaded file
+  contentHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // Earlier document with the same content this copy was created from
+  duplicateOf: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'documents', key: 'id' }
+  },
+  // Version chain: every draft points at the first document of the chain
+  versionGroupId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  versionNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  previousVersionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'documents', key: 'id' }
+  },
   documentType: {
     type: DataTypes.ENUM('contract', 'agreement', 'lease', 'will', 'court_document', 'other'),
     defaultValue: 'other'
@@ -56,10 +83,48 @@ const Document = sequelize.define('Document', {
     type: DataTypes.TEXT('long'),
     allowNull: true
   },
+  // Bumped on every manual correction of originalText
+  textRevision: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  // textRevision the cached simplifiedText was generated from
+  simplifiedTextRevision: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Per-section { index, reference, heading, original: { start, end }, simplified: { start, end } }
+  // offsets pairing originalText with simplifiedText
+  simplifiedSections: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  simplifiedTextStale: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      if (this.simplifiedText == null) return false;
+      return this.simplifiedTextRevision !== this.textRevision;
+    }
+  },
   confidence: {
     type: DataTypes.DECIMAL(5, 4),
     allowNull: true
   },
+  // Translator language codes detected or requested for OCR
+  languages: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  pageCount: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Per-page { page, start, end, confidence, method } offsets into originalText
+  pages: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
   downloadCount: {
     type: DataTypes.INTEGER,
     defaultValue: 0
@@ -67,14 +132,32 @@ const Document = sequelize.define('Document', {
   tags: {
     type: DataTypes.JSON,
     allowNull: true
+  },
+  // Case or matter the document is filed under, e.g. "CS(COMM) 123/2024"
+  caseNumber: {
+    type: DataTypes.STRING(100),
+    allowNull: true
   }
 }, {
   tableName: 'documents',
   indexes: [
     { fields: ['userId'] },
     { fields: ['status'] },
-    { fields: ['documentType'] }
+    { fields: ['documentType'] },
+    { fields: ['userId', 'contentHash'] },
+    { fields: ['versionGroupId'] },
+    { fields: ['userId', 'caseNumber'] }
   ]
 });
 
+// Extracted and simplified text are encrypted at rest with the owner's data key
+Encryption.encryptFields(Document, ['originalText', 'simplifiedText'], async (doc, options) => {
+  if (doc.userId) return doc.userId;
+  const owner = await Document.findByPk(doc.id, {
+    attributes: ['userId'],
+    transaction: options.transaction
+  });
+  return owner.userId;
+});
+
 module.exports = Document;
@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Encryption = require('../utils/encryption');
+const Document = require('./Document');
+
+// One retrieval chunk of a document and its embedding, produced by utils/documentIndex.
+// The chunk text is not stored; start/end point into Document.originalText at textRevision.
+// The heading and the embedding are encrypted at rest: a local (feature-hashing) embedding
+// can be matched against hashed words to recover the text.
+const DocumentChunk = sequelize.define('DocumentChunk', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'documents', key: 'id' }
+  },
+  // Document.textRevision the chunk was cut from
+  textRevision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Reading order within the document
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Embedding provider and model; vectors of different models are never compared
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  model: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Clause reference ("4.2") and heading line the chunk belongs to, when known
+  reference: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  heading: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  start: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  end: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Pages the chunk spans, from Document.pages; null for documents without page offsets
+  pageStart: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  pageEnd: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Vector serialised to text so it can be encrypted
+  embedding: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false,
+    get() {
+      const stored = this.getDataValue('embedding');
+      return typeof stored === 'string' && !Encryption.isEncryptedText(stored) ? JSON.parse(stored) : stored;
+    },
+    set(value) {
+      this.setDataValue('embedding', value == null ? null : JSON.stringify(value));
+    }
+  }
+}, {
+  tableName: 'document_chunks',
+  indexes: [
+    { fields: ['documentId', 'provider', 'model', 'position'] }
+  ]
+});
+
+// Indexing passes `ownerUserId` in the create options to skip the lookup
+Encryption.encryptFields(DocumentChunk, ['heading', 'embedding'], async (chunk, options) => {
+  if (options.ownerUserId) return options.ownerUserId;
+  const doc = await Document.findByPk(chunk.documentId, {
+    attributes: ['userId'],
+    transaction: options.transaction
+  });
+  return doc.userId;
+});
+
+module.exports = DocumentChunk;
@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Encryption = require('../utils/encryption');
+const Document = require('./Document');
+const { ENTITY_TYPES } = require('../utils/entityExtractor');
+
+// A named entity found in Document.originalText by utils/entityExtractor
+const DocumentEntity = sequelize.define('DocumentEntity', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'documents', key: 'id' }
+  },
+  // Document.textRevision the entities were extracted from
+  textRevision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM(...ENTITY_TYPES),
+    allowNull: false
+  },
+  // Normalised form used for search, e.g. "INR 45000" or "Section 420 IPC"
+  value: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // The text as it appears in the document
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  start: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  end: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Parsed parts of the value (amount and currency, CNR parts, party role). Serialised to
+  // text so it is encrypted at rest along with the value it repeats.
+  metadata: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const stored = this.getDataValue('metadata');
+      return typeof stored === 'string' && !Encryption.isEncryptedText(stored) ? JSON.parse(stored) : stored;
+    },
+    set(value) {
+      this.setDataValue('metadata', value == null ? null : JSON.stringify(value));
+    }
+  }
+}, {
+  tableName: 'document_entities',
+  indexes: [
+    { fields: ['documentId', 'type'] },
+    { fields: ['type'] }
+  ]
+});
+
+// Callers writing many entities pass `ownerUserId` in the create options to skip the lookup
+Encryption.encryptFields(DocumentEntity, ['value', 'text', 'metadata'], async (entity, options) => {
+  if (options.ownerUserId) return options.ownerUserId;
+  const doc = await Document.findByPk(entity.documentId, {
+    attributes: ['userId'],
+    transaction: options.transaction
+  });
+  return doc.userId;
+});
+
+module.exports = DocumentEntity;
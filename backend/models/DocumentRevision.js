@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Encryption = require('../utils/encryption');
+const Document = require('./Document');
+
+const DocumentRevision = sequelize.define('DocumentRevision', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'documents', key: 'id' }
+  },
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.ENUM('ocr', 'manual'),
+    allowNull: false
+  },
+  text: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false
+  },
+  page: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  editedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' }
+  },
+  note: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  tableName: 'document_revisions',
+  indexes: [
+    { fields: ['documentId', 'revision'], unique: true }
+  ]
+});
+
+Encryption.encryptFields(DocumentRevision, ['text'], async (revision, options) => {
+  const doc = await Document.findByPk(revision.documentId, {
+    attributes: ['userId'],
+    transaction: options.transaction
+  });
+  return doc.userId;
+});
+
+module.exports = DocumentRevision;
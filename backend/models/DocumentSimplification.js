@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Encryption = require('../utils/encryption');
+const Document = require('./Document');
+const { COMPLEXITY_LEVELS, SIMPLIFICATION_METHODS } = require('../utils/documentSimplifier');
+
+// One stored simplification of a document per complexity level, method, model and
+// prompt version. Regenerating a variant replaces its row.
+const DocumentSimplification = sequelize.define('DocumentSimplification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'documents', key: 'id' }
+  },
+  requestedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' }
+  },
+  // Document.textRevision the text was simplified from
+  textRevision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  complexity: {
+    type: DataTypes.ENUM(...COMPLEXITY_LEVELS),
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.ENUM(...SIMPLIFICATION_METHODS),
+    allowNull: false
+  },
+  model: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  promptVersion: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  simplifiedText: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false
+  },
+  // Section offsets as in Document.simplifiedSections; null when not chunked by section
+  sections: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Flesch reading ease of simplifiedText, 0-100
+  readabilityScore: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  wordCountReduction: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'document_simplifications',
+  indexes: [
+    {
+      unique: true,
+      fields: ['documentId', 'complexity', 'method', 'model', 'promptVersion'],
+      name: 'document_simplifications_variant'
+    }
+  ]
+});
+
+Encryption.encryptFields(DocumentSimplification, ['simplifiedText'], async (simplification, options) => {
+  if (options.ownerUserId) return options.ownerUserId;
+  const doc = await Document.findByPk(simplification.documentId, {
+    attributes: ['userId'],
+    transaction: options.transaction
+  });
+  return doc.userId;
+});
+
+module.exports = DocumentSimplification;
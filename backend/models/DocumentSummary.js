@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Encryption = require('../utils/encryption');
+const Document = require('./Document');
+
+// Stored AI summary of a document, one per summary type (utils/documentSummarizer).
+// Regenerating a type replaces its row.
+const DocumentSummary = sequelize.define('DocumentSummary', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'documents', key: 'id' }
+  },
+  requestedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' }
+  },
+  // Document.textRevision the summary was made from
+  textRevision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  summaryType: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  model: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  promptVersion: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Markdown
+  summary: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false
+  }
+}, {
+  tableName: 'document_summaries',
+  indexes: [
+    {
+      unique: true,
+      fields: ['documentId', 'summaryType'],
+      name: 'document_summaries_type'
+    }
+  ]
+});
+
+Encryption.encryptFields(DocumentSummary, ['summary'], async (summary, options) => {
+  if (options.ownerUserId) return options.ownerUserId;
+  const doc = await Document.findByPk(summary.documentId, {
+    attributes: ['userId'],
+    transaction: options.transaction
+  });
+  return doc.userId;
+});
+
+module.exports = DocumentSummary;
@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Encryption = require('../utils/encryption');
+const Document = require('./Document');
+
+// Stored translation of a document into one language. Translating again with the same
+// text revision and glossary is served from here; otherwise the row is replaced.
+const DocumentTranslation = sequelize.define('DocumentTranslation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'documents', key: 'id' }
+  },
+  requestedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' }
+  },
+  // Document.textRevision the translation was made from
+  textRevision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Source language as requested; "auto" lets the provider detect it
+  originalLanguage: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  targetLanguage: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  // Glossary.version of the glossary terms found in the text; null when none applied
+  glossaryVersion: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  originalText: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false
+  },
+  translatedText: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false
+  },
+  // Glossary terms given their preferred rendering or kept untranslated
+  glossaryTerms: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  confidence: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  provider: {
+    type: DataTypes.ENUM('google', 'openai', 'mymemory', 'custom'),
+    defaultValue: 'google'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'completed', 'failed'),
+    defaultValue: 'pending'
+  }
+}, {
+  tableName: 'document_translations',
+  indexes: [
+    {
+      unique: true,
+      fields: ['documentId', 'originalLanguage', 'targetLanguage'],
+      name: 'document_translations_language_pair'
+    }
+  ]
+});
+
+Encryption.encryptFields(DocumentTranslation, ['originalText', 'translatedText'], async (translation, options) => {
+  if (options.ownerUserId) return options.ownerUserId;
+  const doc = await Document.findByPk(translation.documentId, {
+    attributes: ['userId'],
+    transaction: options.transaction
+  });
+  return doc.userId;
+});
+
+module.exports = DocumentTranslation;
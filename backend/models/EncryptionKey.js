@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+// Per-owner data keys for envelope encryption, stored wrapped by a master key
+const EncryptionKey = sequelize.define('EncryptionKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  ownerType: {
+    type: DataTypes.ENUM('user', 'organization'),
+    allowNull: false
+  },
+  ownerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  // iv + auth tag + encrypted key, base64
+  wrappedKey: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  masterKeyId: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Retired keys still decrypt existing data but are never used for new writes
+  status: {
+    type: DataTypes.ENUM('active', 'retired'),
+    defaultValue: 'active'
+  },
+  rotatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'encryption_keys',
+  indexes: [
+    { fields: ['ownerType', 'ownerId', 'version'], unique: true },
+    { fields: ['ownerType', 'ownerId', 'status'] }
+  ]
+});
+
+module.exports = EncryptionKey;
@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+// A defined legal term and how it should be simplified and translated. Global terms apply
+// to everyone, org terms to users of one organisation and user terms to their owner; the
+// narrower scope wins when the same term is defined more than once (see utils/glossary).
+const GlossaryTerm = sequelize.define('GlossaryTerm', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  scope: {
+    type: DataTypes.ENUM('global', 'org', 'user'),
+    allowNull: false,
+    defaultValue: 'user'
+  },
+  // User.organization for org terms
+  organization: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Owner of user terms
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' }
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' }
+  },
+  term: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    validate: { len: [1, 200] }
+  },
+  // Language the term is written in
+  language: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'en'
+  },
+  // Plain-language wording used by basic simplification; null keeps the term as written
+  replacement: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  definition: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Preferred rendering per target language: { hi: 'वकालतनामा', ta: '...' }
+  translations: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Keep the term verbatim in translations that have no preferred rendering
+  doNotTranslate: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  caseSensitive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
+}, {
+  tableName: 'glossary_terms',
+  indexes: [
+    { fields: ['scope', 'organization'] },
+    { fields: ['userId'] },
+    { fields: ['term', 'language'] }
+  ]
+});
+
+module.exports = GlossaryTerm;
@@ -0,0 +1,107 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Encryption = require('../utils/encryption');
+const Document = require('./Document');
+
+// A dated or recurring commitment found in a document by utils/obligationExtractor,
+// and the calendar entries it was pushed to
+const Obligation = sequelize.define('Obligation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'documents', key: 'id' }
+  },
+  clauseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'clauses', key: 'id' }
+  },
+  // Document.textRevision the obligation was extracted from
+  textRevision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('deadline', 'payment', 'renewal', 'expiry', 'notice_period'),
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Party responsible, as named in the document ("Tenant", "Service Provider")
+  party: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  dueDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  // Deadlines counted from an event with no known date, e.g. "30 days of receipt of invoice"
+  relativeTo: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  recurrence: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  noticeDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reference: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // The sentence the obligation was read from, with its offsets into Document.originalText
+  sourceText: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  start: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  end: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  caseScheduleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'case_schedules', key: 'id' }
+  },
+  diaryEntryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'advocate_diaries', key: 'id' }
+  }
+}, {
+  tableName: 'obligations',
+  indexes: [
+    { fields: ['documentId', 'start'] },
+    { fields: ['dueDate'] }
+  ]
+});
+
+Encryption.encryptFields(Obligation, ['title', 'party', 'relativeTo', 'amount', 'sourceText'], async (obligation, options) => {
+  if (options.ownerUserId) return options.ownerUserId;
+  const doc = await Document.findByPk(obligation.documentId, {
+    attributes: ['userId'],
+    transaction: options.transaction
+  });
+  return doc.userId;
+});
+
+module.exports = Obligation;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+const ProcessingJob = sequelize.define('ProcessingJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'documents', key: 'id' }
+  },
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'failed'),
+    defaultValue: 'pending'
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  progress: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 3
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'processing_jobs',
+  indexes: [
+    { fields: ['documentId'] },
+    { fields: ['status', 'runAt'] }
+  ]
+});
+
+module.exports = ProcessingJob;
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+// A question put to the legal chatbot (controllers/queryController). Questions of one
+// conversation share a sessionId; answers are stored as QueryResponse rows.
+const Query = sequelize.define('Query', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'users', key: 'id' }
+  },
+  question: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  context: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // As given, or as classified by AIHelper.classifyQuery ("family", "commercial", ...)
+  category: {
+    type: DataTypes.STRING(50),
+    defaultValue: 'general'
+  },
+  priority: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
+    defaultValue: 'medium'
+  },
+  // "cancelled" when the client disconnected from a streamed answer before it finished
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed', 'cancelled'),
+    defaultValue: 'pending'
+  },
+  sessionId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'queries',
+  indexes: [
+    { fields: ['userId', 'sessionId'] }
+  ]
+});
+
+module.exports = Query;
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+// The chatbot's answer to a Query, with the user's rating of it
+const QueryResponse = sequelize.define('QueryResponse', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  queryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'queries', key: 'id' }
+  },
+  response: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false
+  },
+  confidence: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  sources: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Milliseconds from the question to the complete answer
+  processingTime: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  rating: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: { min: 1, max: 5 }
+  },
+  feedback: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'query_responses'
+});
+
+module.exports = QueryResponse;
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const Encryption = require('../utils/encryption');
+const Document = require('./Document');
+
+// A scored risk report for a document, produced by utils/riskReviewer
+const RiskReview = sequelize.define('RiskReview', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'documents', key: 'id' }
+  },
+  requestedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' }
+  },
+  playbook: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Document.textRevision the review was run against
+  textRevision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  score: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  rating: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+    allowNull: false
+  },
+  findingCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  aiStatus: {
+    type: DataTypes.ENUM('used', 'skipped', 'failed'),
+    allowNull: false,
+    defaultValue: 'skipped'
+  },
+  // Full report as JSON. Stored as text so the quoted contract spans are encrypted.
+  report: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false
+  }
+}, {
+  tableName: 'risk_reviews',
+  indexes: [
+    { fields: ['documentId', 'createdAt'] }
+  ]
+});
+
+Encryption.encryptFields(RiskReview, ['report'], async (review, options) => {
+  const doc = await Document.findByPk(review.documentId, {
+    attributes: ['userId'],
+    transaction: options.transaction
+  });
+  return doc.userId;
+});
+
+module.exports = RiskReview;
@@ -28,6 +28,12 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  // Firm the user works for; members share its organisation-scoped glossary terms.
+  // Set with `npm run set-organization`, not through the profile endpoint.
+  organization: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
   role: {
     type: DataTypes.ENUM('user', 'admin'),
     defaultValue: 'user'
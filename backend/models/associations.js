@@ -1,6 +1,22 @@
 // This file handles all model associations to avoid circular imports
 const User = require('./User');
 const Document = require('./Document');
+const ProcessingJob = require('./ProcessingJob');
+const DocumentRevision = require('./DocumentRevision');
+const EncryptionKey = require('./EncryptionKey');
+const Clause = require('./Clause');
+const RiskReview = require('./RiskReview');
+const CaseSchedule = require('./CaseSchedule');
+const AdvocateDiary = require('./AdvocateDiary');
+const Obligation = require('./Obligation');
+const DocumentEntity = require('./DocumentEntity');
+const DocumentSimplification = require('./DocumentSimplification');
+const GlossaryTerm = require('./GlossaryTerm');
+const DocumentChunk = require('./DocumentChunk');
+const DocumentSummary = require('./DocumentSummary');
+const DocumentTranslation = require('./DocumentTranslation');
+const Query = require('./Query');
+const QueryResponse = require('./QueryResponse');
 
 // Define associations after both models are loaded
 User.hasMany(Document, {
@@ -14,7 +30,244 @@ Document.belongsTo(User, {
   as: 'user'
 });
 
+Document.belongsTo(Document, {
+  foreignKey: 'duplicateOf',
+  as: 'original',
+  onDelete: 'SET NULL'
+});
+
+Document.hasMany(Document, {
+  foreignKey: 'duplicateOf',
+  as: 'copies'
+});
+
+Document.belongsTo(Document, {
+  foreignKey: 'previousVersionId',
+  as: 'previousVersion',
+  onDelete: 'SET NULL'
+});
+
+Document.hasMany(ProcessingJob, {
+  foreignKey: 'documentId',
+  as: 'jobs',
+  onDelete: 'CASCADE'
+});
+
+ProcessingJob.belongsTo(Document, {
+  foreignKey: 'documentId',
+  as: 'document'
+});
+
+Document.hasMany(DocumentRevision, {
+  foreignKey: 'documentId',
+  as: 'revisions',
+  onDelete: 'CASCADE'
+});
+
+DocumentRevision.belongsTo(Document, {
+  foreignKey: 'documentId',
+  as: 'document'
+});
+
+DocumentRevision.belongsTo(User, {
+  foreignKey: 'editedBy',
+  as: 'editor'
+});
+
+Document.hasMany(Clause, {
+  foreignKey: 'documentId',
+  as: 'clauses',
+  onDelete: 'CASCADE'
+});
+
+Clause.belongsTo(Document, {
+  foreignKey: 'documentId',
+  as: 'document'
+});
+
+Clause.hasMany(Clause, {
+  foreignKey: 'parentId',
+  as: 'children',
+  onDelete: 'CASCADE'
+});
+
+Clause.belongsTo(Clause, {
+  foreignKey: 'parentId',
+  as: 'parent'
+});
+
+Document.hasMany(RiskReview, {
+  foreignKey: 'documentId',
+  as: 'riskReviews',
+  onDelete: 'CASCADE'
+});
+
+RiskReview.belongsTo(Document, {
+  foreignKey: 'documentId',
+  as: 'document'
+});
+
+User.hasMany(CaseSchedule, {
+  foreignKey: 'userId',
+  as: 'schedules',
+  onDelete: 'CASCADE'
+});
+
+CaseSchedule.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+User.hasMany(AdvocateDiary, {
+  foreignKey: 'userId',
+  as: 'diaryEntries',
+  onDelete: 'CASCADE'
+});
+
+AdvocateDiary.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Document.hasMany(Obligation, {
+  foreignKey: 'documentId',
+  as: 'obligations',
+  onDelete: 'CASCADE'
+});
+
+Obligation.belongsTo(Document, {
+  foreignKey: 'documentId',
+  as: 'document'
+});
+
+// Obligations outlive a re-parse of the clauses and deletion of their calendar entries
+Clause.hasMany(Obligation, {
+  foreignKey: 'clauseId',
+  onDelete: 'SET NULL'
+});
+
+Obligation.belongsTo(Clause, {
+  foreignKey: 'clauseId',
+  as: 'clause'
+});
+
+Obligation.belongsTo(CaseSchedule, {
+  foreignKey: 'caseScheduleId',
+  as: 'scheduleEntry',
+  onDelete: 'SET NULL'
+});
+
+Obligation.belongsTo(AdvocateDiary, {
+  foreignKey: 'diaryEntryId',
+  as: 'diaryEntry',
+  onDelete: 'SET NULL'
+});
+
+Document.hasMany(DocumentEntity, {
+  foreignKey: 'documentId',
+  as: 'entities',
+  onDelete: 'CASCADE'
+});
+
+DocumentEntity.belongsTo(Document, {
+  foreignKey: 'documentId',
+  as: 'document'
+});
+
+Document.hasMany(DocumentSimplification, {
+  foreignKey: 'documentId',
+  as: 'simplifications',
+  onDelete: 'CASCADE'
+});
+
+DocumentSimplification.belongsTo(Document, {
+  foreignKey: 'documentId',
+  as: 'document'
+});
+
+Document.hasMany(DocumentChunk, {
+  foreignKey: 'documentId',
+  as: 'chunks',
+  onDelete: 'CASCADE'
+});
+
+DocumentChunk.belongsTo(Document, {
+  foreignKey: 'documentId',
+  as: 'document'
+});
+
+Document.hasMany(DocumentSummary, {
+  foreignKey: 'documentId',
+  as: 'summaries',
+  onDelete: 'CASCADE'
+});
+
+DocumentSummary.belongsTo(Document, {
+  foreignKey: 'documentId',
+  as: 'document'
+});
+
+Document.hasMany(DocumentTranslation, {
+  foreignKey: 'documentId',
+  as: 'translations',
+  onDelete: 'CASCADE'
+});
+
+DocumentTranslation.belongsTo(Document, {
+  foreignKey: 'documentId',
+  as: 'document'
+});
+
+User.hasMany(GlossaryTerm, {
+  foreignKey: 'userId',
+  as: 'glossaryTerms',
+  onDelete: 'CASCADE'
+});
+
+GlossaryTerm.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'owner'
+});
+
+User.hasMany(Query, {
+  foreignKey: 'userId',
+  as: 'queries',
+  onDelete: 'CASCADE'
+});
+
+Query.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Query.hasMany(QueryResponse, {
+  foreignKey: 'queryId',
+  as: 'responses',
+  onDelete: 'CASCADE'
+});
+
+QueryResponse.belongsTo(Query, {
+  foreignKey: 'queryId',
+  as: 'query'
+});
+
 module.exports = {
   User,
-  Document
-};
\ No newline at end of file
+  Document,
+  ProcessingJob,
+  DocumentRevision,
+  EncryptionKey,
+  Clause,
+  RiskReview,
+  CaseSchedule,
+  AdvocateDiary,
+  Obligation,
+  DocumentEntity,
+  DocumentSimplification,
+  GlossaryTerm,
+  DocumentChunk,
+  DocumentSummary,
+  DocumentTranslation,
+  Query,
+  QueryResponse
+};
@@ -1,9 +1,26 @@
 const express = require('express');
 const {
-  upload, uploadDocument, getDocuments, getDocument,
-  searchDocuments, simplifyDocument, downloadDocument,
-  deleteDocument, getDocumentStats
+  upload, uploadDocument, getDocuments, getDocument, updateDocumentDetails,
+  getDocumentStatus, getDocumentText, updateDocumentText,
+  getDocumentRevisions, getDocumentRevision,
+  uploadVersion, getDocumentVersions, compareDocumentVersions,
+  searchDocuments, downloadDocument, deleteDocument, getDuplicates, getDocumentStats
 } = require('../controllers/documentController');
+const {
+  simplifyDocument, simplifyDocumentStream, getSimplificationStatus, getSimplifications, getSimplifiedText
+} = require('../controllers/simplificationController');
+const { getClauses, getClause, reparseClauses } = require('../controllers/clauseController');
+const { reviewDocument, getRiskReview, getRiskPlaybooks } = require('../controllers/riskController');
+const {
+  getObligations, extractDocumentObligations, scheduleObligations
+} = require('../controllers/obligationController');
+const { searchEntities, getDocumentEntities } = require('../controllers/entityController');
+const {
+  askDocument, askDocuments, getDocumentIndex, reindexDocument
+} = require('../controllers/questionController');
+const {
+  summarizeDocument, getSummaries, downloadSummary, translateDocument, getTranslations
+} = require('../controllers/docAIController');
 const { protect } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -12,9 +29,44 @@ router.use(protect);
 router.post('/upload', upload, uploadDocument);
 router.get('/stats', getDocumentStats);
 router.get('/search', searchDocuments);
+router.get('/duplicates', getDuplicates);
+router.get('/risk-playbooks', getRiskPlaybooks);
+router.get('/entities', searchEntities);
+router.post('/ask', askDocuments);
+router.get('/:id/status', getDocumentStatus);
+router.get('/:id/text', getDocumentText);
+router.put('/:id/text', updateDocumentText);
+router.get('/:id/revisions', getDocumentRevisions);
+router.get('/:id/revisions/:revision', getDocumentRevision);
+router.get('/:id/versions', getDocumentVersions);
+router.post('/:id/versions', upload, uploadVersion);
+router.get('/:id/compare', compareDocumentVersions);
+router.get('/:id/compare/:otherId', compareDocumentVersions);
+router.get('/:id/clauses', getClauses);
+router.post('/:id/clauses', reparseClauses);
+router.get('/:id/clauses/:clauseId', getClause);
+router.get('/:id/entities', getDocumentEntities);
+router.get('/:id/risk-review', getRiskReview);
+router.post('/:id/risk-review', reviewDocument);
+router.get('/:id/obligations', getObligations);
+router.post('/:id/obligations', extractDocumentObligations);
+router.post('/:id/obligations/schedule', scheduleObligations);
 router.get('/:id/download', downloadDocument);
 router.post('/:id/simplify', simplifyDocument);
+router.post('/:id/simplify/stream', simplifyDocumentStream);
+router.get('/:id/simplify/status', getSimplificationStatus);
+router.get('/:id/simplified', getSimplifiedText);
+router.get('/:id/simplifications', getSimplifications);
+router.post('/:id/ask', askDocument);
+router.post('/:id/summarize', summarizeDocument);
+router.get('/:id/summaries', getSummaries);
+router.get('/:id/summaries/:summaryType/download', downloadSummary);
+router.post('/:id/translate', translateDocument);
+router.get('/:id/translations', getTranslations);
+router.get('/:id/index', getDocumentIndex);
+router.post('/:id/index', reindexDocument);
 router.get('/:id', getDocument);
+router.patch('/:id', updateDocumentDetails);
 router.delete('/:id', deleteDocument);
 router.get('/', getDocuments);
 
@@ -0,0 +1,21 @@
+const express = require('express');
+const { protect } = require('../middleware/authMiddleware');
+const {
+  getTerms,
+  getTerm,
+  createTerm,
+  updateTerm,
+  deleteTerm
+} = require('../controllers/glossaryController');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', getTerms);
+router.post('/', createTerm);
+router.get('/:id', getTerm);
+router.put('/:id', updateTerm);
+router.delete('/:id', deleteTerm);
+
+module.exports = router;
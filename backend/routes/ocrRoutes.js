@@ -1,22 +1,84 @@
 const express = require('express');
 const multer = require('multer');
+const fs = require('fs-extra');
 const { protect } = require('../middleware/authMiddleware');
 const OCR = require('../utils/ocrHelper');
+const OCRLayout = require('../utils/ocrLayout');
+const ImagePreprocessor = require('../utils/imagePreprocessor');
+const FileFormats = require('../utils/fileFormats');
 
 const router = express.Router();
-const upload = multer({ dest: 'uploads/temp/', limits: { fileSize: 10 * 1024 * 1024 } });
+const upload = multer({
+  dest: 'uploads/temp/',
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: FileFormats.fileFilter
+});
 
 router.use(protect);
 
 router.post('/extract', upload.single('document'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No file provided' });
+
+    let languages;
+    let preprocess;
+    try {
+      languages = OCR.resolveLanguages(req.body.languages);
+      preprocess = ImagePreprocessor.resolveSteps(req.body.preprocess || req.query.preprocess);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     
-    const result = await OCR.extractText(req.file.path, req.file.mimetype.split('/')[1]);
-    res.json({ success: true, extractedText: result.text });
+    const structured = req.body.output === 'structured' || req.query.output === 'structured';
+    const lowConfidence = parseFloat(req.body.minConfidence || req.query.minConfidence) || OCRLayout.DEFAULT_LOW_CONFIDENCE;
+
+    const result = await OCR.extractText(req.file.path, FileFormats.detectFormat(req.file.originalname, req.file.mimetype), {
+      languages,
+      structured,
+      lowConfidence,
+      preprocess,
+      compareConfidence: (req.body.compare || req.query.compare) !== 'false'
+    });
+
+    const response = {
+      success: true,
+      extractedText: result.text,
+      confidence: result.confidence,
+      languages: result.languages,
+      languageDetection: languages ? 'requested' : 'auto',
+      pages: result.pages && OCR.getPageRange(result.text, result.pages, 1, result.pages.length)
+    };
+
+    if (preprocess) {
+      response.preprocessing = result.preprocessing || [];
+    }
+
+    if (structured) {
+      response.output = 'structured';
+      response.layout = result.layout || [];
+      response.lowConfidenceThreshold = lowConfidence;
+      response.lowConfidenceWords = OCRLayout.collectLowConfidenceWords(response.layout);
+    }
+
+    res.json(response);
   } catch (error) {
     res.status(500).json({ error: 'OCR failed: ' + error.message });
+  } finally {
+    // Nothing is kept; the upload only lives for the request
+    if (req.file) await fs.remove(req.file.path).catch(() => {});
   }
 });
 
+router.get('/formats', (req, res) => {
+  res.json({ success: true, formats: FileFormats.describeSupportedFormats() });
+});
+
+router.get('/languages', (req, res) => {
+  res.json({
+    success: true,
+    languages: OCR.getAvailableLanguages(),
+    preprocessingSteps: ImagePreprocessor.getAvailableSteps()
+  });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+const express = require('express');
+const { protect } = require('../middleware/authMiddleware');
+const {
+  askQuestion,
+  askQuestionStream,
+  getQueryHistory,
+  getQuery,
+  getConversation,
+  rateResponse,
+  getQueryStats
+} = require('../controllers/queryController');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.post('/', askQuestion);
+router.post('/stream', askQuestionStream);
+router.get('/', getQueryHistory);
+router.get('/stats', getQueryStats);
+router.get('/sessions/:sessionId', getConversation);
+router.post('/responses/:id/rating', rateResponse);
+router.get('/:id', getQuery);
+
+module.exports = router;
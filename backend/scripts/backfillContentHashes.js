@@ -0,0 +1,52 @@
+// Content hashes for documents uploaded before duplicate detection existed.
+//
+//   npm run backfill-hashes [-- --user <id>]
+//     Hashes the stored file of every document without a content hash, so it shows up
+//     in GET /api/documents/duplicates. Files missing from storage are reported and
+//     left unhashed; running the script again retries them.
+require('dotenv').config();
+
+const db = require('../config/db');
+const { Document } = require('../models/associations');
+const storage = require('../utils/storage');
+const { hashStream } = require('../utils/contentHash');
+
+const args = process.argv.slice(2);
+const userArg = args.indexOf('--user');
+const onlyUserId = userArg >= 0 ? parseInt(args[userArg + 1]) : null;
+
+const run = async () => {
+  await db.authenticate();
+  await db.sync();
+
+  const unhashed = await Document.findAll({
+    where: { contentHash: null, ...(onlyUserId ? { userId: onlyUserId } : {}) },
+    attributes: ['id', 'filePath'],
+    order: [['id', 'ASC']]
+  });
+
+  let hashed = 0;
+  for (const doc of unhashed) {
+    try {
+      const stream = await storage.getStream(doc.filePath);
+      if (!stream) {
+        console.warn(`Document ${doc.id}: file not found at ${doc.filePath}`);
+        continue;
+      }
+      await doc.update({ contentHash: await hashStream(stream) });
+      hashed += 1;
+    } catch (error) {
+      console.warn(`Document ${doc.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`Hashed ${hashed} of ${unhashed.length} document(s)`);
+};
+
+run()
+  .then(() => db.close())
+  .catch(async (error) => {
+    console.error('❌ Content hash backfill failed:', error.message);
+    await db.close();
+    process.exit(1);
+  });
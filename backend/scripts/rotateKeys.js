@@ -0,0 +1,118 @@
+// Key rotation for encryption at rest.
+//
+//   npm run rotate-keys
+//     Rewraps every data key under the current master key. Run after changing
+//     ENCRYPTION_MASTER_KEY with the previous key listed in ENCRYPTION_OLD_MASTER_KEYS.
+//
+//   npm run rotate-keys -- --data-keys [--user <id>]
+//     Also issues each user a new data key and re-encrypts their files and text with it.
+//     Plaintext left from before encryption was enabled gets encrypted on the way.
+require('dotenv').config();
+
+const db = require('../config/db');
+const {
+  Document, DocumentRevision, Clause, RiskReview, DocumentSimplification, DocumentSummary,
+  DocumentTranslation, DocumentEntity, DocumentChunk, Obligation
+} = require('../models/associations');
+const Encryption = require('../utils/encryption');
+const storage = require('../utils/storage');
+
+const args = process.argv.slice(2);
+const rotateDataKeys = args.includes('--data-keys');
+const userArg = args.indexOf('--user');
+const onlyUserId = userArg >= 0 ? parseInt(args[userArg + 1]) : null;
+
+const DOCUMENT_FIELDS = ['originalText', 'simplifiedText'];
+
+// Encrypted columns of rows belonging to a user's documents. Every model given to
+// Encryption.encryptFields must be listed here (or be Document itself): rows left under a
+// retired key cannot be decrypted, so run() refuses to rotate while one is missing.
+const DOCUMENT_ROWS = [
+  { model: DocumentRevision, fields: ['text'], label: 'revisions' },
+  { model: Clause, fields: ['heading', 'text'], label: 'clauses' },
+  { model: RiskReview, fields: ['report'], label: 'risk reviews' },
+  { model: DocumentSimplification, fields: ['simplifiedText'], label: 'simplifications' },
+  { model: DocumentSummary, fields: ['summary'], label: 'summaries' },
+  { model: DocumentTranslation, fields: ['originalText', 'translatedText'], label: 'translations' },
+  { model: DocumentEntity, fields: ['value', 'text', 'metadata'], label: 'entities' },
+  { model: DocumentChunk, fields: ['heading', 'embedding'], label: 'index chunks' },
+  { model: Obligation, fields: ['title', 'party', 'relativeTo', 'amount', 'sourceText'], label: 'obligations' }
+];
+
+const unrotatedModels = () => {
+  const covered = new Set([Document.name, ...DOCUMENT_ROWS.map(row => row.model.name)]);
+  return [...Encryption.encryptedModels.keys()].filter(name => !covered.has(name));
+};
+
+const reencryptUser = async (userId) => {
+  const key = await Encryption.rotateDataKey(Encryption.ownerForUser(userId));
+  const docs = await Document.findAll({ where: { userId } });
+  let files = 0;
+
+  for (const doc of docs) {
+    const fields = DOCUMENT_FIELDS.filter(field => doc[field] != null);
+    if (fields.length > 0) {
+      fields.forEach(field => doc.changed(field, true));
+      await doc.save({ fields, silent: true });
+    }
+
+    if (await storage.exists(doc.filePath)) {
+      const buffer = await storage.getBuffer(doc.filePath);
+      await storage.putBuffer(doc.filePath, buffer, { contentType: doc.mimeType, ownerUserId: userId });
+      files++;
+    }
+  }
+
+  const counts = [];
+  for (const { model, fields: encrypted, label } of DOCUMENT_ROWS) {
+    const rows = docs.length > 0
+      ? await model.findAll({ where: { documentId: docs.map(doc => doc.id) } })
+      : [];
+    for (const row of rows) {
+      const fields = encrypted.filter(field => row[field] != null);
+      if (fields.length === 0) continue;
+      fields.forEach(field => row.changed(field, true));
+      await row.save({ fields, silent: true, ownerUserId: userId });
+    }
+    counts.push(`${rows.length} ${label}`);
+  }
+
+  console.log(`User ${userId}: key ${key.id}, ${docs.length} documents, ${files} files, ${counts.join(', ')}`);
+};
+
+const run = async () => {
+  if (!Encryption.isEnabled()) {
+    throw new Error('ENCRYPTION_MASTER_KEY is not set');
+  }
+  const unrotated = unrotatedModels();
+  if (rotateDataKeys && unrotated.length > 0) {
+    throw new Error(`Encrypted models not covered by key rotation: ${unrotated.join(', ')}`);
+  }
+
+  await db.authenticate();
+  await db.sync();
+
+  const rewrapped = await Encryption.rewrapKeys();
+  console.log(`Rewrapped ${rewrapped} data key(s) under master key "${process.env.ENCRYPTION_MASTER_KEY_ID || 'master-1'}"`);
+
+  if (rotateDataKeys) {
+    const userIds = onlyUserId
+      ? [onlyUserId]
+      : (await Document.findAll({
+        attributes: [[db.fn('DISTINCT', db.col('userId')), 'userId']],
+        raw: true
+      })).map(row => row.userId);
+
+    for (const userId of userIds) {
+      await reencryptUser(userId);
+    }
+  }
+};
+
+run()
+  .then(() => db.close())
+  .catch(async (error) => {
+    console.error('❌ Key rotation failed:', error.message);
+    await db.close();
+    process.exit(1);
+  });
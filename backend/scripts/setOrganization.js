@@ -0,0 +1,53 @@
+// Assigns users to a firm, which gives them its organisation-scoped glossary terms.
+//
+//   npm run set-organization -- --user <id|email> --organization "<name>"
+//     Sets the user's organisation. --user may be repeated.
+//
+//   npm run set-organization -- --user <id|email> --clear
+//     Removes the user from their organisation.
+require('dotenv').config();
+
+const db = require('../config/db');
+const { User } = require('../models/associations');
+
+const MAX_ORGANIZATION_LENGTH = 100;
+
+const args = process.argv.slice(2);
+const valueOf = flag => (args.indexOf(flag) >= 0 ? args[args.indexOf(flag) + 1] : undefined);
+const userArgs = args.flatMap((arg, index) => (arg === '--user' ? [args[index + 1]] : []));
+const clear = args.includes('--clear');
+const organization = clear ? null : (valueOf('--organization') || '').trim();
+
+const whereFor = value => (/^\d+$/.test(value) ? { id: parseInt(value, 10) } : { email: value });
+
+const run = async () => {
+  if (userArgs.length === 0 || userArgs.some(value => !value)) {
+    throw new Error('Give at least one --user <id|email>');
+  }
+  if (!clear && !organization) throw new Error('Give --organization <name>, or --clear to remove it');
+  if (organization && organization.length > MAX_ORGANIZATION_LENGTH) {
+    throw new Error(`organization must be at most ${MAX_ORGANIZATION_LENGTH} characters`);
+  }
+
+  await db.authenticate();
+  await db.sync();
+
+  for (const value of userArgs) {
+    const user = await User.findOne({ where: whereFor(value), attributes: ['id', 'email', 'organization'] });
+    if (!user) {
+      console.warn(`User ${value}: not found`);
+      continue;
+    }
+    const previous = user.organization;
+    await user.update({ organization });
+    console.log(`User ${user.id} (${user.email}): ${previous || 'no organization'} → ${organization || 'no organization'}`);
+  }
+};
+
+run()
+  .then(() => db.close())
+  .catch(async (error) => {
+    console.error('❌ Setting the organization failed:', error.message);
+    await db.close();
+    process.exit(1);
+  });
@@ -2,16 +2,20 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 require('dotenv').config();
 
 const db = require('./config/db');
 require('./models/associations');
+const jobQueue = require('./utils/jobQueue');
+const Encryption = require('./utils/encryption');
+const { registerDocumentJobs } = require('./utils/documentProcessor');
 
 // Routes
 const authRoutes = require('./routes/authRoutes');
 const documentRoutes = require('./routes/documentRoutes');
 const ocrRoutes = require('./routes/ocrRoutes');
+const glossaryRoutes = require('./routes/glossaryRoutes');
+const queryRoutes = require('./routes/queryRoutes');
 const errorHandler = require('./middleware/errorHandler');
 
 const app = express();
@@ -34,7 +38,6 @@ app.use(rateLimit({
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Routes
 app.get('/health', (req, res) => {
@@ -44,6 +47,8 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/ocr', ocrRoutes);
+app.use('/api/glossary', glossaryRoutes);
+app.use('/api/queries', queryRoutes);
 
 app.use('*', (req, res) => {
   res.status(404).json({ success: false, message: 'Route not found' });
@@ -59,6 +64,14 @@ const startServer = async () => {
     
     await db.sync({ alter: true });
     console.log('✅ Models synchronized');
+
+    if (!Encryption.isEnabled()) {
+      console.warn('⚠️  ENCRYPTION_MASTER_KEY not set - documents are stored unencrypted');
+    }
+
+    registerDocumentJobs(jobQueue);
+    await jobQueue.start();
+    console.log('✅ Job queue started');
     
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseClauses, flattenClauses, classifyClause } = require('../utils/clauseParser');
+
+const CONTRACT = `SERVICES AGREEMENT
+
+ARTICLE 1 DEFINITIONS
+1.1 "Services" means the services in Schedule A.
+
+ARTICLE 2 PAYMENT
+2.1 Fees
+The Client shall pay the fees within 30 days of invoice.
+(a) Invoices are issued monthly.
+(b) Late payments bear interest at 18% per annum.
+2.2 Taxes
+All fees are exclusive of GST.
+
+ARTICLE 3 TERMINATION
+3.1 Either party may terminate this Agreement on 30 days' written notice.
+`;
+
+test('nests articles, sections and lettered sub-clauses with full references', () => {
+  const flat = flattenClauses(parseClauses(CONTRACT).tree);
+  const byReference = new Map(flat.map(clause => [clause.reference, clause]));
+
+  assert.ok(byReference.has('2.1'));
+  assert.equal(byReference.get('2.1(a)').depth, byReference.get('2.1').depth + 1);
+  assert.equal(flat[byReference.get('2.1(b)').parentPosition].reference, '2.1');
+  assert.equal(byReference.get('2.2').heading, 'Taxes');
+});
+
+test('offsets point back into the source text', () => {
+  const flat = flattenClauses(parseClauses(CONTRACT).tree);
+  const clause = flat.find(c => c.reference === '3.1');
+
+  assert.match(CONTRACT.slice(clause.start, clause.end), /^3\.1 Either party may terminate/);
+});
+
+test('categorises clauses by heading and wording', () => {
+  const flat = flattenClauses(parseClauses(CONTRACT).tree);
+
+  assert.equal(flat.find(c => c.reference === '2.1').category, 'payment');
+  assert.equal(flat.find(c => c.reference === '3.1').category, 'termination');
+  assert.equal(classifyClause('Governing Law', 'This Agreement is governed by the laws of India.').category, 'governing_law');
+});
+
+test('text without numbering gives no numbered clauses', () => {
+  const flat = flattenClauses(parseClauses('Just a letter.\n\nWith two paragraphs.').tree);
+
+  assert.ok(flat.every(clause => clause.reference === null));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareTexts, diffWords } = require('../utils/documentDiff');
+
+const BEFORE = `1. Definitions apply throughout.
+
+2. The Supplier shall deliver the goods within thirty days of the order date to the site.
+
+3. Payment is due on invoice.
+
+4. Governing law is India.`;
+
+const types = result => result.changes.map(change => change.type);
+
+test('identical texts are all equal', () => {
+  const result = compareTexts(BEFORE, BEFORE);
+
+  assert.ok(types(result).every(type => type === 'equal'));
+  assert.equal(result.summary.unchanged, 4);
+});
+
+test('renumbering alone is a reformat, not a change', () => {
+  const after = BEFORE.replace('1. Definitions', '(1) Definitions').replace('3. Payment', '3) Payment');
+  const result = compareTexts(BEFORE, after);
+
+  assert.equal(result.summary.unchanged, 4);
+  assert.equal(result.summary.modified, 0);
+});
+
+test('an edited clause is modified with a word diff', () => {
+  const result = compareTexts(BEFORE, BEFORE.replace('thirty days', 'forty five days'));
+  const modified = result.changes.find(change => change.type === 'modified');
+
+  const changed = type => modified.words.filter(part => part.type === type).map(part => part.text.trim()).join(' ');
+  assert.equal(changed('deleted'), 'thirty');
+  assert.equal(changed('inserted'), 'forty five');
+});
+
+test('a clause moved and edited is one move with a word diff', () => {
+  const after = `1. Definitions apply throughout.
+
+2. Payment is due on invoice.
+
+3. Governing law is India.
+
+4. The Supplier must deliver the goods within forty five days of the order date to the site.`;
+  const result = compareTexts(BEFORE, after);
+
+  assert.equal(result.summary.moved, 1);
+  assert.equal(result.summary.inserted, 0);
+  assert.equal(result.summary.deleted, 0);
+  const moved = result.changes.find(change => change.type === 'moved-to');
+  assert.ok(moved.words.some(part => part.type === 'inserted' && part.text.includes('must')));
+});
+
+test('a rewritten clause is a deletion and an insertion', () => {
+  const after = BEFORE.replace('3. Payment is due on invoice.', '3. A wholly new indemnity clause appears here.');
+  const result = compareTexts(BEFORE, after);
+
+  assert.equal(result.summary.deleted, 1);
+  assert.equal(result.summary.inserted, 1);
+  assert.equal(result.summary.unchanged, 3);
+});
+
+test('a small edit in place is not reported as a move', () => {
+  const result = compareTexts(BEFORE, BEFORE.replace('to the site', 'to the site office'));
+
+  assert.equal(result.summary.moved, 0);
+  assert.equal(result.summary.modified, 1);
+});
+
+test('diffWords keeps whitespace so parts join back into the texts', () => {
+  const parts = diffWords('pay within 30 days', 'pay within 45 days');
+
+  assert.equal(parts.filter(part => part.type !== 'inserted').map(part => part.text).join(''), 'pay within 30 days');
+  assert.equal(parts.filter(part => part.type !== 'deleted').map(part => part.text).join(''), 'pay within 45 days');
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The local provider needs no network; OpenAI is never called
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+process.env.EMBEDDING_PROVIDER = 'local';
+
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const { localEmbedding, cosineSimilarity } = require('../utils/embeddings');
+const DocumentIndex = require('../utils/documentIndex');
+
+// Chunks kept in memory in place of the document_chunks table
+const stored = [];
+Document.sequelize.transaction = async fn => fn({});
+DocumentChunk.destroy = async ({ where }) => {
+  for (let i = stored.length - 1; i >= 0; i--) if (stored[i].documentId === where.documentId) stored.splice(i, 1);
+};
+DocumentChunk.bulkCreate = async (rows) => {
+  rows.forEach(row => stored.push({ id: stored.length + 1, ...row }));
+};
+DocumentChunk.findAll = async ({ where }) => stored.filter(chunk => [].concat(where.documentId).includes(chunk.documentId)
+  && (where.provider === undefined || chunk.provider === where.provider)
+  && (where.position === undefined || chunk.position === where.position));
+
+const LEASE = {
+  id: 1,
+  title: 'Lease',
+  textRevision: 1,
+  pages: null,
+  originalText: `LEASE
+
+1. Term
+The lease runs for eleven months from the start date.
+
+2. Rent
+The Tenant shall pay rent of Rs. 25,000 every month into the Landlord's bank account.
+
+3. Termination
+Either party may terminate the lease on one month's written notice.`
+};
+const NDA = {
+  id: 2,
+  title: 'NDA',
+  textRevision: 1,
+  pages: null,
+  originalText: `1. Confidential Information
+The Recipient shall keep the Confidential Information secret and use it only for the Purpose.
+
+2. Return of Materials
+On request the Recipient shall return all confidential materials.`
+};
+
+test('local embeddings are deterministic, normalised and word-order tolerant', () => {
+  const a = localEmbedding('termination for convenience');
+
+  assert.deepEqual(a, localEmbedding('termination for convenience'));
+  assert.ok(Math.abs(cosineSimilarity(a, a) - 1) < 1e-6);
+  assert.ok(cosineSimilarity(a, localEmbedding('convenience termination')) > 0.8);
+  assert.ok(cosineSimilarity(a, localEmbedding('payment of rent')) < 0.2);
+});
+
+test('chunks follow clauses and carry their reference, heading and pages', () => {
+  const chunks = DocumentIndex.chunkText(LEASE.originalText, [
+    { page: 1, start: 0, end: 80 },
+    { page: 2, start: 80, end: LEASE.originalText.length }
+  ]);
+  const rent = chunks.find(chunk => chunk.reference === '2');
+
+  assert.equal(rent.heading, '2. Rent');
+  assert.match(LEASE.originalText.slice(rent.start, rent.end), /^2\. Rent\nThe Tenant shall pay/);
+  assert.deepEqual([rent.pageStart, rent.pageEnd], [1, 2]);
+});
+
+test('finds clause references in questions', () => {
+  assert.deepEqual(DocumentIndex.referencesIn('What does clause 4.2(a) say about section 7?'), ['4.2(a)', '7']);
+});
+
+test('retrieval ranks the clause that answers the question first', async () => {
+  await DocumentIndex.indexDocument(LEASE);
+  const [best] = await DocumentIndex.retrieve([LEASE], 'How much rent does the tenant pay?', { topK: 2 });
+
+  assert.equal(best.reference, '2');
+  assert.match(best.text, /Rs\. 25,000/);
+});
+
+test('a clause named in the question comes first whatever its score', async () => {
+  const passages = await DocumentIndex.retrieve([LEASE], 'Is there anything in clause 3?', { topK: 3 });
+
+  assert.equal(passages[0].reference, '3');
+  assert.equal(passages[0].referenced, true);
+});
+
+test('every document gets its best passage before any gets a second', async () => {
+  await DocumentIndex.indexDocument(NDA);
+  const passages = await DocumentIndex.retrieve([LEASE, NDA], 'rent payable by the tenant every month', { topK: 2 });
+
+  assert.deepEqual(passages.map(passage => passage.documentId).sort(), [1, 2]);
+});
+
+test('chunks of an older text revision are not retrieved, and show as stale', async () => {
+  const revised = { ...LEASE, textRevision: 2 };
+
+  assert.deepEqual(await DocumentIndex.retrieve([revised], 'rent', { topK: 3 }), []);
+  assert.deepEqual((await DocumentIndex.staleDocuments([revised, NDA])).map(doc => doc.id), [1]);
+});
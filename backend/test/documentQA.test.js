@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// documentQA loads aiHelper, which needs a key; OpenAI is never called
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const { withinBudget } = require('../utils/documentQA');
+
+const passage = (documentId, length) => ({ documentId, text: 'x'.repeat(length) });
+
+test('keeps every passage that fits, in order', () => {
+  const passages = [passage(1, 100), passage(2, 100), passage(1, 100)];
+
+  assert.deepEqual(withinBudget(passages, 300), passages);
+});
+
+test("takes each document's best passage before a second one", () => {
+  const passages = [passage(1, 400), passage(1, 400), passage(2, 400), passage(3, 400)];
+
+  assert.deepEqual(withinBudget(passages, 1200).map(kept => kept.documentId), [1, 2, 3]);
+});
+
+test('always keeps the first passage, even over the budget', () => {
+  assert.deepEqual(withinBudget([passage(1, 5000), passage(2, 10)], 1000).map(kept => kept.documentId), [1]);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simplifyText } = require('../utils/documentSimplifier');
+
+const LEASE = `1. Term
+The lease runs for eleven months.
+
+2. Rent
+The Tenant shall pay rent monthly.
+`;
+
+test('stitches simplified sections under their original headings', async () => {
+  const { simplifiedText, sections } = await simplifyText(LEASE, {
+    simplifyChunk: async chunk => chunk.map(section => `Simply: ${section.text}`)
+  });
+
+  assert.equal(simplifiedText, '1. Term\nSimply: The lease runs for eleven months.\n\n2. Rent\nSimply: The Tenant shall pay rent monthly.');
+  assert.deepEqual(sections.map(section => section.reference), ['1', '2']);
+  assert.equal(simplifiedText.slice(sections[1].simplified.start, sections[1].simplified.end),
+    '2. Rent\nSimply: The Tenant shall pay rent monthly.');
+});
+
+test('a section that comes back empty fails the simplification', async () => {
+  await assert.rejects(
+    simplifyText(LEASE, { simplifyChunk: async chunk => chunk.map((section, index) => (index === 1 ? '  ' : section.text)) }),
+    /no text for section 2/
+  );
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractEntities } = require('../utils/entityExtractor');
+
+const TEXT = `Agreement dated 15th April 2024 between ABC Properties Pvt Ltd (hereinafter referred to as the "Landlord") and Ravi Kumar ("Tenant"). Rent of Rs. 2.5 lakhs and a deposit of ₹45,000/- are payable. Case W.P.(C) No. 1234/2023, CNR MHAU010012342023, under Section 420 of the Indian Penal Code.`;
+
+const ofType = (entities, type) => entities.filter(entity => entity.type === type);
+
+test('names parties with their defined roles', () => {
+  const parties = ofType(extractEntities(TEXT), 'party');
+
+  assert.deepEqual(parties.map(party => party.value), ['ABC Properties Pvt Ltd (Landlord)', 'Ravi Kumar (Tenant)']);
+  assert.equal(TEXT.slice(parties[0].start, parties[0].end), 'ABC Properties Pvt Ltd (hereinafter referred to as the "Landlord")');
+});
+
+test('accepts "hereinafter" without "referred to as"', () => {
+  const [party] = ofType(extractEntities('Lease between ABC Pvt Ltd (hereinafter "the Landlord") and others.'), 'party');
+
+  assert.equal(party.value, 'ABC Pvt Ltd (Landlord)');
+});
+
+test('normalises Indian amounts including lakhs', () => {
+  const amounts = ofType(extractEntities(TEXT), 'amount');
+
+  assert.deepEqual(amounts.map(amount => amount.metadata), [
+    { amount: 250000, currency: 'INR' },
+    { amount: 45000, currency: 'INR' }
+  ]);
+});
+
+test('splits CNR numbers and case numbers into their parts', () => {
+  const entities = extractEntities(TEXT);
+
+  assert.deepEqual(ofType(entities, 'cnr')[0].metadata, {
+    state: 'MH', district: 'AU', establishment: '01', serial: '001234', year: '2023'
+  });
+  assert.deepEqual(ofType(entities, 'case_number')[0].metadata, { kind: 'W.P.(C)', number: '1234', year: '2023' });
+});
+
+test('abbreviates statutes', () => {
+  assert.equal(ofType(extractEntities(TEXT), 'statute')[0].value, 'Section 420 IPC');
+});
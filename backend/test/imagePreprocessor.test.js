@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const ImagePreprocessor = require('../utils/imagePreprocessor');
+
+// A page of black word-boxes in rows, rotated by `angle` degrees (positive = clockwise)
+const page = (angle) => {
+  const rows = Array.from({ length: 14 }, (_, row) => Array.from({ length: 9 }, (_, word) => (
+    `<rect x="${60 + word * 55}" y="${80 + row * 38}" width="${30 + ((row * 7 + word * 13) % 18)}" height="10" fill="black"/>`
+  )).join('')).join('');
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="640" height="640">
+    <rect width="640" height="640" fill="white"/><g transform="rotate(${angle} 320 320)">${rows}</g></svg>`);
+};
+
+const toRaw = async (input) => {
+  const { data, info } = await sharp(input).greyscale().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+};
+
+test('measures the skew of a greyscale page', async () => {
+  assert.ok(Math.abs(await ImagePreprocessor.estimateSkew(await toRaw(page(3))) - 3) <= 0.2);
+  assert.ok(Math.abs(await ImagePreprocessor.estimateSkew(await toRaw(page(-3))) + 3) <= 0.2);
+  assert.equal(await ImagePreprocessor.estimateSkew(await toRaw(page(0))), 0);
+});
+
+test('measures the skew of a black-and-white page', async () => {
+  const bilevel = angle => sharp(page(angle)).greyscale().threshold(128).png().toBuffer();
+
+  assert.ok(Math.abs(await ImagePreprocessor.estimateSkew(await toRaw(await bilevel(3))) - 3) <= 0.2);
+  assert.ok(Math.abs(await ImagePreprocessor.estimateSkew(await toRaw(await bilevel(-3))) + 3) <= 0.2);
+});
+
+test('deskew straightens the page', async () => {
+  const { buffer, steps } = await ImagePreprocessor.run(page(3), { steps: ['deskew'] });
+  const deskew = steps.find(step => step.step === 'deskew');
+
+  assert.equal(deskew.applied, true);
+  assert.ok(Math.abs(await ImagePreprocessor.estimateSkew(await toRaw(buffer))) <= 0.2);
+});
+
+test('resolves step lists and rejects unknown steps', () => {
+  assert.equal(ImagePreprocessor.resolveSteps('none'), null);
+  assert.deepEqual(ImagePreprocessor.resolveSteps('Deskew, threshold'), ['deskew', 'threshold']);
+  assert.throws(() => ImagePreprocessor.resolveSteps('sharpen'), /Unknown preprocessing step/);
+});
+
+test('adaptive threshold leaves only black and white', async () => {
+  const result = ImagePreprocessor.adaptiveThreshold(await toRaw(page(0)));
+
+  assert.deepEqual([...new Set(result.data)].sort((a, b) => a - b), [0, 255]);
+});
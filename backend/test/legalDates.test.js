@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  findDates, findDurations, findNoticePeriods, addDuration, nextOccurrence
+} = require('../utils/legalDates');
+
+test('reads written and numeric dates, day first', () => {
+  const dates = findDates('Signed on the 15th day of April, 2024 and amended on 03/05/2024 and March 1, 2025.');
+
+  assert.deepEqual(dates.map(date => date.date), ['2024-04-15', '2024-05-03', '2025-03-01']);
+});
+
+test('rejects impossible dates', () => {
+  assert.deepEqual(findDates('Due on 31/02/2024.'), []);
+});
+
+test('reads durations written in words and figures', () => {
+  const [duration] = findDurations('for a period of eleven (11) months');
+
+  assert.equal(duration.value, 11);
+  assert.equal(duration.unit, 'month');
+});
+
+test('reads notice periods in both word orders', () => {
+  const periods = findNoticePeriods("thirty (30) days' prior written notice, or a notice period of not less than 15 days");
+
+  assert.deepEqual(periods.map(period => period.days), [30, 15]);
+});
+
+test('adding months keeps the day or clamps it to the month end', () => {
+  assert.equal(addDuration('2024-01-31', 1, 'month'), '2024-02-29');
+  assert.equal(addDuration('2024-04-01', 11, 'month'), '2025-03-01');
+  assert.equal(addDuration('2024-04-01', 30, 'day'), '2024-05-01');
+});
+
+test('finds the next monthly and yearly occurrence', () => {
+  assert.equal(nextOccurrence({ frequency: 'monthly', day: 5 }, '2024-04-10'), '2024-05-05');
+  assert.equal(nextOccurrence({ frequency: 'monthly', day: 31 }, '2024-02-01'), '2024-02-29');
+  assert.equal(nextOccurrence({ frequency: 'yearly', day: 1, month: 4 }, '2024-06-01'), '2025-04-01');
+});
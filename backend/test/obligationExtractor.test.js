@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseClauses, flattenClauses } = require('../utils/clauseParser');
+const { extractObligations } = require('../utils/obligationExtractor');
+
+const LEASE = `LEASE AGREEMENT
+
+This Lease Agreement is made on 1st April 2024 between ABC Properties Pvt Ltd (hereinafter "the Landlord") and Ravi Kumar (hereinafter referred to as the "Tenant").
+
+1. Term
+The lease shall commence on 1st April 2024 and continue for a period of eleven (11) months.
+
+2. Rent
+The Tenant shall pay a monthly rent of Rs. 25,000/- on or before the 5th day of each month.
+
+3. Renewal
+The lease may be renewed by mutual consent on written notice of thirty (30) days before expiry.
+
+4. Termination
+4.1 Either party may terminate this lease by giving one month's prior written notice.
+`;
+
+const extract = text => extractObligations(text, flattenClauses(parseClauses(text).tree));
+
+test('dates the term from the effective date', () => {
+  const { effectiveDate, termEnd, obligations } = extract(LEASE);
+
+  assert.equal(effectiveDate, '2024-04-01');
+  assert.equal(termEnd, '2025-02-28');
+  const expiry = obligations.find(obligation => obligation.type === 'expiry');
+  assert.equal(expiry.dueDate, termEnd);
+  assert.equal(expiry.reference, '1');
+});
+
+test('reads recurring payments with amount and party', () => {
+  const payment = extract(LEASE).obligations.find(obligation => obligation.type === 'payment');
+
+  assert.deepEqual(payment.recurrence, { frequency: 'monthly', day: 5 });
+  assert.equal(payment.party, 'Tenant');
+  assert.match(payment.amount, /25,000/);
+});
+
+test('notice periods are counted in days', () => {
+  const notice = extract(LEASE).obligations.find(obligation => obligation.type === 'notice_period');
+
+  assert.equal(notice.noticeDays, 30);
+  assert.equal(notice.reference, '4.1');
+});
+
+test('source sentences start after the clause heading', () => {
+  for (const obligation of extract(LEASE).obligations) {
+    assert.doesNotMatch(obligation.sourceText, /^\d+\.\s/, obligation.sourceText);
+  }
+});
+
+test('a clause heading does not create an obligation of its own', () => {
+  const renewals = extract(LEASE).obligations.filter(obligation => obligation.type === 'renewal');
+
+  assert.equal(renewals.length, 1);
+  assert.equal(renewals[0].noticeDays, 30);
+  assert.match(renewals[0].sourceText, /^The lease may be renewed/);
+});
@@ -1,156 +1,258 @@
 // utils/aiHelper.js
 const OpenAI = require('openai');
-const natural = require('natural');
-const compromise = require('compromise');
+const EntityExtractor = require('./entityExtractor');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 });
 
-class AIHelper {
-  // Summarize legal document
-  async summarizeDocument(text, summaryType = 'brief') {
-    try {
-      const maxTokens = summaryType === 'brief' ? 200 : 500;
-      
-      const prompt = `Please provide a ${summaryType} summary of the following legal document. Focus on key legal points, parties involved, obligations, and important dates:
+// Turns streamed simplifySections output into onToken(sectionId, text) calls without the
+// [[S<id>]] marker lines. Text before the first marker belongs to `firstId`, if given.
+const sectionSplitter = (firstId, onToken) => {
+  let current = firstId;
+  let atStart = true;
+  let buffer = '';
+
+  const emit = (text) => {
+    const piece = atStart ? text.replace(/^\s+/, '') : text;
+    if (!piece || current === null) return;
+    atStart = false;
+    onToken(current, piece);
+  };
+
+  const drain = (final) => {
+    let match;
+    while ((match = buffer.match(/\[\[S(\d+)\]\]/))) {
+      emit(buffer.slice(0, match.index));
+      current = Number(match[1]);
+      atStart = true;
+      buffer = buffer.slice(match.index + match[0].length);
+    }
+    // Hold back what may be the start of a marker cut off at the end of this piece
+    const held = final ? -1 : buffer.search(/\[(?:\[(?:S\d*\]?)?)?$/);
+    emit(held === -1 ? buffer : buffer.slice(0, held));
+    buffer = held === -1 ? '' : buffer.slice(held);
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      drain(false);
+    },
+    end() {
+      drain(true);
+    }
+  };
+};
+
+// Chat completion request for a chatbot question, with recent conversation as context
+const legalAdviceRequest = (question, context = {}) => {
+  let systemPrompt = `You are an AI legal advisor. Provide helpful legal information and guidance while making it clear that this is general information and not specific legal advice. Always recommend consulting with a qualified attorney for specific legal matters.
+
+Important disclaimers to include:
+- This is general legal information, not specific legal advice
+- Laws vary by jurisdiction
+- Recommend consulting with a qualified attorney
+- For urgent legal matters, seek immediate professional help`;
+
+  let userPrompt = question;
+
+  if (context.conversationHistory && context.conversationHistory.length > 0) {
+    const recentHistory = context.conversationHistory.slice(-3);
+    userPrompt = `Previous conversation context:\n${recentHistory.map(h => `Q: ${h.question}\nA: ${h.answer}`).join('\n\n')}\n\nCurrent question: ${question}`;
+  }
+
+  if (context.category) {
+    systemPrompt += `\n\nThis question is in the category: ${context.category}`;
+  }
 
-${text.substring(0, 8000)}`;
+  return {
+    model: 'gpt-4',
+    messages: [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      {
+        role: 'user',
+        content: userPrompt
+      }
+    ],
+    max_tokens: 800,
+    temperature: 0.4
+  };
+};
 
+class AIHelper {
+  // Summarize a legal document following the instructions of a summary type
+  // (utils/documentSummarizer). The summary comes back as Markdown.
+  async summarizeDocument(text, { instructions, maxTokens = 500, model = 'gpt-4' }) {
+    try {
       const response = await openai.chat.completions.create({
-        model: 'gpt-4',
+        model,
         messages: [
           {
             role: 'system',
-            content: 'You are a legal expert specializing in document analysis and summarization. Provide clear, accurate summaries that highlight the most important legal aspects.'
+            content: `You are a legal expert specializing in document analysis and summarization. Provide clear, accurate summaries that highlight the most important legal aspects.
+Write in Markdown. Use only what the document says; where it is silent or unclear, say so rather than guessing.`
           },
           {
             role: 'user',
-            content: prompt
+            content: `${instructions}\n\nDocument:\n${text}`
           }
         ],
         max_tokens: maxTokens,
         temperature: 0.3
       });
 
-      return response.choices[0].message.content.trim();
+      const summary = (response.choices[0]?.message?.content || '').trim();
+      if (!summary) throw new Error('Empty response from AI service');
+      return summary;
     } catch (error) {
       console.error('Document summarization error:', error);
       throw new Error('Failed to summarize document');
     }
   }
 
-  // Simplify legal language
-  async simplifyLegalText(text, complexityLevel = 'simple') {
-    try {
-      let instruction = '';
-      
-      switch (complexityLevel) {
-        case 'simple':
-          instruction = 'Rewrite this legal text in simple, everyday language that a high school student can understand. Avoid legal jargon and explain complex concepts clearly.';
-          break;
-        case 'intermediate':
-          instruction = 'Rewrite this legal text in clearer language while maintaining some legal terminology. Make it accessible to someone with basic legal knowledge.';
-          break;
-        case 'detailed':
-          instruction = 'Rewrite this legal text to be clearer and more organized while preserving all legal nuances and important details.';
-          break;
-        default:
-          instruction = 'Simplify this legal text to make it more understandable.';
+  // Simplify several sections of one document in a single call. Each section is sent
+  // behind a [[S<id>]] marker and the reply is split on the same markers, so the result
+  // is one string per section in the order given. The model and prompt version are
+  // recorded with each stored result (see utils/documentSimplifier). Terms of the
+  // optional `glossary` (utils/glossary) found in the sections come with the wording to use.
+  // With `onToken(sectionId, text)` the reply is streamed section by section as it arrives;
+  // aborting `signal` cancels the request.
+  async simplifySections(sections, complexity = 'simple', { model = 'gpt-3.5-turbo', glossary = null, onToken = null, signal } = {}) {
+    const instructions = {
+      simple: 'Rewrite each section using simple, everyday language. Keep it brief.',
+      moderate: 'Simplify each section for general understanding. Be concise.',
+      detailed: 'Simplify each section while preserving key information. Be efficient.'
+    };
+    const input = sections
+      .map(section => `[[S${section.id}]]\n${section.text}`)
+      .join('\n\n');
+    const glossaryLines = glossary ? glossary.instructionsFor(input) : [];
+    const glossaryNote = glossaryLines.length
+      ? `\n\nUse the firm's glossary for these terms:\n${glossaryLines.join('\n')}`
+      : '';
+
+    const request = {
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: `You are a legal document simplification expert. Be concise and clear.
+The user sends sections of one document, each starting with a marker line such as [[S3]].
+Reply with every section in the same order, each starting with its unchanged marker line followed by the simplified text.
+Section headings have been removed and are added back afterwards; keep any clause number that starts a section.`
+        },
+        {
+          role: 'user',
+          content: `${instructions[complexity] || instructions.simple}${glossaryNote}\n\n${input}`
+        }
+      ],
+      max_tokens: 1500,
+      temperature: 0.2
+    };
+
+    let content = '';
+    let finishReason = null;
+    if (onToken) {
+      const stream = await openai.chat.completions.create({ ...request, stream: true }, { signal });
+      const splitter = sectionSplitter(sections.length === 1 ? sections[0].id : null, onToken);
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        finishReason = chunk.choices[0]?.finish_reason || finishReason;
+        if (text) {
+          content += text;
+          splitter.push(text);
+        }
       }
+      // The stream ends quietly when aborted
+      signal?.throwIfAborted();
+      splitter.end();
+    } else {
+      const response = await openai.chat.completions.create(request, { signal });
+      content = response.choices[0]?.message?.content || '';
+      finishReason = response.choices[0]?.finish_reason || null;
+    }
 
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a legal expert who specializes in making complex legal language accessible to non-lawyers while maintaining accuracy.'
-          },
-          {
-            role: 'user',
-            content: `${instruction}\n\nLegal text:\n${text.substring(0, 6000)}`
-          }
-        ],
-        max_tokens: 1000,
-        temperature: 0.4
-      });
+    const truncated = finishReason === 'length';
+    content = content.trim();
+    if (!content) throw new Error('Empty response from AI service');
+    if (sections.length === 1) {
+      if (truncated) throw new Error(`Simplified section was cut off at ${request.max_tokens} tokens`);
+      return [content.replace(/^\s*\[\[S\d+\]\]\s*/, '')];
+    }
 
-      return response.choices[0].message.content.trim();
-    } catch (error) {
-      console.error('Text simplification error:', error);
-      throw new Error('Failed to simplify legal text');
+    const byId = new Map();
+    const parts = content.split(/^\s*\[\[S(\d+)\]\]\s*$/m);
+    for (let i = 1; i < parts.length; i += 2) {
+      byId.set(Number(parts[i]), parts[i + 1].trim());
+    }
+    // Output cut off at max_tokens: the last section is incomplete and later ones missing
+    if (truncated && parts.length > 1) byId.delete(Number(parts[parts.length - 2]));
+
+    // Sections the model merged, dropped or did not reach are simplified on their own
+    const results = [];
+    for (const section of sections) {
+      results.push(byId.get(section.id) || (await this.simplifySections([section], complexity, { model, glossary, onToken, signal }))[0]);
     }
+    return results;
   }
 
-  // Answer questions about documents
-  async answerDocumentQuestion(documentText, question) {
-    try {
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a legal expert who analyzes documents and answers questions about them. Provide accurate, specific answers based only on the document content. If the answer is not in the document, clearly state that.'
-          },
-          {
-            role: 'user',
-            content: `Document content:\n${documentText.substring(0, 8000)}\n\nQuestion: ${question}`
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.2
-      });
+  // Answer a question from retrieved passages ({ id, label, text }). The model cites the
+  // passages it used as [P<id>]; the cited ids are returned in order of first use.
+  // With `multipleDocuments` the labels name each passage's document.
+  async answerFromPassages(question, passages, { model = 'gpt-4', multipleDocuments = false } = {}) {
+    const context = passages
+      .map(passage => `[P${passage.id}] ${passage.label}\n${passage.text}`)
+      .join('\n\n');
+    const perDocument = multipleDocuments
+      ? '\nThe passages come from several documents; answer document by document, naming each one.'
+      : '';
+
+    const response = await openai.chat.completions.create({
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: `You are a legal expert who answers questions about documents using only the passages provided.
+Each passage starts with an id such as [P3] followed by where it comes from.
+Cite the passages that support each statement with their ids, e.g. "The notice period is 30 days [P3]."
+If the passages do not contain the answer, say so clearly instead of guessing.${perDocument}`
+        },
+        {
+          role: 'user',
+          content: `Passages:\n${context}\n\nQuestion: ${question}`
+        }
+      ],
+      max_tokens: 700,
+      temperature: 0.2
+    });
+
+    const answer = (response.choices[0]?.message?.content || '').trim();
+    if (!answer) throw new Error('Empty response from AI service');
+
+    const known = new Set(passages.map(passage => passage.id));
+    const cited = [...answer.matchAll(/\[P(\d+)\]/g)]
+      .map(match => Number(match[1]))
+      .filter((id, index, ids) => known.has(id) && ids.indexOf(id) === index);
+
+    return { answer, cited, confidence: this.calculateConfidence(answer) };
+  }
 
-      const answer = response.choices[0].message.content.trim();
-      
-      return {
-        response: answer,
-        confidence: this.calculateConfidence(answer),
-        sources: this.extractRelevantSections(documentText, question)
-      };
-    } catch (error) {
-      console.error('Document question answering error:', error);
-      throw new Error('Failed to answer question about document');
-    }
+  // Embedding vectors for several texts in one call
+  async embedTexts(texts, { model = 'text-embedding-3-small' } = {}) {
+    const response = await openai.embeddings.create({ model, input: texts });
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
   }
 
   // Generate legal advice
   async generateLegalAdvice(question, context = {}) {
     try {
-      let systemPrompt = `You are an AI legal advisor. Provide helpful legal information and guidance while making it clear that this is general information and not specific legal advice. Always recommend consulting with a qualified attorney for specific legal matters.
-
-Important disclaimers to include:
-- This is general legal information, not specific legal advice
-- Laws vary by jurisdiction
-- Recommend consulting with a qualified attorney
-- For urgent legal matters, seek immediate professional help`;
-
-      let userPrompt = question;
-
-      if (context.conversationHistory && context.conversationHistory.length > 0) {
-        const recentHistory = context.conversationHistory.slice(-3);
-        userPrompt = `Previous conversation context:\n${recentHistory.map(h => `Q: ${h.question}\nA: ${h.answer}`).join('\n\n')}\n\nCurrent question: ${question}`;
-      }
-
-      if (context.category) {
-        systemPrompt += `\n\nThis question is in the category: ${context.category}`;
-      }
-
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ],
-        max_tokens: 800,
-        temperature: 0.4
-      });
+      const response = await openai.chat.completions.create(legalAdviceRequest(question, context));
 
       const answer = response.choices[0].message.content.trim();
 
@@ -166,6 +268,81 @@ Important disclaimers to include:
     }
   }
 
+  // generateLegalAdvice streamed: `onToken(text)` receives each piece of the answer as it
+  // arrives. Aborting `signal` cancels the upstream request and rejects with the abort error.
+  async streamLegalAdvice(question, context = {}, { onToken = () => {}, signal } = {}) {
+    const stream = await openai.chat.completions.create(
+      { ...legalAdviceRequest(question, context), stream: true },
+      { signal }
+    );
+
+    let answer = '';
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) {
+        answer += text;
+        onToken(text);
+      }
+    }
+    // The stream ends quietly when aborted
+    signal?.throwIfAborted();
+
+    answer = answer.trim();
+    if (!answer) throw new Error('Empty response from AI service');
+
+    return {
+      answer,
+      confidence: this.calculateConfidence(answer),
+      sources: [],
+      processingTime: Date.now() - (context.startTime || Date.now())
+    };
+  }
+
+  // Contract risk review: issues the rule-based playbook checks cannot catch.
+  // Returns findings with a verbatim quote so they can be located in the document.
+  async reviewContractRisks(text, playbook) {
+    const maxChars = 12000;
+    const checks = Object.entries(playbook.checks)
+      .filter(([, config]) => config.enabled !== false)
+      .map(([check]) => check);
+
+    const response = await openai.chat.completions.create({
+      model: 'gpt-4',
+      messages: [
+        {
+          role: 'system',
+          content: `You are a senior contracts lawyer reviewing a contract for the party receiving it. Identify clauses that are risky, one-sided or unusual.
+Respond with JSON only: {"findings": [{"check": string, "severity": "critical"|"high"|"medium"|"low", "title": string, "quote": string, "explanation": string, "recommendation": string}]}
+- "check" is one of: ${[...checks, 'other'].join(', ')}
+- "quote" is copied verbatim from the contract, at most 300 characters
+- Report at most ${playbook.ai.maxFindings || 10} findings, most serious first`
+        },
+        {
+          role: 'user',
+          content: `Contract:\n${text.substring(0, maxChars)}`
+        }
+      ],
+      max_tokens: 1500,
+      temperature: 0.2
+    });
+
+    const content = response.choices[0].message.content.trim();
+    let parsed;
+    try {
+      parsed = JSON.parse(content.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (error) {
+      throw new Error('Risk review response was not valid JSON');
+    }
+
+    return {
+      model: response.model,
+      truncated: text.length > maxChars,
+      findings: Array.isArray(parsed.findings)
+        ? parsed.findings.filter(finding => finding && finding.title && finding.explanation)
+        : []
+    };
+  }
+
   // Classify query category
   async classifyQuery(question) {
     try {
@@ -219,24 +396,26 @@ Important disclaimers to include:
     }
   }
 
-  // Extract entities from legal text
+  // Extract entities from legal text, grouped by kind. utils/entityExtractor has the
+  // offsets; this is the flat view used in prompts and responses.
   extractEntities(text) {
     try {
-      const doc = compromise(text);
-      
-      // Extract different types of entities
-      const entities = {
-        people: doc.people().out('array'),
-        places: doc.places().out('array'),
-        organizations: doc.organizations().out('array'),
-        dates: doc.dates().out('array'),
-        money: doc.money().out('array'),
+      const entities = EntityExtractor.extractEntities(text);
+      const valuesOf = type => [...new Set(entities.filter(entity => entity.type === type).map(entity => entity.value))];
+
+      return {
+        parties: valuesOf('party'),
+        people: valuesOf('person'),
+        places: valuesOf('place'),
+        organizations: valuesOf('organization'),
+        dates: valuesOf('date'),
+        money: valuesOf('amount'),
+        caseNumbers: valuesOf('case_number'),
+        cnrNumbers: valuesOf('cnr'),
+        statutes: valuesOf('statute'),
         emails: text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g) || [],
-        phoneNumbers: text.match(/(\+?1[-.\s]?)?\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4}/g) || [],
-        caseNumbers: text.match(/\b(?:case|matter|file)\s*(?:no\.?|number|#)\s*:?\s*([a-z0-9\-\/]+)/gi) || []
+        phoneNumbers: text.match(/(?:\+91[-\s]?)?\b[6-9]\d{4}[-\s]?\d{5}\b/g) || []
       };
-
-      return entities;
     } catch (error) {
       console.error('Entity extraction error:', error);
       return {};
@@ -282,40 +461,6 @@ Important disclaimers to include:
     return Math.max(0.1, Math.min(1.0, confidence));
   }
 
-  // Extract relevant sections from document for citations
-  extractRelevantSections(documentText, question) {
-    try {
-      const questionWords = question.toLowerCase().split(' ').filter(word => word.length > 3);
-      const sentences = documentText.split(/[.!?]+/);
-      
-      const relevantSections = sentences
-        .map((sentence, index) => ({
-          text: sentence.trim(),
-          index,
-          relevance: this.calculateSentenceRelevance(sentence, questionWords)
-        }))
-        .filter(section => section.relevance > 0.2)
-        .sort((a, b) => b.relevance - a.relevance)
-        .slice(0, 3)
-        .map(section => section.text);
-
-      return relevantSections;
-    } catch (error) {
-      console.error('Section extraction error:', error);
-      return [];
-    }
-  }
-
-  // Calculate how relevant a sentence is to the question
-  calculateSentenceRelevance(sentence, questionWords) {
-    const sentenceWords = sentence.toLowerCase().split(' ');
-    const matches = questionWords.filter(word => 
-      sentenceWords.some(sentenceWord => sentenceWord.includes(word))
-    );
-    
-    return matches.length / questionWords.length;
-  }
-
   // Generate document templates with AI
   async generateDocumentTemplate(templateType, requirements = {}) {
     try {
@@ -0,0 +1,414 @@
+// Splits contract text into a tree of articles, sections and sub-clauses, keeping
+// numbering, headings and character offsets into the source text, and tags each
+// clause with the kind of provision it is (payment, termination, indemnity...).
+
+const ROMAN = /^[ivxlcdm]+$/i;
+
+// Line-start markers, most specific first. `style` decides nesting: a marker whose
+// style is already open closes back to that level, a new style opens a child level.
+const MARKERS = [
+  {
+    style: 'article',
+    pattern: /^(ARTICLE|Article|CHAPTER|Chapter|PART|Part)\s+([0-9]+|[IVXLC]+|[A-Z])\b[.:\-–—]?\s*/
+  },
+  {
+    style: 'schedule',
+    pattern: /^(SCHEDULE|Schedule|ANNEXURE|Annexure|ANNEX|Annex|APPENDIX|Appendix|EXHIBIT|Exhibit)\s+([0-9]+|[IVXLC]+|[A-Z])\b[.:\-–—]?\s*/
+  },
+  {
+    style: 'decimal',
+    pattern: /^(?:(Section|SECTION|Clause|CLAUSE)\s+)?(\d{1,3}(?:\.\d{1,3})*)(?:\.(?!\d)|\))?\s+(?=\S)/,
+    // "Section 2" and bare "2." need a terminator; "2.1" is unambiguous on its own
+    accept: (match) => Boolean(match[1]) || /[.)]\s*$/.test(match[0].trim()) || match[2].includes('.')
+  },
+  {
+    style: 'paren-number',
+    pattern: /^\((\d{1,3})\)\s+/
+  },
+  {
+    style: 'paren-alpha',
+    pattern: /^\(([a-z]{1,2})\)\s+/
+  },
+  {
+    style: 'alpha',
+    pattern: /^([a-z])[.)]\s+/
+  },
+  {
+    style: 'upper-alpha',
+    pattern: /^([A-Z])[.)]\s+(?=[A-Z])/
+  }
+];
+
+const CATEGORY_RULES = {
+  definitions: {
+    heading: /definition|interpretation|meaning/i,
+    text: [/\bshall mean\b/i, /\bmeans\b/i, /\bhereinafter referred to as\b/i, /\bshall have the meaning\b/i]
+  },
+  term: {
+    heading: /\b(term|duration|commencement|effective date|tenure|period of (agreement|lease))\b/i,
+    text: [/\bshall commence\b/i, /\bfor a (period|term) of\b/i, /\beffective date\b/i, /\bshall remain in (full )?force\b/i]
+  },
+  payment: {
+    heading: /payment|fees?|consideration|price|compensation|invoic|rent\b|remuneration|charges/i,
+    text: [/\bshall pay\b/i, /\binvoice/i, /(₹|rs\.?|inr|usd|\$)\s?\d/i, /\bwithin \d+ days of (receipt|invoice)/i, /\blate (payment|fee)/i, /\bgst\b/i, /\btds\b/i]
+  },
+  security_deposit: {
+    heading: /security deposit|earnest money|advance/i,
+    text: [/\bsecurity deposit\b/i, /\brefundable deposit\b/i, /\binterest[- ]free deposit\b/i]
+  },
+  termination: {
+    heading: /termination|expiry|cancellation|determination/i,
+    text: [/\bterminate\b/i, /\btermination\b/i, /\bnotice period\b/i, /\bupon expiry\b/i, /\bmaterial breach\b/i]
+  },
+  confidentiality: {
+    heading: /confidential|non-disclosure|secrecy/i,
+    text: [/\bconfidential information\b/i, /\bshall not disclose\b/i, /\bkeep (strictly )?confidential\b/i, /\bproprietary information\b/i]
+  },
+  indemnity: {
+    heading: /indemn/i,
+    text: [/\bindemnif/i, /\bhold harmless\b/i, /\bdefend\b.*\bagainst\b/i]
+  },
+  limitation_of_liability: {
+    heading: /limitation of liability|liability|damages/i,
+    text: [/\bin no event\b/i, /\bconsequential\b/i, /\baggregate liability\b/i, /\bshall not be liable\b/i, /\bindirect\b.*\bdamages\b/i]
+  },
+  warranties: {
+    heading: /warrant|representation/i,
+    text: [/\brepresents and warrants\b/i, /\bwarrants that\b/i, /\bas is\b/i, /\bdisclaim/i]
+  },
+  intellectual_property: {
+    heading: /intellectual property|ownership|copyright|licen[cs]e|trademark|patent/i,
+    text: [/\bintellectual property\b/i, /\bcopyright\b/i, /\btrade ?marks?\b/i, /\bpatents?\b/i, /\bwork made for hire\b/i, /\bshall vest\b/i]
+  },
+  governing_law: {
+    heading: /governing law|applicable law|jurisdiction/i,
+    text: [/\bgoverned by\b.*\blaws? of\b/i, /\bconstrued in accordance with\b/i, /\bcourts? (at|of|in)\b.*\bexclusive jurisdiction\b/i, /\bexclusive jurisdiction\b/i]
+  },
+  dispute_resolution: {
+    heading: /dispute|arbitration|mediation|conciliation/i,
+    text: [/\barbitrat/i, /\barbitration and conciliation act\b/i, /\bmediat/i, /\bamicabl[ey]\b/i, /\bseat of arbitration\b/i]
+  },
+  force_majeure: {
+    heading: /force majeure|act of god|vis major/i,
+    text: [/\bforce majeure\b/i, /\bact of god\b/i, /\bbeyond the (reasonable )?control\b/i, /\bepidemic|pandemic\b/i]
+  },
+  notices: {
+    heading: /notices?\b|communication/i,
+    text: [/\bnotices? (shall|must) be (given|sent|in writing)\b/i, /\bregistered post\b/i, /\bby (e-?mail|courier|hand delivery)\b/i, /\baddress(ed)? for notices?\b/i]
+  },
+  assignment: {
+    heading: /assignment|transfer|sub-?let|sub-?contract/i,
+    text: [/\bshall not assign\b/i, /\bassign or transfer\b/i, /\bsub-?let\b/i, /\bwithout the prior written consent\b.*\bassign/i]
+  },
+  non_compete: {
+    heading: /non-?compet|restrictive covenant|exclusivity/i,
+    text: [/\bshall not (directly or indirectly )?(engage|compete)\b/i, /\bcompeting business\b/i, /\bnon-?compet/i]
+  },
+  non_solicitation: {
+    heading: /non-?solicit/i,
+    text: [/\bsolicit\b/i, /\bentice away\b/i]
+  },
+  data_protection: {
+    heading: /data protection|privacy|personal data/i,
+    text: [/\bpersonal data\b/i, /\bdigital personal data protection\b/i, /\bdata protection\b/i, /\bprivacy\b/i]
+  },
+  insurance: {
+    heading: /insurance/i,
+    text: [/\binsurance (policy|cover|coverage)\b/i, /\bshall (maintain|obtain) insurance\b/i]
+  },
+  maintenance: {
+    heading: /maintenance|repairs?|upkeep/i,
+    text: [/\brepairs?\b/i, /\bmaintenance charges\b/i, /\bwear and tear\b/i]
+  },
+  amendment: {
+    heading: /amendment|modification|variation/i,
+    text: [/\bamend(ed|ment)?\b.*\bin writing\b/i, /\bno (amendment|modification|variation)\b/i]
+  },
+  entire_agreement: {
+    heading: /entire agreement|whole agreement|integration/i,
+    text: [/\bentire agreement\b/i, /\bsupersedes all prior\b/i]
+  },
+  severability: {
+    heading: /severab/i,
+    text: [/\binvalid(,)? (illegal )?or unenforceable\b/i, /\bseverab/i]
+  },
+  waiver: {
+    heading: /waiver/i,
+    text: [/\bno (failure|delay)\b.*\bwaiver\b/i, /\bshall not (operate|be construed) as a waiver\b/i]
+  },
+  stamp_duty: {
+    heading: /stamp duty|registration/i,
+    text: [/\bstamp duty\b/i, /\bregistration charges\b/i, /\bsub-?registrar\b/i]
+  },
+  counterparts: {
+    heading: /counterparts?|execution/i,
+    text: [/\bexecuted in (one or more )?counterparts\b/i, /\bin witness whereof\b/i]
+  }
+};
+
+const CATEGORIES = Object.keys(CATEGORY_RULES);
+
+// How strongly a clause matches one category. Headings are a strong signal; body text
+// only counts keyword hits.
+const scoreCategory = (category, heading, text) => {
+  const rule = CATEGORY_RULES[category];
+  if (!rule) return 0;
+  if (heading && rule.heading.test(heading)) return 0.9;
+  if (!text) return 0;
+
+  const hits = rule.text.filter(pattern => pattern.test(text)).length;
+  return hits > 0 ? Math.min(0.8, 0.35 + 0.15 * hits) : 0;
+};
+
+// Best matching category for a clause
+const classifyClause = (heading, text) => {
+  let best = { category: 'other', confidence: 0 };
+
+  for (const category of CATEGORIES) {
+    const confidence = scoreCategory(category, heading, text);
+    if (confidence > best.confidence) best = { category, confidence };
+  }
+
+  return best;
+};
+
+// Roman numerals like (i), (v), (x) are ambiguous with letters; read them as letters
+// when they continue an open (a), (b)... sequence
+const resolveParenStyle = (value, stack) => {
+  if (!ROMAN.test(value)) return 'paren-alpha';
+  const letters = [...stack].reverse().find(frame => frame.style === 'paren-alpha');
+  if (letters && value.length === 1 && letters.last && letters.last.charCodeAt(0) + 1 === value.charCodeAt(0)) {
+    return 'paren-alpha';
+  }
+  return 'paren-roman';
+};
+
+const matchMarker = (line, stack) => {
+  for (const marker of MARKERS) {
+    const match = marker.pattern.exec(line);
+    if (!match || (marker.accept && !marker.accept(match))) continue;
+
+    if (marker.style === 'decimal') {
+      const number = match[2];
+      return {
+        style: `decimal-${number.split('.').length}`,
+        number,
+        label: match[1] ? `${match[1]} ${number}` : number,
+        length: match[0].length
+      };
+    }
+    if (marker.style === 'article' || marker.style === 'schedule') {
+      return {
+        style: marker.style,
+        number: match[2],
+        label: `${match[1]} ${match[2]}`,
+        length: match[0].length
+      };
+    }
+    if (marker.style === 'paren-alpha') {
+      return {
+        style: resolveParenStyle(match[1], stack),
+        number: match[1],
+        label: `(${match[1]})`,
+        length: match[0].length
+      };
+    }
+    return {
+      style: marker.style,
+      number: match[1],
+      label: match[0].trim(),
+      length: match[0].length
+    };
+  }
+  return null;
+};
+
+const isHeadingLine = (line) => {
+  const trimmed = line.trim();
+  return trimmed.length > 2
+    && trimmed.length <= 80
+    && /[A-Z]/.test(trimmed)
+    && trimmed === trimmed.toUpperCase()
+    && !/[.;,]$/.test(trimmed);
+};
+
+// "Payment. The Client shall..." -> "Payment"; "TERMINATION" -> "TERMINATION"
+const extractHeading = (firstLine) => {
+  const text = firstLine.replace(/^[\s\-–—:]+/, '');
+  if (!text) return null;
+
+  if (isHeadingLine(text)) return text.trim();
+
+  const sentence = /^([A-Z][^.:\n]{1,70}?)[.:]\s+(?=\S)/.exec(text);
+  if (sentence && sentence[1].split(/\s+/).length <= 8) {
+    const words = sentence[1].split(/\s+/);
+    const titled = words.filter(word => /^[A-Z(&]/.test(word) || /^(of|and|the|to|for|in|on|or|by)$/.test(word));
+    if (titled.length === words.length) return sentence[1].trim();
+  }
+
+  // A short line with no sentence ending is a heading on its own
+  if (text.length <= 60 && !/[.;,]$/.test(text.trim()) && /^[A-Z]/.test(text)) return text.trim();
+  return null;
+};
+
+const kindFor = (style, parent) => {
+  if (style === 'article') return 'article';
+  if (style === 'schedule') return 'schedule';
+  if (!parent || parent.kind === 'article' || parent.kind === 'schedule') return 'section';
+  return 'subclause';
+};
+
+// Full reference like "5.2(a)(ii)" used to cite the clause
+const referenceFor = (node, parent) => {
+  if (node.style === 'article' || node.style === 'schedule' || node.style.startsWith('decimal')) {
+    return node.label;
+  }
+  const base = parent && parent.reference ? parent.reference : '';
+  const own = node.style === 'alpha' || node.style === 'upper-alpha' ? `(${node.number})` : node.label;
+  return base + own;
+};
+
+const parseClauses = (text) => {
+  const source = text || '';
+  const root = { children: [], style: 'root' };
+  const stack = [];
+  const all = [];
+  let pendingHeading = null;
+  let preamble = null;
+  let offset = 0;
+
+  const current = () => (stack.length ? stack[stack.length - 1].node : null);
+
+  // Unnumbered text belongs to the open clause, or to the preamble before the first one
+  const addText = (line, start) => {
+    let node = current();
+    if (!node) {
+      if (!preamble) {
+        preamble = { kind: 'preamble', style: 'preamble', number: null, label: null, reference: null,
+          heading: null, start, ownEnd: start, lines: [], children: [] };
+        all.push(preamble);
+      }
+      node = preamble;
+    }
+    node.lines.push(line);
+    node.ownEnd = start + line.length;
+  };
+
+  for (const line of source.split('\n')) {
+    const lineStart = offset;
+    offset += line.length + 1;
+
+    const indent = line.length - line.trimStart().length;
+    const body = line.trimEnd().trimStart();
+    if (!body) continue;
+
+    const marker = matchMarker(body, stack);
+
+    if (!marker) {
+      if (pendingHeading) {
+        addText(pendingHeading.text, pendingHeading.start);
+        pendingHeading = null;
+      }
+
+      if (isHeadingLine(body)) {
+        // "ARTICLE 5" on one line and "CONFIDENTIALITY" on the next
+        const node = current();
+        if (node && node.bare && !node.heading && node.lines.length === 1) {
+          node.heading = body;
+          addText(body, lineStart + indent);
+        } else {
+          // Otherwise it may head the next numbered clause; decided on the next line
+          pendingHeading = { text: body, start: lineStart + indent };
+        }
+        continue;
+      }
+
+      addText(body, lineStart + indent);
+      continue;
+    }
+
+    // Close levels until the parent of this marker is on top
+    const existing = stack.findIndex(frame => frame.style === marker.style);
+    if (existing >= 0) {
+      stack.splice(existing);
+    } else if (marker.style === 'article' || marker.style === 'schedule') {
+      stack.length = 0;
+    } else if (marker.style.startsWith('decimal-')) {
+      const depth = parseInt(marker.style.split('-')[1]);
+      const deeper = stack.findIndex(frame => frame.style.startsWith('decimal-')
+        && parseInt(frame.style.split('-')[1]) > depth);
+      if (deeper >= 0) stack.splice(deeper);
+    }
+
+    const parentFrame = stack[stack.length - 1];
+    const parent = parentFrame ? parentFrame.node : null;
+
+    const firstLine = body.slice(marker.length);
+    const node = {
+      kind: kindFor(marker.style, parent),
+      style: marker.style,
+      number: marker.number,
+      label: marker.label,
+      heading: extractHeading(firstLine) || (pendingHeading ? pendingHeading.text : null),
+      start: pendingHeading ? pendingHeading.start : lineStart + indent,
+      ownEnd: lineStart + indent + body.length,
+      lines: pendingHeading ? [pendingHeading.text, body] : [body],
+      // Marker alone on its line, e.g. "ARTICLE 5" with the heading below it
+      bare: !firstLine.trim(),
+      children: []
+    };
+    pendingHeading = null;
+    node.reference = referenceFor(node, parent);
+
+    (parent ? parent.children : root.children).push(node);
+    all.push(node);
+    stack.push({ style: marker.style, node, last: marker.style === 'paren-alpha' ? marker.number : null });
+  }
+  if (pendingHeading) addText(pendingHeading.text, pendingHeading.start);
+
+  // Spans cover children; classification looks at the clause's own text
+  const finish = (node, depth) => {
+    node.depth = depth;
+    node.text = node.lines.join('\n');
+    node.children.forEach(child => finish(child, depth + 1));
+    node.end = node.children.length
+      ? Math.max(node.ownEnd, node.children[node.children.length - 1].end)
+      : node.ownEnd;
+
+    const { category, confidence } = classifyClause(node.heading, node.text);
+    node.category = category;
+    node.categoryConfidence = Math.round(confidence * 100) / 100;
+  };
+
+  if (preamble) finish(preamble, 0);
+  root.children.forEach(node => finish(node, 0));
+
+  const clean = ({ lines, ownEnd, style, bare, ...node }) => ({
+    ...node,
+    children: node.children.map(clean)
+  });
+
+  const tree = [...(preamble ? [preamble] : []), ...root.children].map(clean);
+  return { tree, count: all.length };
+};
+
+// Depth-first list of clauses with `position` and `parentPosition` instead of nesting
+const flattenClauses = (tree) => {
+  const flat = [];
+  const visit = (node, parentPosition) => {
+    const position = flat.length;
+    const { children, ...clause } = node;
+    flat.push({ ...clause, position, parentPosition });
+    children.forEach(child => visit(child, position));
+  };
+  tree.forEach(node => visit(node, null));
+  return flat;
+};
+
+module.exports = {
+  CATEGORIES,
+  parseClauses,
+  flattenClauses,
+  classifyClause,
+  scoreCategory
+};
@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+// SHA-256 of file contents, used to spot re-uploads of the same document
+
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Streams the content so large uploads are not read into memory
+const hashStream = (stream) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  stream
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const hashFile = (filePath) => hashStream(fs.createReadStream(filePath));
+
+module.exports = {
+  hashBuffer,
+  hashStream,
+  hashFile
+};
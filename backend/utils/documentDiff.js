@@ -0,0 +1,302 @@
+// Clause-level comparison of two versions of a document's text.
+// Paragraphs are matched by content (ignoring numbering and whitespace), so renumbered
+// clauses still line up; changed paragraphs get a word-level diff and relocated ones
+// are reported as moves rather than a deletion plus an insertion.
+
+const NUMBERING = /^\s*(?:(?:article|section|clause|schedule)\s+)?(?:\(?[0-9ivxlcdm]+[.)]|\(?[a-z][.)]|\d+(?:\.\d+)+\.?)\s+/i;
+
+// Paragraphs that look like a new clause even without a blank line before them
+const CLAUSE_START = /^\s*(?:(?:ARTICLE|Article|SECTION|Section|CLAUSE|Clause|SCHEDULE|Schedule)\s+[0-9IVXLC]+|\d+(?:\.\d+)*[.)]?\s+\S|\([a-z0-9]+\)\s+\S)/;
+
+const MOVE_SIMILARITY = 0.9;
+const MODIFY_SIMILARITY = 0.5;
+const MAX_LCS_CELLS = 4000000;
+
+// Splits text into paragraphs with their offsets into the original string
+const segmentParagraphs = (text) => {
+  const paragraphs = [];
+  const lines = (text || '').split('\n');
+  let offset = 0;
+  let current = null;
+
+  const flush = () => {
+    if (current && current.text.trim()) {
+      paragraphs.push({ ...current, text: current.text.trim() });
+    }
+    current = null;
+  };
+
+  for (const line of lines) {
+    const lineStart = offset;
+    offset += line.length + 1;
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    if (current && CLAUSE_START.test(line)) flush();
+
+    if (current) {
+      current.text += '\n' + line;
+      current.end = lineStart + line.length;
+    } else {
+      current = { text: line, start: lineStart, end: lineStart + line.length };
+    }
+  }
+  flush();
+
+  return paragraphs.map((paragraph, index) => ({ index, ...paragraph }));
+};
+
+// Comparison key: numbering, case and whitespace do not count as changes
+const normalize = (text) => text
+  .replace(NUMBERING, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+
+// Longest common subsequence of two arrays, as matched index pairs
+const lcsPairs = (a, b, equals = (x, y) => x === y) => {
+  if (a.length * b.length > MAX_LCS_CELLS) return null;
+
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = equals(a[i], b[j])
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (equals(a[i], b[j])) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+// 0..1 overlap of the words in two paragraphs
+const similarity = (a, b) => {
+  const wordsA = a.split(' ');
+  const wordsB = b.split(' ');
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const pairs = lcsPairs(wordsA, wordsB);
+  if (!pairs) {
+    const setB = new Set(wordsB);
+    const shared = wordsA.filter(word => setB.has(word)).length;
+    return (2 * shared) / (wordsA.length + wordsB.length);
+  }
+  return (2 * pairs.length) / (wordsA.length + wordsB.length);
+};
+
+// Word-level changes inside a modified paragraph: [{ type: equal|inserted|deleted, text }]
+const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const pairs = lcsPairs(a, b);
+
+  if (!pairs) {
+    return [{ type: 'deleted', text: before }, { type: 'inserted', text: after }];
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  for (const [matchA, matchB] of [...pairs, [a.length, b.length]]) {
+    while (i < matchA) push('deleted', a[i++]);
+    while (j < matchB) push('inserted', b[j++]);
+    if (matchA < a.length) push('equal', a[i]);
+    i = matchA + 1;
+    j = matchB + 1;
+  }
+
+  return parts;
+};
+
+const paragraphRef = (paragraph) => ({
+  index: paragraph.index,
+  start: paragraph.start,
+  end: paragraph.end,
+  text: paragraph.text
+});
+
+// Diff of two texts as an ordered list of paragraph operations, in the order a reader
+// of the new version would meet them (deleted paragraphs appear where they used to be).
+const compareTexts = (beforeText, afterText) => {
+  const before = segmentParagraphs(beforeText);
+  const after = segmentParagraphs(afterText);
+  const beforeKeys = before.map(p => normalize(p.text));
+  const afterKeys = after.map(p => normalize(p.text));
+
+  const pairs = lcsPairs(beforeKeys, afterKeys) || [];
+  const matchedBefore = new Map(pairs.map(([i, j]) => [i, j]));
+  const matchedAfter = new Map(pairs.map(([i, j]) => [j, i]));
+
+  const removed = before.filter(p => !matchedBefore.has(p.index));
+  const added = after.filter(p => !matchedAfter.has(p.index));
+
+  // Which gap between matched paragraphs each paragraph falls in; a paragraph that stays
+  // in the same gap was edited in place, not moved
+  const gapOf = (matched, length) => {
+    const gaps = new Array(length);
+    let gap = 0;
+    for (let i = 0; i < length; i++) {
+      if (matched.has(i)) gap++;
+      gaps[i] = gap;
+    }
+    return gaps;
+  };
+  const beforeGap = gapOf(matchedBefore, before.length);
+  const afterGap = gapOf(matchedAfter, after.length);
+
+  // Unmatched paragraphs that reappear elsewhere are moves
+  const moves = new Map();
+  const movedFrom = new Map();
+  for (const paragraph of removed) {
+    let best = null;
+    for (const candidate of added) {
+      if (moves.has(candidate.index) || afterGap[candidate.index] === beforeGap[paragraph.index]) continue;
+      const score = similarity(beforeKeys[paragraph.index], afterKeys[candidate.index]);
+      if (score >= MOVE_SIMILARITY && (!best || score > best.score)) {
+        best = { candidate, score };
+      }
+    }
+    if (best) {
+      moves.set(best.candidate.index, { from: paragraph, score: best.score });
+      movedFrom.set(paragraph.index, best.candidate.index);
+    }
+  }
+
+  // Within each gap between matched paragraphs, pair up edits to the same clause
+  const modified = new Map();
+  const modifiedFrom = new Set();
+  const anchors = [[-1, -1], ...pairs, [before.length, after.length]];
+  for (let k = 0; k < anchors.length - 1; k++) {
+    const [beforeStart, afterStart] = anchors[k];
+    const [beforeEnd, afterEnd] = anchors[k + 1];
+    const gapBefore = before.slice(beforeStart + 1, beforeEnd).filter(p => !movedFrom.has(p.index));
+    const gapAfter = after.slice(afterStart + 1, afterEnd).filter(p => !moves.has(p.index));
+
+    for (const paragraph of gapAfter) {
+      let best = null;
+      for (const candidate of gapBefore) {
+        if (modifiedFrom.has(candidate.index)) continue;
+        const score = similarity(beforeKeys[candidate.index], afterKeys[paragraph.index]);
+        if (score >= MODIFY_SIMILARITY && (!best || score > best.score)) {
+          best = { candidate, score };
+        }
+      }
+      if (best) {
+        modified.set(paragraph.index, best.candidate);
+        modifiedFrom.add(best.candidate.index);
+      }
+    }
+  }
+
+  // Clauses that were both moved and edited: paragraphs still unpaired are paired across
+  // gaps at the modify threshold and reported as moves with a word-level diff
+  for (const paragraph of added) {
+    if (moves.has(paragraph.index) || modified.has(paragraph.index)) continue;
+    let best = null;
+    for (const candidate of removed) {
+      if (movedFrom.has(candidate.index) || modifiedFrom.has(candidate.index)) continue;
+      if (afterGap[paragraph.index] === beforeGap[candidate.index]) continue;
+      const score = similarity(beforeKeys[candidate.index], afterKeys[paragraph.index]);
+      if (score >= MODIFY_SIMILARITY && (!best || score > best.score)) {
+        best = { candidate, score };
+      }
+    }
+    if (best) {
+      moves.set(paragraph.index, { from: best.candidate, score: best.score });
+      movedFrom.set(best.candidate.index, paragraph.index);
+    }
+  }
+
+  const changes = [];
+  let deletionCursor = 0;
+  const emitDeletions = (upTo) => {
+    while (deletionCursor < upTo) {
+      const paragraph = before[deletionCursor++];
+      if (matchedBefore.has(paragraph.index) || modifiedFrom.has(paragraph.index)) continue;
+      if (movedFrom.has(paragraph.index)) {
+        changes.push({ type: 'moved-from', before: paragraphRef(paragraph), movedTo: movedFrom.get(paragraph.index) });
+      } else {
+        changes.push({ type: 'deleted', before: paragraphRef(paragraph) });
+      }
+    }
+  };
+
+  for (const paragraph of after) {
+    if (matchedAfter.has(paragraph.index)) {
+      const beforeIndex = matchedAfter.get(paragraph.index);
+      emitDeletions(beforeIndex);
+      deletionCursor = Math.max(deletionCursor, beforeIndex + 1);
+      const source = before[beforeIndex];
+      changes.push({
+        type: source.text === paragraph.text ? 'equal' : 'reformatted',
+        before: paragraphRef(source),
+        after: paragraphRef(paragraph),
+        ...(source.text === paragraph.text ? {} : { words: diffWords(source.text, paragraph.text) })
+      });
+    } else if (modified.has(paragraph.index)) {
+      const source = modified.get(paragraph.index);
+      emitDeletions(source.index);
+      changes.push({
+        type: 'modified',
+        before: paragraphRef(source),
+        after: paragraphRef(paragraph),
+        words: diffWords(source.text, paragraph.text)
+      });
+    } else if (moves.has(paragraph.index)) {
+      const { from } = moves.get(paragraph.index);
+      changes.push({
+        type: 'moved-to',
+        before: paragraphRef(from),
+        after: paragraphRef(paragraph),
+        ...(from.text === paragraph.text ? {} : { words: diffWords(from.text, paragraph.text) })
+      });
+    } else {
+      changes.push({ type: 'inserted', after: paragraphRef(paragraph) });
+    }
+  }
+  emitDeletions(before.length);
+
+  const count = (type) => changes.filter(change => change.type === type).length;
+  return {
+    summary: {
+      paragraphsBefore: before.length,
+      paragraphsAfter: after.length,
+      unchanged: count('equal') + count('reformatted'),
+      inserted: count('inserted'),
+      deleted: count('deleted'),
+      modified: count('modified'),
+      moved: count('moved-to')
+    },
+    changes
+  };
+};
+
+module.exports = {
+  segmentParagraphs,
+  diffWords,
+  compareTexts
+};
@@ -0,0 +1,191 @@
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const Embeddings = require('./embeddings');
+const { planSections } = require('./documentSimplifier');
+
+// Chunk-and-embed retrieval index. Documents are cut on clause boundaries (long clauses
+// by sub-clause, then paragraph) into chunks of at most CHUNK_CHARS, each embedded with
+// its clause reference so "clause 47" finds clause 47. Chunks are kept per text revision
+// and embedding model; a stale or missing index is rebuilt before retrieval.
+
+const CHUNK_CHARS = parseInt(process.env.RAG_CHUNK_CHARS) || 1500;
+const DEFAULT_TOP_K = 6;
+
+// "clause 47", "section 4.2", "article 12(b)", "para 3"
+const REFERENCE_PATTERN = /\b(?:clauses?|sections?|articles?|paras?|paragraphs?|sub-clauses?)\s+(\d+(?:\.\d+)*(?:\([a-z0-9]+\))*)/gi;
+
+// Clause references a question asks about
+const referencesIn = question => [...question.matchAll(REFERENCE_PATTERN)].map(match => match[1].toLowerCase());
+
+// Clause "47" covers "47.2" and "47(a)"; a question about "47.2" also matches a chunk of all of clause 47
+const coversReference = (reference, wanted) => {
+  if (!reference) return false;
+  const ref = reference.toLowerCase();
+  const within = (inner, outer) => inner === outer || inner.startsWith(`${outer}.`) || inner.startsWith(`${outer}(`);
+  return within(ref, wanted) || within(wanted, ref);
+};
+
+// Pages a span of the text falls on, from Document.pages offsets
+const pageSpan = (pages, start, end) => {
+  const touched = (pages || []).filter(page => page.start < end && page.end > start).map(page => page.page);
+  return touched.length
+    ? { pageStart: Math.min(...touched), pageEnd: Math.max(...touched) }
+    : { pageStart: null, pageEnd: null };
+};
+
+// Chunk spans of a text, in reading order
+const chunkText = (text, pages = null) => planSections(text, CHUNK_CHARS).map((section, position) => ({
+  position,
+  reference: section.reference ? section.reference.substring(0, 50) : null,
+  heading: section.heading ? section.heading.substring(0, 500) : null,
+  start: section.start,
+  end: section.end,
+  ...pageSpan(pages, section.start, section.end)
+}));
+
+// The text embedded for a chunk: its clause reference, then its text
+const embeddingInput = (text, chunk) => `${chunk.reference ? `Clause ${chunk.reference}\n` : ''}${text.slice(chunk.start, chunk.end)}`;
+
+// Replaces the document's chunks with freshly embedded ones from its current text
+const indexDocument = async (doc, { provider = null } = {}) => {
+  const embedder = Embeddings.getProvider(provider || undefined);
+  const text = doc.originalText || '';
+  const chunks = chunkText(text, doc.pages);
+  const vectors = await Embeddings.embed(chunks.map(chunk => embeddingInput(text, chunk)), embedder);
+
+  await Document.sequelize.transaction(async (transaction) => {
+    await DocumentChunk.destroy({ where: { documentId: doc.id }, transaction });
+    await DocumentChunk.bulkCreate(chunks.map((chunk, index) => ({
+      ...chunk,
+      documentId: doc.id,
+      textRevision: doc.textRevision,
+      provider: embedder.name,
+      model: embedder.model,
+      embedding: vectors[index]
+    })), { transaction, individualHooks: true, ownerUserId: doc.userId });
+  });
+
+  return { chunkCount: chunks.length, provider: embedder.name, model: embedder.model, textRevision: doc.textRevision };
+};
+
+// What the stored index covers, and whether it matches the current text and provider
+const indexStatus = async (doc, { provider = null } = {}) => {
+  const embedder = Embeddings.getProvider(provider || undefined);
+  const chunks = await DocumentChunk.findAll({
+    where: { documentId: doc.id },
+    attributes: ['provider', 'model', 'textRevision']
+  });
+  const first = chunks[0] || null;
+
+  return {
+    indexed: Boolean(first),
+    chunkCount: chunks.length,
+    provider: first ? first.provider : null,
+    model: first ? first.model : null,
+    textRevision: first ? first.textRevision : null,
+    stale: !first || first.textRevision !== doc.textRevision
+      || first.provider !== embedder.name || first.model !== embedder.model
+  };
+};
+
+// Indexes the documents whose index is missing or stale; returns the ids it indexed
+const ensureIndexed = async (docs, options = {}) => {
+  const indexed = [];
+  for (const doc of docs) {
+    if (!doc.originalText) continue;
+    const status = await indexStatus(doc, options);
+    if (status.stale) {
+      await indexDocument(doc, options);
+      indexed.push(doc.id);
+    }
+  }
+  return indexed;
+};
+
+// The documents whose index is missing or stale, checked in one query
+const staleDocuments = async (docs, { provider = null } = {}) => {
+  const embedder = Embeddings.getProvider(provider || undefined);
+  const firstChunks = await DocumentChunk.findAll({
+    where: { documentId: docs.map(doc => doc.id), position: 0 },
+    attributes: ['documentId', 'provider', 'model', 'textRevision']
+  });
+  const byDocument = new Map(firstChunks.map(chunk => [chunk.documentId, chunk]));
+
+  return docs.filter((doc) => {
+    const first = byDocument.get(doc.id);
+    return !first || first.textRevision !== doc.textRevision
+      || first.provider !== embedder.name || first.model !== embedder.model;
+  });
+};
+
+// The chunks of the documents closest to the question by cosine similarity. Chunks of a
+// clause the question names are ranked first. `perDocument` caps chunks per document.
+// Across several documents the best chunk of each is picked before any second chunk, so
+// one long document cannot crowd the others out of the topK.
+const retrieve = async (docs, question, { topK = DEFAULT_TOP_K, perDocument = null, provider = null } = {}) => {
+  const embedder = Embeddings.getProvider(provider || undefined);
+  const byId = new Map(docs.map(doc => [doc.id, doc]));
+  const chunks = await DocumentChunk.findAll({
+    where: { documentId: [...byId.keys()], provider: embedder.name, model: embedder.model },
+    order: [['documentId', 'ASC'], ['position', 'ASC']]
+  });
+  const current = chunks.filter(chunk => byId.get(chunk.documentId).textRevision === chunk.textRevision);
+  if (current.length === 0) return [];
+
+  const [query] = await Embeddings.embed([question], embedder);
+  const references = referencesIn(question);
+
+  const ranked = current
+    .map(chunk => ({
+      chunk,
+      score: Embeddings.cosineSimilarity(query, chunk.embedding),
+      referenced: references.some(reference => coversReference(chunk.reference, reference))
+    }))
+    .sort((a, b) => (b.referenced - a.referenced) || (b.score - a.score));
+
+  const perDoc = new Map();
+  const picked = new Set();
+  const pick = (candidate) => {
+    perDoc.set(candidate.chunk.documentId, (perDoc.get(candidate.chunk.documentId) || 0) + 1);
+    picked.add(candidate);
+  };
+  if (byId.size > 1) {
+    for (const candidate of ranked) {
+      if (picked.size >= topK) break;
+      if (!perDoc.has(candidate.chunk.documentId)) pick(candidate);
+    }
+  }
+  for (const candidate of ranked) {
+    if (picked.size >= topK) break;
+    if (picked.has(candidate)) continue;
+    if (perDocument && (perDoc.get(candidate.chunk.documentId) || 0) >= perDocument) continue;
+    pick(candidate);
+  }
+
+  return ranked.filter(candidate => picked.has(candidate)).map(({ chunk, score, referenced }) => ({
+    chunkId: chunk.id,
+    documentId: chunk.documentId,
+    position: chunk.position,
+    reference: chunk.reference,
+    heading: chunk.heading,
+    pageStart: chunk.pageStart,
+    pageEnd: chunk.pageEnd,
+    start: chunk.start,
+    end: chunk.end,
+    score: Math.round(score * 1000) / 1000,
+    referenced,
+    text: byId.get(chunk.documentId).originalText.slice(chunk.start, chunk.end)
+  }));
+};
+
+module.exports = {
+  CHUNK_CHARS,
+  DEFAULT_TOP_K,
+  referencesIn,
+  chunkText,
+  indexDocument,
+  indexStatus,
+  staleDocuments,
+  ensureIndexed,
+  retrieve
+};
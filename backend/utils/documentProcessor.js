@@ -0,0 +1,211 @@
+const Document = require('../models/Document');
+const User = require('../models/User');
+const Clause = require('../models/Clause');
+const DocumentEntity = require('../models/DocumentEntity');
+const OCR = require('./ocrHelper');
+const storage = require('./storage');
+const { parseClauses, flattenClauses } = require('./clauseParser');
+const { extractEntities: findEntities } = require('./entityExtractor');
+const SimplificationService = require('./simplificationService');
+const { loadGlossary } = require('./glossary');
+const DocumentIndex = require('./documentIndex');
+
+const PROCESS_DOCUMENT = 'document:process';
+const EXTRACT_CLAUSES = 'document:clauses';
+const EXTRACT_ENTITIES = 'document:entities';
+const SIMPLIFY_DOCUMENT = 'document:simplify';
+const INDEX_DOCUMENT = 'document:index';
+
+// Replaces the stored clause tree with one parsed from the document's current text
+const extractClauses = async (doc) => {
+  const clauses = flattenClauses(parseClauses(doc.originalText || '').tree);
+
+  await Document.sequelize.transaction(async (transaction) => {
+    await Clause.destroy({ where: { documentId: doc.id }, transaction });
+
+    const ids = [];
+    for (const clause of clauses) {
+      const created = await Clause.create({
+        documentId: doc.id,
+        parentId: clause.parentPosition === null ? null : ids[clause.parentPosition],
+        textRevision: doc.textRevision,
+        position: clause.position,
+        depth: clause.depth,
+        kind: clause.kind,
+        number: clause.number,
+        reference: clause.reference,
+        heading: clause.heading ? clause.heading.substring(0, 500) : null,
+        text: clause.text,
+        start: clause.start,
+        end: clause.end,
+        category: clause.category,
+        categoryConfidence: clause.categoryConfidence
+      }, { transaction, ownerUserId: doc.userId });
+      ids.push(created.id);
+    }
+  });
+
+  return clauses.length;
+};
+
+// Replaces the stored entities with those found in the document's current text
+const extractEntities = async (doc) => {
+  const entities = findEntities(doc.originalText || '');
+
+  await Document.sequelize.transaction(async (transaction) => {
+    await DocumentEntity.destroy({ where: { documentId: doc.id }, transaction });
+
+    for (const entity of entities) {
+      await DocumentEntity.create({
+        documentId: doc.id,
+        textRevision: doc.textRevision,
+        ...entity
+      }, { transaction, ownerUserId: doc.userId });
+    }
+  });
+
+  return entities.length;
+};
+
+// Background job: extract text for an uploaded document
+const processDocument = async (job, { reportProgress, isFinalAttempt }) => {
+  const doc = await Document.findByPk(job.documentId);
+  if (!doc) {
+    // Document was deleted while queued - nothing left to do
+    return { skipped: true };
+  }
+
+  await doc.update({ status: 'processing' });
+  await reportProgress(10);
+
+  try {
+    const extracted = await storage.withLocalFile(doc.filePath, (filePath) =>
+      OCR.extractText(filePath, job.payload.fileType, {
+        languages: job.payload.languages,
+        preprocess: job.payload.preprocess,
+        onProgress: (fraction) => reportProgress(10 + fraction * 80)
+      })
+    );
+    await reportProgress(90);
+
+    await doc.update({
+      originalText: extracted.text,
+      confidence: extracted.confidence,
+      languages: extracted.languages,
+      pages: extracted.pages || null,
+      pageCount: extracted.pages ? extracted.pages.length : null,
+      status: 'processed'
+    });
+
+    // A parsing problem should not throw away a successful extraction
+    let clauseCount = null;
+    try {
+      clauseCount = await extractClauses(doc);
+    } catch (error) {
+      console.warn(`Clause extraction failed for document ${doc.id}:`, error.message);
+    }
+
+    let entityCount = null;
+    try {
+      entityCount = await extractEntities(doc);
+    } catch (error) {
+      console.warn(`Entity extraction failed for document ${doc.id}:`, error.message);
+    }
+
+    let chunkCount = null;
+    try {
+      chunkCount = (await DocumentIndex.indexDocument(doc)).chunkCount;
+    } catch (error) {
+      console.warn(`Indexing failed for document ${doc.id}:`, error.message);
+    }
+
+    return {
+      wordCount: extracted.wordCount,
+      pageCount: extracted.pages ? extracted.pages.length : null,
+      clauseCount,
+      entityCount,
+      chunkCount,
+      processingTime: extracted.processingTime,
+      preprocessing: extracted.preprocessing
+    };
+  } catch (error) {
+    if (isFinalAttempt) {
+      await doc.update({ status: 'error' });
+    }
+    throw error;
+  }
+};
+
+// Background job: re-parse clauses after the text changed outside OCR
+const processClauses = async (job) => {
+  const doc = await Document.findByPk(job.documentId);
+  if (!doc || doc.originalText == null) return { skipped: true };
+
+  return { clauseCount: await extractClauses(doc), textRevision: doc.textRevision };
+};
+
+// Background job: find entities again after the text changed outside OCR
+const processEntities = async (job) => {
+  const doc = await Document.findByPk(job.documentId);
+  if (!doc || doc.originalText == null) return { skipped: true };
+
+  return { entityCount: await extractEntities(doc), textRevision: doc.textRevision };
+};
+
+// Background job: rebuild the retrieval index after the text changed outside OCR
+const processIndex = async (job) => {
+  const doc = await Document.findByPk(job.documentId);
+  if (!doc || doc.originalText == null) return { skipped: true };
+
+  return DocumentIndex.indexDocument(doc);
+};
+
+// Background job: simplify a document too long for one request
+const processSimplification = async (job, { reportProgress }) => {
+  const doc = await Document.findByPk(job.documentId);
+  if (!doc || !doc.originalText) return { skipped: true };
+
+  await reportProgress(5);
+  const { method = 'ai', complexity, requestedBy } = job.payload;
+  const requester = requestedBy ? await User.findByPk(requestedBy) : null;
+  const result = await SimplificationService.simplifyDocument(doc, {
+    method,
+    complexity,
+    glossary: await loadGlossary(requester),
+    requestedBy,
+    onProgress: fraction => reportProgress(5 + fraction * 90)
+  });
+
+  return {
+    requestedMethod: method,
+    method: result.method,
+    complexity,
+    simplificationId: result.simplification.id,
+    readabilityScore: result.simplification.readabilityScore,
+    fallbacks: result.fallbacks,
+    textRevision: doc.textRevision,
+    chunkCount: result.chunkCount,
+    sectionCount: result.sections.length,
+    simplifiedLength: result.simplifiedText.length
+  };
+};
+
+const registerDocumentJobs = (queue) => {
+  queue.register(PROCESS_DOCUMENT, processDocument);
+  queue.register(EXTRACT_CLAUSES, processClauses);
+  queue.register(EXTRACT_ENTITIES, processEntities);
+  queue.register(SIMPLIFY_DOCUMENT, processSimplification);
+  queue.register(INDEX_DOCUMENT, processIndex);
+};
+
+module.exports = {
+  PROCESS_DOCUMENT,
+  EXTRACT_CLAUSES,
+  EXTRACT_ENTITIES,
+  SIMPLIFY_DOCUMENT,
+  INDEX_DOCUMENT,
+  processDocument,
+  extractClauses,
+  extractEntities,
+  registerDocumentJobs
+};
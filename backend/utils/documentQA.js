@@ -0,0 +1,145 @@
+const AIHelper = require('./aiHelper');
+const DocumentIndex = require('./documentIndex');
+const { splitSentences } = require('./textSpans');
+const { similarity } = require('./textAlignment');
+
+// Question answering over the retrieval index (utils/documentIndex). The closest chunks
+// are given to the model as numbered passages and the passages it cites come back as
+// citations with chunk id, clause reference, pages and character offsets. Without
+// OpenAI the answer is the best-matching sentence of each top passage.
+
+const QA_MODEL = process.env.QA_MODEL || 'gpt-4';
+// Passage text given to the model, at about 4 characters a token; the default leaves room
+// for the instructions and the answer in gpt-4's 8k context
+const QA_CONTEXT_CHARS = parseInt(process.env.QA_CONTEXT_CHARS) || 20000;
+const EXCERPT_CHARS = 300;
+const EXTRACTIVE_PASSAGES = 3;
+
+const excerpt = text => (text.length > EXCERPT_CHARS
+  ? `${text.slice(0, EXCERPT_CHARS).replace(/\s+\S*$/, '')}…`
+  : text).trim();
+
+// Where a passage comes from, as shown to the model: "Vendor Agreement", clause 47, page 12
+const labelOf = (passage, doc, multiple) => [
+  multiple ? `"${doc.title}"` : null,
+  passage.reference ? `clause ${passage.reference}` : null,
+  passage.pageStart ? (passage.pageEnd !== passage.pageStart
+    ? `pages ${passage.pageStart}-${passage.pageEnd}`
+    : `page ${passage.pageStart}`) : null
+].filter(Boolean).join(', ') || 'untitled passage';
+
+const citationOf = (passage, doc) => ({
+  chunkId: passage.chunkId,
+  documentId: passage.documentId,
+  documentTitle: doc.title,
+  reference: passage.reference,
+  heading: passage.heading,
+  pageStart: passage.pageStart,
+  pageEnd: passage.pageEnd,
+  start: passage.start,
+  end: passage.end,
+  score: passage.score,
+  excerpt: excerpt(passage.text)
+});
+
+// The sentence of each top passage closest to the question, cited and, across
+// several documents, preceded by the document's title
+const extractiveAnswer = (question, passages, titleOf = null) => passages
+  .slice(0, EXTRACTIVE_PASSAGES)
+  .map((passage, index) => {
+    const sentences = splitSentences(passage.text, 0, passage.text.length);
+    const best = sentences.reduce((top, sentence) => {
+      const score = similarity(question, sentence.text);
+      return !top || score > top.score ? { text: sentence.text, score } : top;
+    }, null);
+    const title = titleOf ? `${titleOf(passage)}: ` : '';
+    return `${title}${(best ? best.text : passage.text).trim()} [P${index + 1}]`;
+  })
+  .join('\n');
+
+// The passages that fit in `budget` characters, in their original order. Each document's
+// best passage is taken before any second one; the first passage is always kept.
+const withinBudget = (passages, budget) => {
+  const kept = new Set();
+  const documents = new Set();
+  let used = 0;
+  const take = (passage) => {
+    if (kept.size > 0 && used + passage.text.length > budget) return;
+    kept.add(passage);
+    documents.add(passage.documentId);
+    used += passage.text.length;
+  };
+  for (const passage of passages) {
+    if (!documents.has(passage.documentId)) take(passage);
+  }
+  for (const passage of passages) {
+    if (!kept.has(passage)) take(passage);
+  }
+  return passages.filter(passage => kept.has(passage));
+};
+
+// Answers a question from the given documents (with originalText, textRevision, pages
+// and title loaded). Missing or stale indexes are built first unless `reindex` is false,
+// in which case documents without a current index are not searched. Retrieved passages
+// are cut to QA_CONTEXT_CHARS. Returns the answer, the passages it cites, every passage
+// used and the ids of documents whose passages were all cut (`omittedDocuments`).
+const answerQuestion = async (docs, question, { topK, perDocument, provider, reindex = true } = {}) => {
+  const reindexed = reindex ? await DocumentIndex.ensureIndexed(docs, { provider }) : [];
+  const retrieved = await DocumentIndex.retrieve(docs, question, { topK, perDocument, provider });
+  const passages = withinBudget(retrieved, QA_CONTEXT_CHARS);
+  const used = new Set(passages.map(passage => passage.documentId));
+  const omittedDocuments = [...new Set(retrieved.map(passage => passage.documentId))].filter(id => !used.has(id));
+  const byId = new Map(docs.map(doc => [doc.id, doc]));
+  const sources = passages.map(passage => citationOf(passage, byId.get(passage.documentId)));
+
+  if (passages.length === 0) {
+    return {
+      answer: 'None of the documents has any text to answer from.',
+      method: 'none',
+      model: null,
+      confidence: 0,
+      citations: [],
+      sources,
+      omittedDocuments,
+      reindexed
+    };
+  }
+
+  const multiple = byId.size > 1;
+  if (!process.env.OPENAI_API_KEY) {
+    return {
+      answer: extractiveAnswer(question, passages, multiple ? passage => `"${byId.get(passage.documentId).title}"` : null),
+      method: 'extractive',
+      model: null,
+      confidence: null,
+      citations: sources.slice(0, EXTRACTIVE_PASSAGES).map((source, index) => ({ passage: index + 1, ...source })),
+      sources,
+      omittedDocuments,
+      reindexed
+    };
+  }
+
+  const { answer, cited, confidence } = await AIHelper.answerFromPassages(question, passages.map((passage, index) => ({
+    id: index + 1,
+    label: labelOf(passage, byId.get(passage.documentId), multiple),
+    text: passage.text
+  })), { model: QA_MODEL, multipleDocuments: multiple });
+
+  return {
+    answer,
+    method: 'openai',
+    model: QA_MODEL,
+    confidence,
+    citations: cited.map(id => ({ passage: id, ...sources[id - 1] })),
+    sources,
+    omittedDocuments,
+    reindexed
+  };
+};
+
+module.exports = {
+  QA_MODEL,
+  QA_CONTEXT_CHARS,
+  answerQuestion,
+  withinBudget
+};
@@ -0,0 +1,221 @@
+const { parseClauses, flattenClauses } = require('./clauseParser');
+const { segmentParagraphs } = require('./documentDiff');
+const { splitSentences } = require('./textSpans');
+
+// Map-reduce simplification of whole documents. The text is split into sections on clause
+// boundaries, sections are packed into chunks small enough for one model call, each chunk
+// is simplified on its own and the results are stitched back under the original headings.
+
+const COMPLEXITY_LEVELS = ['simple', 'moderate', 'detailed'];
+const SIMPLIFICATION_METHODS = ['basic', 'ai', 'huggingface', 'hybrid'];
+
+// Stored with every result so a change of model or prompt does not serve old output.
+// Bump PROMPT_VERSION whenever the prompt in AIHelper.simplifySections changes.
+const AI_MODEL = process.env.SIMPLIFY_MODEL || 'gpt-3.5-turbo';
+const PROMPT_VERSION = 'sections-1';
+
+const MAX_CHUNK_CHARS = parseInt(process.env.SIMPLIFY_CHUNK_CHARS) || 4000;
+const CONCURRENCY = parseInt(process.env.SIMPLIFY_CONCURRENCY) || 2;
+
+// Pieces of text[start, end) no longer than `max`: paragraphs, then sentences, then hard cuts
+const splitSpan = (text, start, end, max) => {
+  if (end - start <= max) return [{ start, end }];
+
+  const paragraphs = segmentParagraphs(text.slice(start, end))
+    .map(paragraph => ({ start: start + paragraph.start, end: start + paragraph.end }));
+  const units = paragraphs.length > 1
+    ? paragraphs
+    : splitSentences(text, start, end).map(({ start: from, end: to }) => ({ start: from, end: to }));
+
+  if (units.length <= 1) {
+    const pieces = [];
+    for (let from = start; from < end; from += max) pieces.push({ start: from, end: Math.min(end, from + max) });
+    return pieces;
+  }
+
+  // Pack neighbouring units back together up to the limit
+  const pieces = [];
+  let current = null;
+  for (const unit of units.flatMap(u => splitSpan(text, u.start, u.end, max))) {
+    if (current && unit.end - current.start <= max) {
+      current.end = unit.end;
+    } else {
+      if (current) pieces.push(current);
+      current = { ...unit };
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+// The line carrying a clause heading, e.g. "5. TERMINATION", with its offset. The parser
+// can start a clause a few lines early (a title above the first clause), so it is searched for.
+const findHeadingLine = (text, section, heading) => {
+  let offset = section.start;
+  for (const line of text.slice(section.start, section.end).split('\n').slice(0, 4)) {
+    if (line.includes(heading) && line.trim().length <= 200) {
+      const start = offset + line.indexOf(line.trim());
+      return { line: line.trim(), start };
+    }
+    offset += line.length + 1;
+  }
+  return null;
+};
+
+// Top-level clauses, with oversized ones split into their sub-clauses or paragraphs
+const planSections = (text, max = MAX_CHUNK_CHARS) => {
+  const flat = flattenClauses(parseClauses(text).tree);
+  const sections = [];
+
+  const addSpan = (clause, start, end, continued) => {
+    for (const [index, piece] of splitSpan(text, start, end, max).entries()) {
+      sections.push({
+        reference: clause ? clause.reference || null : null,
+        heading: clause && !continued && index === 0 ? clause.heading || null : null,
+        continued: continued || index > 0,
+        start: piece.start,
+        end: piece.end
+      });
+    }
+  };
+
+  const addClause = (clause) => {
+    if (clause.end - clause.start <= max) {
+      addSpan(clause, clause.start, clause.end, false);
+      return;
+    }
+
+    const children = flat.filter(child => child.parentPosition === clause.position);
+    if (children.length === 0) {
+      addSpan(clause, clause.start, clause.end, false);
+      return;
+    }
+
+    // The clause's own opening text, then each sub-clause
+    if (children[0].start > clause.start) addSpan(clause, clause.start, children[0].start, false);
+    children.forEach(addClause);
+  };
+
+  const roots = flat.filter(clause => clause.parentPosition === null || clause.parentPosition === undefined);
+  if (roots.length === 0) {
+    addSpan(null, 0, text.length, false);
+  } else {
+    // Text before the first clause is not lost
+    if (roots[0].start > 0 && text.slice(0, roots[0].start).trim()) addSpan(null, 0, roots[0].start, false);
+    roots.forEach(addClause);
+  }
+
+  // Text above a heading line becomes a section of its own
+  const resolved = [];
+  for (const section of sections) {
+    const found = section.heading ? findHeadingLine(text, section, section.heading) : null;
+    if (found && found.start > section.start) {
+      resolved.push({ reference: null, heading: null, continued: false, start: section.start, end: found.start });
+    }
+    resolved.push({
+      ...section,
+      heading: found ? found.line : null,
+      start: found ? found.start : section.start
+    });
+  }
+
+  return resolved
+    .filter(section => text.slice(section.start, section.end).trim())
+    .map((section, index) => ({ index, ...section }));
+};
+
+// Consecutive sections packed into model-sized chunks
+const chunkSections = (sections, max = MAX_CHUNK_CHARS) => {
+  const chunks = [];
+  let current = null;
+  for (const section of sections) {
+    const length = section.end - section.start;
+    if (current && current.length + length <= max) {
+      current.sections.push(section);
+      current.length += length;
+    } else {
+      current = { index: chunks.length, sections: [section], length };
+      chunks.push(current);
+    }
+  }
+  return chunks;
+};
+
+const mapLimit = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// `simplifyChunk(sections)` receives [{ id, heading, text }] and resolves to one simplified
+// string per section. Returns the stitched text and each section's offsets into both texts.
+const simplifyText = async (text, { simplifyChunk, onProgress = () => {} }) => {
+  const sections = planSections(text);
+  const chunks = chunkSections(sections);
+
+  // Headings are not sent; they are put back verbatim above each simplified section
+  const bodyOf = (section) => {
+    const from = section.heading ? section.start + section.heading.length : section.start;
+    return text.slice(from, section.end).trim();
+  };
+
+  let done = 0;
+  const outputs = await mapLimit(chunks, CONCURRENCY, async (chunk) => {
+    const pending = chunk.sections.filter(section => bodyOf(section));
+    const simplified = pending.length > 0
+      ? await simplifyChunk(pending.map(section => ({ id: section.index, heading: section.heading, text: bodyOf(section) })))
+      : [];
+    done++;
+    await onProgress(done / chunks.length);
+
+    // Sections with only a heading have no body; any other section must come back with text
+    const byIndex = new Map(pending.map((section, position) => [section.index, simplified[position]]));
+    return chunk.sections.map((section) => {
+      if (!byIndex.has(section.index)) return '';
+      const body = (byIndex.get(section.index) || '').trim();
+      if (!body) throw new Error(`Simplification returned no text for section ${section.index + 1}`);
+      return body;
+    });
+  });
+
+  let simplifiedText = '';
+  const stitched = [];
+  chunks.forEach((chunk, chunkIndex) => {
+    chunk.sections.forEach((section, position) => {
+      const body = outputs[chunkIndex][position];
+      if (simplifiedText) simplifiedText += '\n\n';
+
+      const start = simplifiedText.length;
+      simplifiedText += [section.heading, body].filter(Boolean).join('\n');
+
+      stitched.push({
+        index: section.index,
+        reference: section.reference,
+        heading: section.heading,
+        original: { start: section.start, end: section.end },
+        simplified: { start, end: simplifiedText.length }
+      });
+    });
+  });
+
+  return { simplifiedText, sections: stitched, chunkCount: chunks.length };
+};
+
+module.exports = {
+  COMPLEXITY_LEVELS,
+  SIMPLIFICATION_METHODS,
+  AI_MODEL,
+  PROMPT_VERSION,
+  MAX_CHUNK_CHARS,
+  planSections,
+  chunkSections,
+  mapLimit,
+  simplifyText
+};
@@ -0,0 +1,153 @@
+const AIHelper = require('./aiHelper');
+const { planSections, chunkSections, mapLimit } = require('./documentSimplifier');
+
+// Summary types for legal work. Each summary is stored with the model and prompt version
+// that made it (models/DocumentSummary), so changing either marks stored summaries stale.
+// Bump a type's promptVersion whenever its instructions change. Summaries are written in
+// Markdown so they can be downloaded as-is or rendered by utils/summaryExport.
+//
+// Documents longer than one model call are summarised map-reduce: the text is cut on
+// clause boundaries (utils/documentSimplifier), notes are taken on each chunk with the
+// summary type in mind, and the summary is written from the notes.
+
+const SUMMARY_MODEL = process.env.SUMMARY_MODEL || 'gpt-4';
+
+// Most text sent in one call, whether document text or notes
+const MAX_INPUT_CHARS = parseInt(process.env.SUMMARY_INPUT_CHARS) || 12000;
+const NOTES_MAX_TOKENS = 600;
+const CONCURRENCY = parseInt(process.env.SUMMARY_CONCURRENCY) || 2;
+
+const SUMMARY_TYPES = {
+  executive: {
+    label: 'Executive summary',
+    promptVersion: 'executive-2',
+    maxTokens: 700,
+    instructions: `Write an executive summary for a client who has not read the document.
+Open with a short paragraph on what the document is, who the parties are and what it achieves.
+Then use "## " headings for: Key terms, Main risks, Action needed. Keep each to a few short bullets.`
+  },
+  obligations: {
+    label: 'Obligations by party',
+    promptVersion: 'obligations-2',
+    maxTokens: 1000,
+    instructions: `List the obligations of each party, party by party.
+Use a "## " heading with each party's name, then one "- " bullet per obligation: what must be done, by when, and the clause number in brackets where the document gives one.
+Put obligations shared by all parties under "## All parties". Do not list rights or discretions as obligations.`
+  },
+  timeline: {
+    label: 'Timeline of events',
+    promptVersion: 'timeline-2',
+    maxTokens: 900,
+    instructions: `Build a timeline of the events, dates and deadlines in the document, earliest first.
+Write one "- " bullet per event starting with the date in bold, e.g. "- **14 March 2024** – Lease starts (clause 2.1)".
+For deadlines fixed relative to another event, give the rule instead of a date, e.g. "- **30 days after notice** – ...".
+Add a final "## Undated" section for events the document mentions without a date.`
+  },
+  headnote: {
+    label: 'Headnote',
+    promptVersion: 'headnote-2',
+    maxTokens: 900,
+    instructions: `Write a law-report style headnote of this judgment.
+Start with the court, the parties and the date, then a single line of italic catchwords separated by " – ".
+Then use "## " headings for: Facts, Issues, Held, Reasoning, Orders. Under Held give each holding as a numbered point.
+If the document is not a judgment, say so in one sentence and summarise it briefly instead.`
+  },
+  key_terms: {
+    label: 'Key terms sheet',
+    promptVersion: 'key-terms-2',
+    maxTokens: 800,
+    instructions: `Write a key terms sheet as "- **Term**: value" bullets, one per term, with the clause number in brackets where given.
+Cover where present: parties, effective date, term and renewal, price and payment, deliverables, termination rights, notice periods, liability caps, indemnities, confidentiality, governing law and dispute resolution.
+Leave out terms the document does not address.`
+  },
+  brief: {
+    label: 'Brief summary',
+    promptVersion: 'brief-2',
+    maxTokens: 200,
+    instructions: 'Write a brief summary in one or two short paragraphs. Focus on key legal points, parties involved, obligations, and important dates.'
+  },
+  detailed: {
+    label: 'Detailed summary',
+    promptVersion: 'detailed-2',
+    maxTokens: 500,
+    instructions: 'Write a detailed summary. Focus on key legal points, parties involved, obligations, and important dates, using "## " headings where they help.'
+  }
+};
+
+const SUMMARY_TYPE_NAMES = Object.keys(SUMMARY_TYPES);
+
+// Whether a stored summary was made from the current text with the current model and prompt
+const isCurrent = (stored, document) => stored.textRevision === document.textRevision
+  && stored.model === SUMMARY_MODEL
+  && stored.promptVersion === SUMMARY_TYPES[stored.summaryType]?.promptVersion;
+
+// Text of the document cut into consecutive parts of at most MAX_INPUT_CHARS
+const partsOf = text => chunkSections(planSections(text, MAX_INPUT_CHARS), MAX_INPUT_CHARS)
+  .map(chunk => text.slice(chunk.sections[0].start, chunk.sections[chunk.sections.length - 1].end).trim())
+  .filter(Boolean);
+
+// Notes packed into groups that each fit in one call
+const groupNotes = (notes) => {
+  const groups = [];
+  for (const note of notes) {
+    const last = groups[groups.length - 1];
+    if (last && last.join('\n\n').length + note.length + 2 <= MAX_INPUT_CHARS) last.push(note);
+    else groups.push([note]);
+  }
+  return groups;
+};
+
+const takeNotes = (parts, type, describe) => mapLimit(parts, CONCURRENCY, (part, index) => AIHelper.summarizeDocument(part, {
+  instructions: `This is ${describe(index, parts.length)}. The whole document will later be summarised ("${type.label}") from notes on every part, following these instructions:
+${type.instructions}
+Write concise notes on this part only, keeping every fact those instructions need: parties, clause numbers, dates, amounts and obligations. Do not write the summary itself.`,
+  maxTokens: NOTES_MAX_TOKENS,
+  model: SUMMARY_MODEL
+}));
+
+// Summarises text as the given type; returns the Markdown summary with what made it and
+// how many parts the text was read in
+const summarize = async (text, summaryType) => {
+  const type = SUMMARY_TYPES[summaryType];
+  if (!type) throw new Error(`Unknown summary type: ${summaryType}`);
+
+  const parts = text.length > MAX_INPUT_CHARS ? partsOf(text) : [text];
+  let input = parts[0];
+  let instructions = type.instructions;
+
+  if (parts.length > 1) {
+    let notes = await takeNotes(parts, type, (index, count) => `part ${index + 1} of ${count} of a document`);
+    // Notes too long for one call are condensed again until they fit
+    while (notes.join('\n\n').length > MAX_INPUT_CHARS && notes.length > 1) {
+      const groups = groupNotes(notes);
+      if (groups.length === notes.length) break;
+      notes = await takeNotes(groups.map(group => group.join('\n\n')), type,
+        (index, count) => `set ${index + 1} of ${count} of notes on consecutive parts of a document`);
+    }
+    input = notes.map((note, index) => `Notes on part ${index + 1} of ${notes.length}:\n${note}`).join('\n\n');
+    instructions = `${type.instructions}
+The document was too long to send whole; it is given as notes on its consecutive parts, in order. Write the summary of the whole document from them.`;
+  }
+
+  const summary = await AIHelper.summarizeDocument(input, {
+    instructions,
+    maxTokens: type.maxTokens,
+    model: SUMMARY_MODEL
+  });
+
+  return {
+    summary,
+    model: SUMMARY_MODEL,
+    promptVersion: type.promptVersion,
+    parts: parts.length
+  };
+};
+
+module.exports = {
+  SUMMARY_MODEL,
+  MAX_INPUT_CHARS,
+  SUMMARY_TYPES,
+  SUMMARY_TYPE_NAMES,
+  isCurrent,
+  summarize
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const AIHelper = require('./aiHelper');
+const { stemWords } = require('./textAlignment');
+
+// Embedding providers for document retrieval. "openai" calls the OpenAI embeddings API;
+// "local" is a feature-hashing model computed in process, so indexing and retrieval work
+// offline and give the same vectors on every run. Vectors are stored with the provider
+// and model that made them and only ever compared with vectors of the same model.
+// EMBEDDING_PROVIDER picks the provider; without it OpenAI is used when configured.
+
+const LOCAL_DIMENSIONS = 512;
+
+// Word stems plus neighbouring pairs, so "termination for convenience" and
+// "convenience termination" score close but not equal. Non-Latin words are kept whole.
+const localFeatures = (text) => {
+  const words = [
+    ...stemWords(text),
+    ...(text.toLowerCase().match(/[\p{L}\p{N}]*[^\x00-\x7F][\p{L}\p{N}]*/gu) || [])
+      .filter(word => /[\p{L}\p{N}]/u.test(word))
+  ];
+  return [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+};
+
+// Signed feature hashing with log-scaled counts, L2-normalised
+const localEmbedding = (text) => {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const counts = new Map();
+  for (const feature of localFeatures(text)) counts.set(feature, (counts.get(feature) || 0) + 1);
+
+  for (const [feature, count] of counts) {
+    const hash = crypto.createHash('md5').update(feature).digest();
+    const slot = hash.readUInt32LE(0) % LOCAL_DIMENSIONS;
+    const sign = hash[4] & 1 ? 1 : -1;
+    // Pairs weigh less than single words
+    const weight = (1 + Math.log(count)) * (feature.includes(' ') ? 0.5 : 1);
+    vector[slot] += sign * weight;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => Math.round((value / norm) * 1e6) / 1e6);
+};
+
+const providers = {
+  openai: {
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    batchSize: 64,
+    available: () => Boolean(process.env.OPENAI_API_KEY),
+    embed: (texts, model) => AIHelper.embedTexts(texts, { model })
+  },
+  local: {
+    model: `hashing-${LOCAL_DIMENSIONS}-v1`,
+    batchSize: 256,
+    available: () => true,
+    embed: async texts => texts.map(localEmbedding)
+  }
+};
+
+// Adds or replaces a provider: { model, batchSize, available(), embed(texts, model) }
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// The named provider, or the configured default
+const getProvider = (name = process.env.EMBEDDING_PROVIDER) => {
+  const chosen = name || (providers.openai.available() ? 'openai' : 'local');
+  const provider = providers[chosen];
+  if (!provider) throw new Error(`Unknown embedding provider: ${chosen}`);
+  if (!provider.available()) throw new Error(`Embedding provider ${chosen} is not configured`);
+  return { name: chosen, ...provider };
+};
+
+// One vector per text, batched as the provider allows
+const embed = async (texts, provider = getProvider()) => {
+  const vectors = [];
+  for (let from = 0; from < texts.length; from += provider.batchSize) {
+    vectors.push(...await provider.embed(texts.slice(from, from + provider.batchSize), provider.model));
+  }
+  return vectors;
+};
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  embed,
+  cosineSimilarity,
+  localEmbedding
+};
@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const config = require('../config/encryption');
+const EncryptionKey = require('../models/EncryptionKey');
+
+// Envelope encryption: every owner (user or organisation) has its own AES-256 data key,
+// stored wrapped by the master key from config. Files and text columns are encrypted
+// with the owner's data key and carry the id of that key so they survive rotation.
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Text columns: "enc:v1:<keyId>:<base64 iv + tag + ciphertext>"
+const TEXT_PREFIX = 'enc:v1:';
+
+// Files: magic, key id (uint32), iv and tag, followed by the ciphertext
+const FILE_MAGIC = Buffer.from('LDAENC01');
+const HEADER_LENGTH = FILE_MAGIC.length + 4 + IV_LENGTH + TAG_LENGTH;
+
+// Active keys are re-read periodically so a rotation run from the CLI
+// is picked up by a running server
+const ACTIVE_KEY_TTL = 60 * 1000;
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+const open = (key, iv, tag, ciphertext) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+class Encryption {
+  constructor() {
+    this.keysById = new Map();
+    this.activeKeys = new Map();
+    // Model name -> encrypted fields, for scripts/rotateKeys.js to check it covers every one
+    this.encryptedModels = new Map();
+  }
+
+  isEnabled() {
+    return config.enabled;
+  }
+
+  // Data keys are per user today; organisation-owned keys use the same table
+  ownerForUser(userId) {
+    return { type: 'user', id: userId };
+  }
+
+  wrapKey(dataKey) {
+    const masterKey = config.masterKeys.get(config.activeKeyId);
+    if (!masterKey) throw new Error('ENCRYPTION_MASTER_KEY is not set');
+
+    const { iv, tag, ciphertext } = seal(masterKey, dataKey);
+    return {
+      wrappedKey: Buffer.concat([iv, tag, ciphertext]).toString('base64'),
+      masterKeyId: config.activeKeyId
+    };
+  }
+
+  unwrapKey(record) {
+    const masterKey = config.masterKeys.get(record.masterKeyId);
+    if (!masterKey) {
+      throw new Error(`Master key "${record.masterKeyId}" is not configured; add it to ENCRYPTION_OLD_MASTER_KEYS`);
+    }
+
+    const wrapped = Buffer.from(record.wrappedKey, 'base64');
+    return open(
+      masterKey,
+      wrapped.subarray(0, IV_LENGTH),
+      wrapped.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH),
+      wrapped.subarray(IV_LENGTH + TAG_LENGTH)
+    );
+  }
+
+  async createKey(owner, version = 1) {
+    const dataKey = crypto.randomBytes(32);
+    const record = await EncryptionKey.create({
+      ownerType: owner.type,
+      ownerId: owner.id,
+      version,
+      status: 'active',
+      ...this.wrapKey(dataKey)
+    });
+
+    this.keysById.set(record.id, dataKey);
+    return { id: record.id, key: dataKey };
+  }
+
+  // The owner's current data key, created on first use
+  async getActiveKey(owner) {
+    const cacheKey = `${owner.type}:${owner.id}`;
+    const cached = this.activeKeys.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < ACTIVE_KEY_TTL) return cached;
+
+    let record = await EncryptionKey.findOne({
+      where: { ownerType: owner.type, ownerId: owner.id, status: 'active' },
+      order: [['version', 'DESC']]
+    });
+
+    let active;
+    if (record) {
+      active = { id: record.id, key: await this.getKeyById(record.id, record) };
+    } else {
+      try {
+        active = await this.createKey(owner);
+      } catch (error) {
+        // Another request created the first key concurrently
+        if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+        record = await EncryptionKey.findOne({
+          where: { ownerType: owner.type, ownerId: owner.id, status: 'active' }
+        });
+        active = { id: record.id, key: await this.getKeyById(record.id, record) };
+      }
+    }
+
+    const entry = { ...active, loadedAt: Date.now() };
+    this.activeKeys.set(cacheKey, entry);
+    return entry;
+  }
+
+  async getKeyById(id, record) {
+    if (this.keysById.has(id)) return this.keysById.get(id);
+
+    const keyRecord = record || await EncryptionKey.findByPk(id);
+    if (!keyRecord) throw new Error(`Encryption key ${id} not found`);
+
+    const dataKey = this.unwrapKey(keyRecord);
+    this.keysById.set(id, dataKey);
+    return dataKey;
+  }
+
+  isEncryptedText(value) {
+    return typeof value === 'string' && value.startsWith(TEXT_PREFIX);
+  }
+
+  async encryptText(text, owner) {
+    if (text == null || !this.isEnabled()) return text;
+
+    const { id, key } = await this.getActiveKey(owner);
+    const { iv, tag, ciphertext } = seal(key, Buffer.from(text, 'utf8'));
+    return `${TEXT_PREFIX}${id}:${Buffer.concat([iv, tag, ciphertext]).toString('base64')}`;
+  }
+
+  // Plaintext written before encryption was enabled is returned unchanged
+  async decryptText(value) {
+    if (!this.isEncryptedText(value)) return value;
+
+    const separator = value.indexOf(':', TEXT_PREFIX.length);
+    const keyId = parseInt(value.slice(TEXT_PREFIX.length, separator));
+    const payload = Buffer.from(value.slice(separator + 1), 'base64');
+
+    const key = await this.getKeyById(keyId);
+    return open(
+      key,
+      payload.subarray(0, IV_LENGTH),
+      payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH),
+      payload.subarray(IV_LENGTH + TAG_LENGTH)
+    ).toString('utf8');
+  }
+
+  isEncryptedBuffer(buffer) {
+    return buffer.length >= HEADER_LENGTH && buffer.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC);
+  }
+
+  async encryptBuffer(buffer, owner) {
+    if (!this.isEnabled()) return buffer;
+
+    const { id, key } = await this.getActiveKey(owner);
+    const { iv, tag, ciphertext } = seal(key, buffer);
+    const keyId = Buffer.alloc(4);
+    keyId.writeUInt32BE(id);
+    return Buffer.concat([FILE_MAGIC, keyId, iv, tag, ciphertext]);
+  }
+
+  async createFileDecipher(header) {
+    let offset = FILE_MAGIC.length;
+    const keyId = header.readUInt32BE(offset);
+    offset += 4;
+    const iv = header.subarray(offset, offset + IV_LENGTH);
+    offset += IV_LENGTH;
+    const tag = header.subarray(offset, offset + TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, await this.getKeyById(keyId), iv);
+    decipher.setAuthTag(tag);
+    return decipher;
+  }
+
+  async decryptBuffer(buffer) {
+    if (!this.isEncryptedBuffer(buffer)) return buffer;
+
+    const decipher = await this.createFileDecipher(buffer);
+    return Buffer.concat([decipher.update(buffer.subarray(HEADER_LENGTH)), decipher.final()]);
+  }
+
+  // Decrypting view of a stored file stream; unencrypted files pass through.
+  // The auth tag is checked when the stream ends, so a tampered file errors the stream.
+  decryptStream(source) {
+    const self = this;
+
+    async function* decrypt() {
+      let head = Buffer.alloc(0);
+      let decipher = null;
+      let passthrough = false;
+
+      for await (const chunk of source) {
+        const data = Buffer.from(chunk);
+        if (decipher) {
+          yield decipher.update(data);
+          continue;
+        }
+        if (passthrough) {
+          yield data;
+          continue;
+        }
+
+        head = Buffer.concat([head, data]);
+        if (head.length < HEADER_LENGTH) continue;
+
+        if (self.isEncryptedBuffer(head)) {
+          decipher = await self.createFileDecipher(head);
+          yield decipher.update(head.subarray(HEADER_LENGTH));
+        } else {
+          passthrough = true;
+          yield head;
+        }
+      }
+
+      if (decipher) {
+        yield decipher.final();
+      } else if (!passthrough && head.length > 0) {
+        yield head;
+      }
+    }
+
+    return Readable.from(decrypt(), { objectMode: false });
+  }
+
+  get headerLength() {
+    return HEADER_LENGTH;
+  }
+
+  // Transparent encryption of text columns through model hooks. `getOwnerUserId(instance, options)`
+  // returns the user whose data key protects the row.
+  encryptFields(Model, fields, getOwnerUserId) {
+    this.encryptedModels.set(Model.name, fields);
+
+    const encryptInstance = async (instance, options) => {
+      if (!this.isEnabled()) return;
+
+      const pending = fields.filter((field) => {
+        const value = instance.getDataValue(field);
+        return instance.changed(field) && typeof value === 'string' && !this.isEncryptedText(value);
+      });
+      if (pending.length === 0) return;
+
+      const owner = this.ownerForUser(await getOwnerUserId(instance, options));
+      instance._plaintextFields = {};
+      for (const field of pending) {
+        const plaintext = instance.getDataValue(field);
+        instance._plaintextFields[field] = plaintext;
+        instance.setDataValue(field, await this.encryptText(plaintext, owner));
+      }
+    };
+
+    // After saving, the instance keeps holding plaintext for the caller
+    const restorePlaintext = (instance) => {
+      if (!instance._plaintextFields) return;
+
+      for (const [field, plaintext] of Object.entries(instance._plaintextFields)) {
+        instance.dataValues[field] = plaintext;
+        instance._previousDataValues[field] = plaintext;
+        instance.changed(field, false);
+      }
+      delete instance._plaintextFields;
+    };
+
+    const decryptRows = async (result) => {
+      if (!result) return;
+
+      const rows = Array.isArray(result) ? result : [result];
+      for (const row of rows) {
+        const values = row.dataValues || row;
+        for (const field of fields) {
+          if (!this.isEncryptedText(values[field])) continue;
+          const plaintext = await this.decryptText(values[field]);
+          values[field] = plaintext;
+          if (row._previousDataValues) row._previousDataValues[field] = plaintext;
+        }
+        // Rows of the same model included through a self-association, such as a clause's children
+        for (const value of Object.values(values)) {
+          const nested = [].concat(value).filter(item => item instanceof Model);
+          if (nested.length > 0) await decryptRows(nested);
+        }
+      }
+    };
+
+    Model.addHook('beforeCreate', encryptInstance);
+    Model.addHook('beforeUpdate', encryptInstance);
+    Model.addHook('afterCreate', restorePlaintext);
+    Model.addHook('afterUpdate', restorePlaintext);
+    Model.addHook('afterFind', decryptRows);
+
+    // Model.update() skips instance hooks unless told otherwise
+    Model.addHook('beforeBulkUpdate', (options) => {
+      if (fields.some(field => options.attributes && field in options.attributes)) {
+        options.individualHooks = true;
+      }
+    });
+  }
+
+  // Re-encrypts every data key under the current master key. Returns the number rewrapped.
+  async rewrapKeys() {
+    const { Op } = EncryptionKey.sequelize.Sequelize;
+    const records = await EncryptionKey.findAll({
+      where: { masterKeyId: { [Op.ne]: config.activeKeyId } }
+    });
+
+    for (const record of records) {
+      const dataKey = this.unwrapKey(record);
+      await record.update({ ...this.wrapKey(dataKey), rotatedAt: new Date() });
+    }
+    return records.length;
+  }
+
+  // Issues a new data key for the owner; the previous one is retired but can still decrypt
+  async rotateDataKey(owner) {
+    const current = await EncryptionKey.findOne({
+      where: { ownerType: owner.type, ownerId: owner.id },
+      order: [['version', 'DESC']]
+    });
+
+    await EncryptionKey.update(
+      { status: 'retired', rotatedAt: new Date() },
+      { where: { ownerType: owner.type, ownerId: owner.id, status: 'active' } }
+    );
+    this.activeKeys.delete(`${owner.type}:${owner.id}`);
+
+    return this.createKey(owner, current ? current.version + 1 : 1);
+  }
+}
+
+module.exports = new Encryption();
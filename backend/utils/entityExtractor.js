@@ -0,0 +1,199 @@
+const compromise = require('compromise');
+const { findDates } = require('./legalDates');
+
+// Named entities with offsets into the text they were found in. Names of people,
+// organisations and places come from compromise; parties, amounts, dates, case numbers,
+// CNR numbers and statute references use patterns for Indian legal documents.
+
+const ENTITY_TYPES = ['party', 'person', 'organization', 'place', 'date', 'amount', 'case_number', 'cnr', 'statute'];
+
+// Parties are introduced by a defined role: (hereinafter referred to as the "Licensor"),
+// (hereinafter "the Landlord")
+const PARTY_ROLE = /\(\s*(?:hereinafter\s+(?:jointly\s+|collectively\s+)?(?:(?:referred\s+to\s+as|called)\s+)?)?(?:the\s+)?["“'](?:[Tt]he\s+)?([A-Z][A-Za-z ]{1,40}?)["”'](?:[^)]{0,120})?\)/g;
+
+const AMOUNT_PATTERNS = [
+  {
+    currency: 'INR',
+    pattern: /(?:₹|\bRs\.?|\bINR|\bRupees)\s?(\d[\d,]*(?:\.\d{1,2})?)(?:\s*\/-)?(?:\s*(lakhs?|lacs?|crores?|thousand)\b)?/gi
+  },
+  {
+    currency: 'USD',
+    pattern: /(?:US\$|\$|\bUSD)\s?(\d[\d,]*(?:\.\d{1,2})?)(?:\s*(million|thousand)\b)?/gi
+  }
+];
+const MULTIPLIERS = { lakh: 1e5, lac: 1e5, crore: 1e7, thousand: 1e3, million: 1e6 };
+
+// eCourts Case Number Record: state (2) + district (2) + establishment (2) + serial (6) + year (4)
+const CNR = /\b([A-Z]{2})([A-Z]{2})(\d{2})-?(\d{6})-?((?:19|20)\d{2})\b/g;
+
+const CASE_KINDS = [
+  'W\\.?\\s?P\\.?\\s?(?:\\((?:C|Civil|Crl|Criminal)\\.?\\))?', 'S\\.?L\\.?P\\.?\\s?(?:\\((?:C|Civil|Crl|Criminal)\\.?\\))?',
+  'Crl\\.?\\s?(?:A|M\\.?P|Rev|Misc)\\.?', 'C\\.?S\\.?', 'O\\.?S\\.?', 'C\\.?C\\.?', 'M\\.?A\\.?C\\.?P\\.?', 'R\\.?C\\.?S\\.?',
+  'FIR', 'Civil\\s+Appeal', 'Criminal\\s+Appeal', 'Writ\\s+Petition', 'Bail\\s+Application', 'Arbitration\\s+Petition',
+  'Commercial\\s+Suit', 'Original\\s+Suit', 'Case', 'Suit', 'Appeal', 'Petition', 'Complaint', 'Application'
+];
+const CASE_NUMBER = new RegExp(`\\b(${CASE_KINDS.join('|')})\\s*(?:No\\.?|Number|Nos\\.?)\\s*:?\\s*(\\d+)\\s*(?:\\/|of)\\s*((?:19|20)\\d{2})\\b`, 'gi');
+
+// Short names statutes are cited by, longest first within each alternation
+const ACTS = [
+  { short: 'IPC', pattern: 'IPC|I\\.P\\.C\\.?|Indian\\s+Penal\\s+Code(?:,?\\s+1860)?' },
+  { short: 'CrPC', pattern: 'Cr\\.?\\s?P\\.?\\s?C\\.?|Code\\s+of\\s+Criminal\\s+Procedure(?:,?\\s+1973)?' },
+  { short: 'CPC', pattern: 'CPC|C\\.P\\.C\\.?|Code\\s+of\\s+Civil\\s+Procedure(?:,?\\s+1908)?' },
+  { short: 'BNS', pattern: 'BNS|Bharatiya\\s+Nyaya\\s+Sanhita(?:,?\\s+2023)?' },
+  { short: 'BNSS', pattern: 'BNSS|Bharatiya\\s+Nagarik\\s+Suraksha\\s+Sanhita(?:,?\\s+2023)?' },
+  { short: 'BSA', pattern: 'BSA|Bharatiya\\s+Sakshya\\s+Adhiniyam(?:,?\\s+2023)?' },
+  { short: 'NI Act', pattern: 'N\\.?I\\.?\\s+Act|Negotiable\\s+Instruments\\s+Act(?:,?\\s+1881)?' },
+  { short: 'Evidence Act', pattern: '(?:Indian\\s+)?Evidence\\s+Act(?:,?\\s+1872)?' },
+  { short: 'Constitution', pattern: 'Constitution(?:\\s+of\\s+India)?' },
+  { short: null, pattern: '(?:[A-Z][A-Za-z()]+\\s+){1,7}(?:Act|Code|Rules|Regulations)(?:,?\\s+(?:19|20)\\d{2})?' }
+];
+const PROVISION_UNITS = { section: 'Section', sections: 'Section', sec: 'Section', secs: 'Section', s: 'Section', u: 'Section', article: 'Article', articles: 'Article', art: 'Article', order: 'Order', rule: 'Rule', rules: 'Rule', regulation: 'Regulation' };
+const PROVISION_NUMBER = '(?:\\d+[A-Z]{0,2}|[IVXLC]+)(?:\\s*\\(\\s*[0-9a-z]+\\s*\\))*';
+const STATUTE = new RegExp(
+  `\\b(Sections?|Secs?\\.?|S\\.|u\\/s\\.?|Articles?|Art\\.|Order|Rules?|Regulation)\\s*(${PROVISION_NUMBER}(?:\\s*(?:,|&|and|\\/|r\\/w|read\\s+with)\\s*${PROVISION_NUMBER})*)`
+  + `(?:\\s+(?:Rule)\\s+(${PROVISION_NUMBER}))?\\s*(?:,\\s*)?(?:of\\s+(?:the\\s+)?)?(${ACTS.map(act => act.pattern).join('|')})`,
+  'g'
+);
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const shortActName = (act) => {
+  for (const { short, pattern } of ACTS) {
+    if (short && new RegExp(`^(?:${pattern})$`, 'i').test(act.trim())) return short;
+  }
+  return act.trim().replace(/\s+/g, ' ');
+};
+
+const findParties = (text) => {
+  const parties = [];
+  for (const match of text.matchAll(PARTY_ROLE)) {
+    const role = match[1].trim();
+    // The party's name is the start of the clause that introduces it
+    const windowStart = Math.max(0, match.index - 300);
+    const window = text.slice(windowStart, match.index);
+    const lead = [...window.matchAll(/\b(?:between|and)\s+|\n\s*(?:\d+[.)]\s*)?|^/gi)].pop();
+    const nameStart = windowStart + (lead ? lead.index + lead[0].length : 0);
+    const name = text.slice(nameStart, match.index).split(/,|\(/)[0].replace(/\s+/g, ' ').trim();
+
+    const hasName = name.length >= 2 && name.length <= 120 && /^[A-Z0-9]/.test(name)
+      && name.toLowerCase() !== role.toLowerCase();
+    parties.push({
+      type: 'party',
+      value: hasName ? `${name} (${role})` : role,
+      start: hasName ? nameStart : match.index,
+      end: match.index + match[0].length,
+      metadata: { role }
+    });
+  }
+  return parties;
+};
+
+const findAmounts = (text) => {
+  const amounts = [];
+  for (const { currency, pattern } of AMOUNT_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const multiplier = match[2] ? MULTIPLIERS[match[2].toLowerCase().replace(/s$/, '')] : 1;
+      const amount = parseFloat(match[1].replace(/,/g, '')) * multiplier;
+      if (Number.isNaN(amount)) continue;
+
+      amounts.push({
+        type: 'amount',
+        value: `${currency} ${amount}`,
+        start: match.index,
+        end: match.index + match[0].length,
+        metadata: { amount, currency }
+      });
+    }
+  }
+  return amounts;
+};
+
+const findCNRs = text => [...text.matchAll(CNR)].map(match => ({
+  type: 'cnr',
+  value: match.slice(1, 6).join(''),
+  start: match.index,
+  end: match.index + match[0].length,
+  metadata: { state: match[1], district: match[2], establishment: match[3], serial: match[4], year: match[5] }
+}));
+
+const findCaseNumbers = text => [...text.matchAll(CASE_NUMBER)].map(match => ({
+  type: 'case_number',
+  value: `${match[1].replace(/\s+/g, ' ')} No. ${match[2]}/${match[3]}`,
+  start: match.index,
+  end: match.index + match[0].length,
+  metadata: { kind: match[1].replace(/\s+/g, ' '), number: match[2], year: match[3] }
+}));
+
+// "Sections 420 and 406 IPC" is one span but two references
+const findStatutes = (text) => {
+  const statutes = [];
+  for (const match of text.matchAll(STATUTE)) {
+    const unitKey = match[1].toLowerCase().replace(/[^a-z]/g, '');
+    const unit = PROVISION_UNITS[unitKey] || PROVISION_UNITS[unitKey.replace(/s$/, '')] || 'Section';
+    const act = shortActName(match[4]);
+    const numbers = match[2].split(/\s*(?:,|&|\band\b|\/|r\/w|read\s+with)\s*/i).filter(Boolean);
+
+    for (const number of numbers) {
+      const provision = number.replace(/\s+/g, '');
+      const rule = match[3] ? ` Rule ${match[3].replace(/\s+/g, '')}` : '';
+      statutes.push({
+        type: 'statute',
+        value: `${unit} ${provision}${rule} ${act}`,
+        start: match.index,
+        end: match.index + match[0].length,
+        metadata: { unit, provision, rule: match[3] || null, act }
+      });
+    }
+  }
+  return statutes;
+};
+
+const findNames = (text) => {
+  const doc = compromise(text);
+  const names = [];
+  const collect = (type, view) => {
+    for (const entry of view.json({ offset: true })) {
+      const value = entry.text.replace(/[\s,.;:]+$/, '').trim();
+      if (value.length < 2) continue;
+      names.push({ type, value, start: entry.offset.start, end: entry.offset.start + value.length });
+    }
+  };
+  collect('person', doc.people());
+  collect('organization', doc.organizations());
+  collect('place', doc.places());
+  return names;
+};
+
+// All entities in text: [{ type, value, text, start, end, metadata }], in reading order
+const extractEntities = (text) => {
+  const source = text || '';
+  const found = [
+    ...findParties(source),
+    ...findCNRs(source),
+    ...findCaseNumbers(source),
+    ...findStatutes(source),
+    ...findAmounts(source),
+    ...findDates(source).map(date => ({ type: 'date', value: date.date, start: date.start, end: date.end }))
+  ];
+
+  // Names that are part of a pattern match ("Indian Penal Code") are not separate entities
+  for (const name of findNames(source)) {
+    if (!found.some(entity => entity.type !== 'party' && overlaps(entity, name))) found.push(name);
+  }
+
+  const seen = new Set();
+  return found
+    .filter((entity) => {
+      const key = `${entity.type}:${entity.start}:${entity.value}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(entity => ({ metadata: null, ...entity, text: source.slice(entity.start, entity.end) }))
+    .sort((a, b) => a.start - b.start || ENTITY_TYPES.indexOf(a.type) - ENTITY_TYPES.indexOf(b.type));
+};
+
+module.exports = {
+  ENTITY_TYPES,
+  extractEntities
+};
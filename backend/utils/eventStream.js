@@ -0,0 +1,46 @@
+// Server-Sent Events over an Express response, for endpoints that stream model output
+// as it is generated. Each event is `event: <name>` with a JSON `data` line. `signal`
+// aborts when the client disconnects, so the upstream request can be cancelled.
+
+const HEARTBEAT_MS = 15000;
+
+const openEventStream = (res) => {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // A comment line now and then keeps proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const open = () => !controller.signal.aborted && !res.writableEnded;
+
+  return {
+    signal: controller.signal,
+    get open() {
+      return open();
+    },
+    send(event, data) {
+      if (open()) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+};
+
+module.exports = {
+  openEventStream
+};
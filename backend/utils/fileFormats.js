@@ -0,0 +1,106 @@
+const path = require('path');
+
+// Every upload path accepts the formats listed here, and OCRHelper.extractText
+// knows how to read each of them. Keys are the `fileType` passed to extractText.
+const FORMATS = {
+  pdf: {
+    label: 'PDF',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf']
+  },
+  png: {
+    label: 'PNG image',
+    extensions: ['.png'],
+    mimeTypes: ['image/png']
+  },
+  jpeg: {
+    label: 'JPEG image',
+    extensions: ['.jpg', '.jpeg'],
+    mimeTypes: ['image/jpeg', 'image/pjpeg']
+  },
+  tiff: {
+    label: 'TIFF image (multi-page)',
+    extensions: ['.tif', '.tiff'],
+    mimeTypes: ['image/tiff', 'image/x-tiff']
+  },
+  docx: {
+    label: 'Word document (DOCX)',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  doc: {
+    label: 'Word 97-2003 document (DOC)',
+    extensions: ['.doc'],
+    mimeTypes: ['application/msword']
+  },
+  rtf: {
+    label: 'Rich Text Format',
+    extensions: ['.rtf'],
+    mimeTypes: ['application/rtf', 'text/rtf', 'application/x-rtf']
+  },
+  odt: {
+    label: 'OpenDocument text (ODT)',
+    extensions: ['.odt'],
+    mimeTypes: ['application/vnd.oasis.opendocument.text']
+  },
+  html: {
+    label: 'HTML',
+    extensions: ['.html', '.htm'],
+    mimeTypes: ['text/html', 'application/xhtml+xml']
+  },
+  eml: {
+    label: 'Email message (EML)',
+    extensions: ['.eml'],
+    mimeTypes: ['message/rfc822']
+  },
+  txt: {
+    label: 'Plain text',
+    extensions: ['.txt'],
+    mimeTypes: ['text/plain']
+  }
+};
+
+// Format key for an uploaded file, by extension first and then by MIME type
+const detectFormat = (originalName, mimeType) => {
+  const ext = path.extname(originalName || '').toLowerCase();
+  const byExtension = Object.keys(FORMATS).find(key => FORMATS[key].extensions.includes(ext));
+  if (byExtension) return byExtension;
+
+  const mime = (mimeType || '').toLowerCase();
+  return Object.keys(FORMATS).find(key => FORMATS[key].mimeTypes.includes(mime)) || null;
+};
+
+const getSupportedExtensions = () => Object.values(FORMATS).flatMap(format => format.extensions);
+
+const describeSupportedFormats = () => Object.entries(FORMATS).map(([key, format]) => ({
+  type: key,
+  label: format.label,
+  extensions: format.extensions
+}));
+
+const unsupportedFormatError = (originalName) => {
+  const error = new Error(
+    `Unsupported file type: ${originalName}. Allowed: ${getSupportedExtensions().join(', ')}`
+  );
+  error.statusCode = 415;
+  error.code = 'UNSUPPORTED_FILE_TYPE';
+  return error;
+};
+
+// multer fileFilter shared by every upload route; rejects instead of silently dropping the file
+const fileFilter = (req, file, cb) => {
+  if (detectFormat(file.originalname, file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(unsupportedFormatError(file.originalname));
+  }
+};
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  getSupportedExtensions,
+  describeSupportedFormats,
+  unsupportedFormatError,
+  fileFilter
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const GlossaryTerm = require('../models/GlossaryTerm');
+
+// The glossary a user's documents are simplified and translated with: global terms,
+// their organisation's terms and their own, merged so the narrowest definition of a
+// term wins. While text is rewritten or machine translated each glossary term is
+// swapped for a token, so nothing else touches it, and put back afterwards in the
+// glossary's wording.
+
+const GLOSSARY_SCOPES = ['global', 'org', 'user'];
+const SCOPE_RANK = { global: 0, org: 1, user: 2 };
+
+const ENTRY_FIELDS = ['id', 'scope', 'term', 'language', 'replacement', 'definition',
+  'translations', 'doNotTranslate', 'caseSensitive'];
+
+const token = index => `⟦G${index}⟧`;
+// Translation services sometimes add spaces inside the brackets
+const TOKEN_PATTERN = /⟦\s*G\s*(\d+)\s*⟧/g;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match that also works for terms in non-Latin scripts
+const termPattern = entry => new RegExp(
+  `(?<![\\p{L}\\p{N}])${escapeRegExp(entry.term).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`,
+  entry.caseSensitive ? 'gu' : 'giu'
+);
+
+const termKey = entry => `${entry.language}:${entry.term.toLowerCase()}`;
+
+const opensSentence = (text, offset) => {
+  const before = text.slice(Math.max(0, offset - 20), offset);
+  return /[.!?:;\n]\s*$/.test(before) || (before.trim() === '' && offset === before.length);
+};
+
+// A replacement that opens a sentence starts with a capital
+const matchCase = (wording, { matched, sentenceStart }) => (sentenceStart && /^\p{Lu}/u.test(matched)
+  ? wording[0].toUpperCase() + wording.slice(1)
+  : wording);
+
+class Glossary {
+  constructor(terms = []) {
+    const byTerm = new Map();
+    for (const term of terms) {
+      const entry = Object.fromEntries(ENTRY_FIELDS.map(field => [field, term[field]]));
+      entry.language = entry.language || 'en';
+      entry.translations = entry.translations || {};
+      const current = byTerm.get(termKey(entry));
+      if (!current || SCOPE_RANK[entry.scope] >= SCOPE_RANK[current.scope]) byTerm.set(termKey(entry), entry);
+    }
+
+    // Longest first, so "caveat petition" is matched before "caveat"
+    this.entries = [...byTerm.values()].sort((a, b) => b.term.length - a.term.length);
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // Short fingerprint of the entries; changes whenever a term is added, edited or removed
+  get version() {
+    const content = JSON.stringify(this.entries
+      .map(({ id, ...entry }) => entry)
+      .sort((a, b) => termKey(a).localeCompare(termKey(b))));
+    return crypto.createHash('sha1').update(content).digest('hex').slice(0, 8);
+  }
+
+  // Entries written in the given language; all of them for 'auto'
+  inLanguage(language) {
+    return !language || language === 'auto'
+      ? this.entries
+      : this.entries.filter(entry => entry.language === language);
+  }
+
+  // Entries that occur in the text
+  findIn(text, entries = this.entries) {
+    return entries.filter(entry => termPattern(entry).test(text));
+  }
+
+  // A glossary of only the entries that occur in the text
+  within(text) {
+    return new Glossary(this.findIn(text));
+  }
+
+  // Swaps occurrences of the entries for tokens. Returns the shielded text and a
+  // restore(text, render) that swaps the tokens back for render({ entry, matched, sentenceStart }).
+  shield(text, entries = this.entries) {
+    const found = [];
+    let shielded = text;
+    for (const entry of entries) {
+      shielded = shielded.replace(termPattern(entry), (matched, offset, whole) => {
+        found.push({ entry, matched, sentenceStart: opensSentence(whole, offset) });
+        return token(found.length - 1);
+      });
+    }
+
+    const restore = (output, render) => output.replace(TOKEN_PATTERN, (whole, index) => (
+      found[index] ? render(found[index]) : whole
+    ));
+    const intact = output => found.every((_, index) => new RegExp(`⟦\\s*G\\s*${index}\\s*⟧`).test(output));
+
+    return { text: shielded, found, restore, intact };
+  }
+
+  // Runs rewrite() on the text with glossary terms shielded, then puts in each term's
+  // plain-language replacement, or the term as written when it has none
+  simplify(text, rewrite) {
+    const shielded = this.shield(text);
+    if (shielded.found.length === 0) return rewrite(text);
+
+    return shielded.restore(rewrite(shielded.text), occurrence => (
+      occurrence.entry.replacement ? matchCase(occurrence.entry.replacement, occurrence) : occurrence.matched
+    ));
+  }
+
+  // Translates text with translate(text) => Promise<string>. Terms with a preferred
+  // rendering in the target language get it; do-not-translate terms stay as written.
+  // If the translation loses a token the text is translated again without the glossary.
+  async translate(text, targetLanguage, sourceLanguage, translate) {
+    const entries = this.inLanguage(sourceLanguage)
+      .filter(entry => entry.translations[targetLanguage] || entry.doNotTranslate);
+    const shielded = this.shield(text, entries);
+    if (shielded.found.length === 0) return { text: await translate(text), applied: [] };
+
+    const remaining = shielded.text.replace(TOKEN_PATTERN, '');
+    const translated = /[\p{L}\p{N}]/u.test(remaining) ? await translate(shielded.text) : shielded.text;
+    if (!shielded.intact(translated)) return { text: await translate(text), applied: [] };
+
+    return {
+      text: shielded.restore(translated, ({ entry, matched }) => entry.translations[targetLanguage] || matched),
+      applied: [...new Set(shielded.found.map(({ entry }) => entry.term))]
+    };
+  }
+
+  // Prompt lines asking a model to use the glossary wording for terms in the text
+  instructionsFor(text) {
+    return this.findIn(text)
+      .filter(entry => entry.replacement || entry.doNotTranslate)
+      .map(entry => (entry.replacement
+        ? `- Write "${entry.term}" as "${entry.replacement}".`
+        : `- Keep "${entry.term}" exactly as written.`));
+  }
+}
+
+// Terms visible to a user: global ones, their organisation's and their own
+const visibleTo = user => ({
+  [Op.or]: [
+    { scope: 'global' },
+    ...(user.organization ? [{ scope: 'org', organization: user.organization }] : []),
+    { scope: 'user', userId: user.id }
+  ]
+});
+
+// The merged glossary for a user; an empty one without a user
+const loadGlossary = async (user) => {
+  if (!user) return new Glossary();
+  const terms = await GlossaryTerm.findAll({ where: visibleTo(user) });
+  return new Glossary(terms);
+};
+
+module.exports = {
+  GLOSSARY_SCOPES,
+  Glossary,
+  visibleTo,
+  loadGlossary
+};
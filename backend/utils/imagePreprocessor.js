@@ -0,0 +1,301 @@
+const sharp = require('sharp');
+
+// Steps run in this order; callers choose a subset
+const AVAILABLE_STEPS = ['rotate', 'grayscale', 'crop', 'upscale', 'denoise', 'deskew', 'threshold'];
+const DEFAULT_STEPS = (process.env.OCR_PREPROCESS_STEPS || AVAILABLE_STEPS.join(',')).split(',');
+
+const TARGET_DPI = parseInt(process.env.OCR_TARGET_DPI) || 300;
+const MAX_UPSCALE = 4;
+const MAX_SKEW = 10;
+
+const EXIF_ROTATION = { 3: 180, 6: 90, 8: 270 };
+
+// Greyscale raw pixels: { data: Uint8Array, width, height }
+const toRaw = async (pipeline) => {
+  const { data, info } = await pipeline.greyscale().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+};
+
+const fromRaw = ({ data, width, height }) => sharp(data, { raw: { width, height, channels: 1 } });
+
+// Otsu's method: the global threshold that best separates ink from paper. Ink is
+// `<= threshold` and paper `> threshold`; on a black-and-white page it returns 0
+const otsuThreshold = (data) => {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+  const total = data.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 127;
+
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * Math.pow(meanBackground - meanForeground, 2);
+
+    if (between > best) {
+      best = between;
+      threshold = i;
+    }
+  }
+  return threshold;
+};
+
+// Score how sharply dark pixels fall into horizontal rows when rotated by `angle` degrees
+const projectionScore = (points, angle, height) => {
+  const radians = angle * Math.PI / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const offset = height;
+  const bins = new Float64Array(height * 3);
+
+  for (let i = 0; i < points.length; i += 2) {
+    const row = Math.round(points[i + 1] * cos - points[i] * sin) + offset;
+    if (row >= 0 && row < bins.length) bins[row]++;
+  }
+
+  let score = 0;
+  for (let i = 1; i < bins.length; i++) {
+    const diff = bins[i] - bins[i - 1];
+    score += diff * diff;
+  }
+  return score;
+};
+
+// Dark pixel coordinates of a downscaled copy, used for skew and orientation estimates
+const sampleDarkPixels = async (raw, maxWidth = 800) => {
+  const scale = Math.min(1, maxWidth / raw.width);
+  const small = scale < 1
+    ? await toRaw(fromRaw(raw).resize(Math.round(raw.width * scale)))
+    : raw;
+
+  const threshold = otsuThreshold(small.data);
+  const points = [];
+  for (let y = 0; y < small.height; y++) {
+    for (let x = 0; x < small.width; x++) {
+      if (small.data[y * small.width + x] <= threshold) points.push(x, y);
+    }
+  }
+  return { points, width: small.width, height: small.height };
+};
+
+class ImagePreprocessor {
+  getAvailableSteps() {
+    return AVAILABLE_STEPS;
+  }
+
+  // Accepts true/"all", false/"none", or a comma separated list of step names
+  resolveSteps(preprocess) {
+    if (preprocess === undefined || preprocess === null || preprocess === '') return null;
+    if (preprocess === false || preprocess === 'false' || preprocess === 'none') return null;
+    if (preprocess === true || preprocess === 'true' || preprocess === 'all') return DEFAULT_STEPS;
+
+    const requested = (Array.isArray(preprocess) ? preprocess : String(preprocess).split(','))
+      .map(step => step.trim().toLowerCase())
+      .filter(Boolean);
+
+    const unknown = requested.filter(step => !AVAILABLE_STEPS.includes(step));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown preprocessing step(s): ${unknown.join(', ')}. Available: ${AVAILABLE_STEPS.join(', ')}`);
+    }
+    return requested;
+  }
+
+  // Runs the selected steps and returns a PNG buffer plus a report of what each step did.
+  // `dpi` is the known source resolution (e.g. a rendered PDF page); otherwise it is estimated.
+  async run(input, { steps = DEFAULT_STEPS, dpi, detectOrientation } = {}) {
+    const enabled = new Set(steps);
+    const report = [];
+    const metadata = await sharp(input).metadata();
+
+    // Later steps all work on luminance, so greyscale conversion always happens
+    let raw = await toRaw(sharp(input).rotate());
+    report.push({
+      step: 'grayscale',
+      applied: true,
+      requested: enabled.has('grayscale')
+    });
+
+    if (enabled.has('rotate')) {
+      const exifRotation = EXIF_ROTATION[metadata.orientation] || 0;
+      const detected = await this.detectRotation(raw, detectOrientation);
+      if (detected.angle) {
+        raw = await toRaw(fromRaw(raw).rotate(detected.angle));
+      }
+      report.push({
+        step: 'rotate',
+        applied: Boolean(exifRotation || detected.angle),
+        exifRotation,
+        angle: detected.angle,
+        method: detected.method
+      });
+    }
+
+    if (enabled.has('crop')) {
+      const box = this.findPage(raw);
+      if (box) {
+        raw = await toRaw(fromRaw(raw).extract(box));
+      }
+      report.push({ step: 'crop', applied: Boolean(box), region: box });
+    }
+
+    if (enabled.has('upscale')) {
+      const sourceDpi = dpi || (metadata.density > 72 ? metadata.density : null) || raw.width / 8.27;
+      const factor = Math.min(MAX_UPSCALE, TARGET_DPI / sourceDpi);
+      const applied = factor > 1.2;
+      if (applied) {
+        raw = await toRaw(fromRaw(raw).resize(Math.round(raw.width * factor), null, { kernel: 'lanczos3' }));
+      }
+      report.push({
+        step: 'upscale',
+        applied,
+        estimatedDpi: Math.round(sourceDpi),
+        factor: applied ? Math.round(factor * 100) / 100 : 1
+      });
+    }
+
+    if (enabled.has('denoise')) {
+      raw = await toRaw(fromRaw(raw).median(3));
+      report.push({ step: 'denoise', applied: true, filter: 'median3' });
+    }
+
+    if (enabled.has('deskew')) {
+      const angle = await this.estimateSkew(raw);
+      const applied = Math.abs(angle) >= 0.2;
+      if (applied) {
+        raw = await toRaw(fromRaw(raw).rotate(-angle, { background: { r: 255, g: 255, b: 255 } }));
+      }
+      report.push({ step: 'deskew', applied, angle });
+    }
+
+    if (enabled.has('threshold')) {
+      raw = this.adaptiveThreshold(raw);
+      report.push({ step: 'threshold', applied: true, method: 'bradley' });
+    }
+
+    const buffer = await fromRaw(raw).png().toBuffer();
+    return { buffer, width: raw.width, height: raw.height, steps: report };
+  }
+
+  // Quarter-turn needed to make text upright, from Tesseract OSD when the caller provides it.
+  // Without OSD only the EXIF orientation (already applied) is used.
+  async detectRotation(raw, detectOrientation) {
+    if (!detectOrientation) return { angle: 0, method: 'exif' };
+
+    try {
+      const buffer = await fromRaw(raw).png().toBuffer();
+      const degrees = await detectOrientation(buffer);
+      return { angle: degrees ? (360 - degrees) % 360 : 0, method: 'osd' };
+    } catch (error) {
+      console.warn('Orientation detection failed:', error.message);
+      return { angle: 0, method: 'exif' };
+    }
+  }
+
+  // Bounding box of the bright paper region, or null if it already fills the frame
+  findPage(raw) {
+    const { data, width, height } = raw;
+    const threshold = otsuThreshold(data);
+    const rowBright = new Uint32Array(height);
+    const colBright = new Uint32Array(width);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[y * width + x] > threshold) {
+          rowBright[y]++;
+          colBright[x]++;
+        }
+      }
+    }
+
+    const span = (counts, length, other) => {
+      let start = 0;
+      let end = length - 1;
+      while (start < length && counts[start] / other < 0.5) start++;
+      while (end > start && counts[end] / other < 0.5) end--;
+      return [start, end];
+    };
+
+    const [top, bottom] = span(rowBright, height, width);
+    const [left, right] = span(colBright, width, height);
+    const box = { left, top, width: right - left + 1, height: bottom - top + 1 };
+
+    const area = (box.width * box.height) / (width * height);
+    if (box.width <= 0 || box.height <= 0 || area > 0.97 || area < 0.3) return null;
+    return box;
+  }
+
+  // Skew angle in degrees (positive = text falls to the right), coarse then fine search
+  async estimateSkew(raw) {
+    const { points, height } = await sampleDarkPixels(raw);
+    if (points.length === 0) return 0;
+
+    const search = (from, to, step) => {
+      let bestAngle = 0;
+      let bestScore = -1;
+      for (let angle = from; angle <= to + 1e-9; angle += step) {
+        const score = projectionScore(points, angle, height);
+        if (score > bestScore) {
+          bestScore = score;
+          bestAngle = angle;
+        }
+      }
+      return bestAngle;
+    };
+
+    const coarse = search(-MAX_SKEW, MAX_SKEW, 0.5);
+    const fine = search(coarse - 0.5, coarse + 0.5, 0.1);
+    // `+ 0` turns -0 into 0
+    return Math.round(fine * 10) / 10 + 0;
+  }
+
+  // Bradley adaptive threshold: a pixel is ink if it is darker than its neighbourhood mean,
+  // which copes with shadows and uneven lighting in phone photos
+  adaptiveThreshold(raw, sensitivity = 0.15) {
+    const { data, width, height } = raw;
+    const window = Math.max(15, Math.round(width / 32) | 1);
+    const half = Math.floor(window / 2);
+    const stride = width + 1;
+    const integral = width * height * 255 < 0xFFFFFFFF
+      ? new Uint32Array(stride * (height + 1))
+      : new Float64Array(stride * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += data[y * width + x];
+        integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+      }
+    }
+
+    const output = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - half);
+      const y1 = Math.min(height - 1, y + half);
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.max(0, x - half);
+        const x1 = Math.min(width - 1, x + half);
+        const count = (x1 - x0 + 1) * (y1 - y0 + 1);
+        const sum = integral[(y1 + 1) * stride + x1 + 1] - integral[y0 * stride + x1 + 1]
+          - integral[(y1 + 1) * stride + x0] + integral[y0 * stride + x0];
+
+        output[y * width + x] = data[y * width + x] * count < sum * (1 - sensitivity) ? 0 : 255;
+      }
+    }
+
+    return { data: output, width, height };
+  }
+}
+
+module.exports = new ImagePreprocessor();
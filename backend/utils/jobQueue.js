@@ -0,0 +1,168 @@
+const { Op } = require('sequelize');
+const ProcessingJob = require('../models/ProcessingJob');
+
+// Database-backed job queue so background work survives restarts without Redis
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.timer = null;
+    this.running = 0;
+    this.polling = false;
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 1;
+    this.retryBaseDelay = parseInt(process.env.JOB_RETRY_BASE_MS) || 5000;
+    this.defaultMaxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+  }
+
+  // Register the function that runs jobs of a given type
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Add a job to the queue. Inside `options.transaction` it is only picked up once committed.
+  async enqueue(type, payload = {}, options = {}) {
+    return ProcessingJob.create({
+      type,
+      payload,
+      documentId: options.documentId || null,
+      maxAttempts: options.maxAttempts || this.defaultMaxAttempts,
+      runAt: options.runAt || new Date()
+    }, { transaction: options.transaction });
+  }
+
+  // Requeue jobs that were running when the server stopped, then start polling
+  async start() {
+    if (this.timer) return;
+
+    const [recovered] = await ProcessingJob.update(
+      { status: 'pending', lockedAt: null, runAt: new Date() },
+      { where: { status: 'running' } }
+    );
+    if (recovered > 0) {
+      console.log(`♻️  Recovered ${recovered} interrupted job(s)`);
+    }
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Polls never overlap: a tick that fires while the previous poll is still claiming
+  // jobs is skipped, so both cannot see a free slot and exceed the concurrency
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.running < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        this.running++;
+        this.runJob(job)
+          .catch(error => console.error(`Job ${job.id} (${job.type}) could not be recorded:`, error.message))
+          .finally(() => { this.running--; });
+      }
+    } catch (error) {
+      console.error('Job queue poll error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Atomically move the next due job from pending to running
+  async claimNext() {
+    const candidate = await ProcessingJob.findOne({
+      where: {
+        status: 'pending',
+        type: { [Op.in]: [...this.handlers.keys()] },
+        runAt: { [Op.lte]: new Date() }
+      },
+      order: [['runAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    if (!candidate) return null;
+
+    const [claimed] = await ProcessingJob.update(
+      { status: 'running', lockedAt: new Date(), attempts: candidate.attempts + 1 },
+      { where: { id: candidate.id, status: 'pending' } }
+    );
+
+    // Another worker took it first
+    if (!claimed) return this.claimNext();
+
+    return candidate.reload();
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    const reportProgress = (progress) => job.update({ progress: Math.round(progress) }).catch(() => {});
+
+    try {
+      const result = await handler(job, { reportProgress, isFinalAttempt: job.attempts >= job.maxAttempts });
+
+      await job.update({
+        status: 'completed',
+        progress: 100,
+        result: result || null,
+        lockedAt: null,
+        completedAt: new Date(),
+        lastError: null
+      });
+    } catch (error) {
+      console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+
+      // A failed status write leaves the job running; start() requeues it after a restart
+      try {
+        if (job.attempts >= job.maxAttempts) {
+          await job.update({ status: 'failed', lockedAt: null, lastError: error.message });
+          return;
+        }
+
+        // Exponential backoff: base, 2x base, 4x base...
+        const delay = this.retryBaseDelay * Math.pow(2, job.attempts - 1);
+        await job.update({
+          status: 'pending',
+          lockedAt: null,
+          lastError: error.message,
+          runAt: new Date(Date.now() + delay)
+        });
+      } catch (updateError) {
+        console.error(`Job ${job.id} (${job.type}) status could not be saved:`, updateError.message);
+      }
+    }
+  }
+
+  // Most recent job for a document, used for status polling
+  async getLatestJob(documentId, type) {
+    const where = { documentId };
+    if (type) where.type = type;
+
+    return ProcessingJob.findOne({
+      where,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+  }
+
+  // Fields of a job shown to clients polling its status
+  describe(job) {
+    if (!job) return null;
+    return {
+      id: job.id,
+      status: job.status,
+      progress: job.progress,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextRunAt: job.status === 'pending' ? job.runAt : null,
+      lastError: job.lastError,
+      result: job.result,
+      completedAt: job.completedAt
+    };
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,147 @@
+// Dates, durations and notice periods as they are written in contracts. Dates are returned
+// as "YYYY-MM-DD" strings; numeric dates are read day first, as in Indian documents.
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5,
+  jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+const MONTH = `(${Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|')})\\.?`;
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+const DATE_PATTERNS = [
+  // 15th April 2024, 15th day of April, 2024
+  { pattern: new RegExp(`\\b${ORDINAL}\\s+(?:day\\s+of\\s+)?${MONTH},?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], MONTHS[m[2].toLowerCase()], m[1]] },
+  // April 15, 2024
+  { pattern: new RegExp(`\\b${MONTH}\\s+${ORDINAL},?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], MONTHS[m[1].toLowerCase()], m[2]] },
+  // 2024-04-15
+  { pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g, parts: m => [m[1], m[2], m[3]] },
+  // 15/04/2024, 15.04.2024, 15-04-2024
+  { pattern: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/g, parts: m => [m[3], m[2], m[1]] }
+];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fourteen: 14, fifteen: 15, twenty: 20, 'twenty-one': 21,
+  thirty: 30, forty: 40, 'forty-five': 45, sixty: 60, ninety: 90, 'one hundred and eighty': 180
+};
+const NUMBER = `(\\d{1,3}|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+const UNIT = '(hours?|days?|weeks?|months?|years?)';
+const UNIT_DAYS = { hour: 1 / 24, day: 1, week: 7, month: 30, year: 365 };
+const QUALIFIER = '(?:\\s*\\(\\d{1,3}\\))?\\s+(?:clear\\s+|calendar\\s+|business\\s+|working\\s+)?';
+
+// "eleven (11) months", "30 days"
+const DURATION = new RegExp(`\\b${NUMBER}${QUALIFIER}${UNIT}\\b`, 'gi');
+
+// "thirty (30) days' prior written notice", "notice of not less than 15 days"
+const NOTICE_PATTERNS = [
+  new RegExp(`\\b${NUMBER}${QUALIFIER}${UNIT}(?:['’]s?)?\\s+(?:prior\\s+|advance\\s+|previous\\s+)?(?:written\\s+)?notice`, 'gi'),
+  new RegExp(`\\bnotice(?:\\s+period)?\\s+of\\s+(?:at\\s+least\\s+|not\\s+less\\s+than\\s+|minimum\\s+)?${NUMBER}${QUALIFIER}${UNIT}`, 'gi')
+];
+
+const pad = value => String(value).padStart(2, '0');
+
+const toISODate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const parseNumber = amount => (/^\d+$/.test(amount) ? parseInt(amount, 10) : NUMBER_WORDS[amount.toLowerCase()]);
+
+const normalizeUnit = unit => unit.toLowerCase().replace(/s$/, '');
+
+const toDays = (amount, unit) => parseNumber(amount) * UNIT_DAYS[normalizeUnit(unit)];
+
+// Calendar dates in text: [{ start, end, text, date }]
+const findDates = (text) => {
+  const found = [];
+  for (const { pattern, parts } of DATE_PATTERNS) {
+    for (const match of text.matchAll(new RegExp(pattern.source, pattern.flags))) {
+      const [year, month, day] = parts(match).map(Number);
+      const date = toISODate(year, month, day);
+      if (!date) continue;
+
+      const start = match.index;
+      const end = start + match[0].length;
+      if (found.some(other => start < other.end && other.start < end)) continue;
+      found.push({ start, end, text: match[0], date });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+};
+
+// Lengths of time in text: [{ start, end, text, value, unit, days }]
+const findDurations = (text) => [...text.matchAll(new RegExp(DURATION.source, 'gi'))].map(match => ({
+  start: match.index,
+  end: match.index + match[0].length,
+  text: match[0],
+  value: parseNumber(match[1]),
+  unit: normalizeUnit(match[2]),
+  days: toDays(match[1], match[2])
+}));
+
+// Notice periods in text: [{ start, end, text, days }], offsets shifted by `offset`
+const findNoticePeriods = (text, offset = 0) => {
+  const periods = [];
+  for (const pattern of NOTICE_PATTERNS) {
+    for (const match of text.matchAll(new RegExp(pattern.source, 'gi'))) {
+      const start = offset + match.index;
+      if (periods.some(period => period.start === start)) continue;
+      periods.push({ start, end: start + match[0].length, text: match[0], days: toDays(match[1], match[2]) });
+    }
+  }
+  return periods.sort((a, b) => a.start - b.start);
+};
+
+// Calendar arithmetic on "YYYY-MM-DD"; months and years keep the day where possible
+const addDuration = (date, value, unit) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const result = new Date(Date.UTC(year, month - 1, day));
+
+  if (unit === 'month' || unit === 'year') {
+    const months = unit === 'year' ? value * 12 : value;
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().slice(0, 10);
+  }
+
+  result.setUTCDate(result.getUTCDate() + Math.round(value * (UNIT_DAYS[unit] || 1)));
+  return result.toISOString().slice(0, 10);
+};
+
+// Next date of a recurrence ({ frequency: monthly|quarterly|yearly, day, month? }) on or after `from`
+const nextOccurrence = (recurrence, from) => {
+  const [year, month] = from.split('-').map(Number);
+  const step = { monthly: 1, quarterly: 3, yearly: 12 }[recurrence.frequency];
+  if (!step) return null;
+
+  let candidateMonth = recurrence.frequency === 'yearly' && recurrence.month ? recurrence.month : month;
+  let candidateYear = year;
+  for (let i = 0; i < 24; i++) {
+    const lastDay = new Date(Date.UTC(candidateYear, candidateMonth, 0)).getUTCDate();
+    const candidate = toISODate(candidateYear, candidateMonth, Math.min(recurrence.day || 1, lastDay));
+    if (candidate >= from) return candidate;
+
+    candidateMonth += step;
+    while (candidateMonth > 12) {
+      candidateMonth -= 12;
+      candidateYear++;
+    }
+  }
+  return null;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+module.exports = {
+  findDates,
+  findDurations,
+  findNoticePeriods,
+  addDuration,
+  nextOccurrence,
+  today
+};
@@ -0,0 +1,254 @@
+const { findDates, findDurations, findNoticePeriods, addDuration, nextOccurrence, today } = require('./legalDates');
+const { splitSentences, clauseBodyStart } = require('./textSpans');
+
+// Deadlines, payment schedules, renewals, expiry and notice periods, read sentence by sentence.
+// Each obligation carries the party responsible and the clause it came from; dates counted
+// from the effective date are resolved when the document states that date.
+
+// Who must act: "The Tenant shall", "the Service Provider agrees to". The name never
+// spans a line break, so a heading line above it is not taken for part of it.
+const PARTY = /((?:[Ee]ach|[Ee]ither|[Bb]oth)[^\S\n]+[Pp]art(?:y|ies)|(?:[Tt]he[^\S\n]+)?[A-Z][A-Za-z]+(?:[^\S\n]+[A-Z][A-Za-z]+){0,3})\s*(?:,[^,]{0,60},\s*)?(?:hereby\s+)?(?:shall|will|must|agrees?\s+to|undertakes?\s+to|is\s+required\s+to|covenants?\s+to)\b/;
+
+// Subjects of "shall" that are things, not parties
+const NOT_PARTIES = /^(?:(?:this|such|any|all|no|it|said)\b.*|(?:notice|agreement|clause|section|article|schedule|payment|invoice|rent|fee|amount|sum|deposit|licence|license|lease|term)s?)$/i;
+
+const PAYMENT = /\b(?:shall|will|must|agrees?\s+to|undertakes?\s+to)\s+(?:\w+\s+){0,3}?pay\b|\bpayable\b|\b(?:shall|will)\s+be\s+paid\b/i;
+const AMOUNT = /(?:₹|\bRs\.?|\bINR)\s?\d[\d,]*(?:\.\d+)?(?:\s*\/-)?/i;
+const RECURRENCE = [
+  { frequency: 'monthly', pattern: /\b(?:monthly|per\s+(?:calendar\s+)?month|every\s+(?:calendar\s+)?month|each\s+(?:calendar\s+|english\s+)?month)\b/i },
+  { frequency: 'quarterly', pattern: /\b(?:quarterly|per\s+quarter|every\s+quarter|each\s+quarter)\b/i },
+  { frequency: 'yearly', pattern: /\b(?:annually|yearly|per\s+annum|every\s+year|each\s+year)\b/i }
+];
+const DAY_OF_MONTH = /\b(?:on\s+or\s+before|by|before|on)\s+the\s+(\d{1,2})(?:st|nd|rd|th)?\s+(?:day\s+)?of\s+(?:each|every)\b/i;
+
+const RENEWAL = /\brenew/i;
+const EXPIRY = /\b(?:shall\s+expire|expires?\s+on|expiry\s+date|date\s+of\s+expiry|shall\s+(?:stand\s+)?terminate\s+(?:automatically\s+)?on)\b/i;
+const OBLIGATION = /\b(?:shall|must|agrees?\s+to|undertakes?\s+to|is\s+required\s+to)\b/i;
+const WITHIN = /\b(?:within|not\s+later\s+than|no\s+later\s+than)\s+([^,.;]*?\b(?:hours?|days?|weeks?|months?|years?))\b(?:\s+(?:of|from|after)\s+(?:the\s+)?([^,.;]{3,80}))?/i;
+
+// Dates the document's other dates are counted from
+const EFFECTIVE = /\b(?:effective\s+date|commence|commencement|with\s+effect\s+from|made\s+(?:on|this)|executed\s+(?:on|this)|dated)\b/i;
+const TERM = /\b(?:for\s+a\s+(?:period|term)\s+of|term\s+of\s+this\s+(?:agreement|lease|deed)\s+(?:shall\s+be|is))\b/i;
+const FROM_EFFECTIVE = /\b(?:effective\s+date|date\s+of\s+(?:this\s+)?(?:agreement|execution|signing)|execution\s+(?:of|hereof)|signing\s+(?:of|hereof)|commencement\s+date|this\s+agreement)\b/i;
+
+const partyOf = (sentence) => {
+  const match = PARTY.exec(sentence);
+  if (!match) return null;
+  const party = match[1].replace(/^the\s+/i, '');
+  return NOT_PARTIES.test(party) ? null : party;
+};
+
+const recurrenceOf = (sentence) => {
+  const found = RECURRENCE.find(({ pattern }) => pattern.test(sentence));
+  if (!found) return null;
+
+  const day = DAY_OF_MONTH.exec(sentence);
+  return { frequency: found.frequency, day: day ? parseInt(day[1], 10) : 1 };
+};
+
+const minusDays = (date, days) => addDuration(date, -days, 'day');
+
+// Effective date and end of term, when the document states them
+const findTerm = (text, sentences) => {
+  let effectiveDate = null;
+  for (const sentence of sentences) {
+    const dates = findDates(sentence.text);
+    if (dates.length > 0 && EFFECTIVE.test(sentence.text)) {
+      effectiveDate = dates[0].date;
+      break;
+    }
+  }
+  if (!effectiveDate) {
+    const first = findDates(text.slice(0, 2000))[0];
+    effectiveDate = first ? first.date : null;
+  }
+
+  for (const sentence of sentences) {
+    if (!TERM.test(sentence.text)) continue;
+    const duration = findDurations(sentence.text).find(d => ['month', 'year'].includes(d.unit));
+    if (!duration) continue;
+
+    const dates = findDates(sentence.text);
+    const start = dates.length > 0 ? dates[0].date : effectiveDate;
+    if (!start) return { effectiveDate, term: { sentence, duration, start: null, end: null } };
+
+    return {
+      effectiveDate,
+      term: { sentence, duration, start, end: minusDays(addDuration(start, duration.value, duration.unit), 1) }
+    };
+  }
+  return { effectiveDate, term: null };
+};
+
+class Extraction {
+  constructor(text, clauses) {
+    this.text = text;
+    this.clauses = clauses;
+    this.obligations = [];
+  }
+
+  // Deepest clause containing an offset
+  clauseAt(offset) {
+    let best = null;
+    for (const clause of this.clauses) {
+      if (clause.start <= offset && offset < clause.end && (!best || clause.depth >= best.depth)) {
+        best = clause;
+      }
+    }
+    return best;
+  }
+
+  add(sentence, obligation) {
+    const clause = this.clauseAt(sentence.start);
+    this.obligations.push({
+      party: partyOf(sentence.text),
+      dueDate: null,
+      relativeTo: null,
+      recurrence: null,
+      noticeDays: null,
+      amount: null,
+      ...obligation,
+      clauseId: clause && clause.id ? clause.id : null,
+      reference: clause ? clause.reference || null : null,
+      sourceText: sentence.text,
+      start: sentence.start,
+      end: sentence.end
+    });
+  }
+
+  // "within 30 days of receipt of the invoice" - a date when counted from the effective date
+  relativeDeadline(sentence, effectiveDate) {
+    const within = WITHIN.exec(sentence.text);
+    if (!within) return null;
+
+    const duration = findDurations(within[1])[0];
+    if (!duration) return null;
+
+    const event = within[2] ? within[2].trim() : null;
+    if (event && FROM_EFFECTIVE.test(event) && effectiveDate) {
+      return { dueDate: addDuration(effectiveDate, duration.value, duration.unit), relativeTo: null };
+    }
+    return {
+      dueDate: null,
+      relativeTo: event ? `${duration.text} of ${event}` : duration.text
+    };
+  }
+
+  // Sentences never span two clauses, so each one has a single source clause. Clause
+  // headings are left out: "3. Renewal" names a clause, it does not create an obligation
+  sentences() {
+    const headings = this.clauses
+      .map(clause => ({ start: clause.start, end: clauseBodyStart(this.text, clause) }))
+      .filter(heading => heading.end > heading.start);
+    const cuts = headings.flatMap(heading => [heading.start, heading.end]);
+    const starts = [...new Set([0, ...this.clauses.map(clause => clause.start), ...cuts, this.text.length])]
+      .sort((a, b) => a - b);
+    const sentences = [];
+    for (let i = 0; i < starts.length - 1; i++) {
+      if (headings.some(heading => heading.start === starts[i] && heading.end === starts[i + 1])) continue;
+      sentences.push(...splitSentences(this.text, starts[i], starts[i + 1]));
+    }
+    return sentences;
+  }
+
+  run({ referenceDate = today() } = {}) {
+    const sentences = this.sentences();
+    const { effectiveDate, term } = findTerm(this.text, sentences);
+
+    if (term && term.end) {
+      this.add(term.sentence, {
+        type: 'expiry',
+        title: `Term ends (${term.duration.text} from ${term.start})`,
+        dueDate: term.end
+      });
+    }
+
+    for (const sentence of sentences) {
+      const text = sentence.text;
+      if (term && sentence.start === term.sentence.start && !RENEWAL.test(text)) continue;
+
+      const dates = findDates(text);
+      const notice = findNoticePeriods(text)[0];
+      const party = partyOf(text);
+
+      if (PAYMENT.test(text)) {
+        const amount = AMOUNT.exec(text);
+        const recurrence = recurrenceOf(text);
+        const relative = dates.length === 0 && !recurrence ? this.relativeDeadline(sentence, effectiveDate) : null;
+        const firstDue = recurrence
+          ? nextOccurrence(recurrence, term && term.start && term.start > referenceDate ? term.start : referenceDate)
+          : null;
+
+        this.add(sentence, {
+          type: 'payment',
+          title: ['Payment', amount ? amount[0] : null, recurrence ? recurrence.frequency : null, party ? `by ${party}` : null]
+            .filter(Boolean).join(' '),
+          amount: amount ? amount[0] : null,
+          recurrence,
+          dueDate: dates.length > 0 ? dates[0].date : firstDue || (relative && relative.dueDate),
+          relativeTo: relative ? relative.relativeTo : null
+        });
+        continue;
+      }
+
+      if (RENEWAL.test(text)) {
+        // The decision falls due when the notice window before expiry opens
+        const expiry = dates.length > 0 ? dates[dates.length - 1].date : term && term.end;
+        this.add(sentence, {
+          type: 'renewal',
+          title: notice
+            ? `Renewal decision (${Math.round(notice.days)} days' notice before expiry)`
+            : 'Renewal',
+          noticeDays: notice ? Math.round(notice.days) : null,
+          dueDate: expiry ? (notice ? minusDays(expiry, Math.round(notice.days)) : expiry) : null,
+          relativeTo: expiry ? null : 'expiry of the term'
+        });
+        continue;
+      }
+
+      if (EXPIRY.test(text) && dates.length > 0) {
+        this.add(sentence, { type: 'expiry', title: 'Expiry', dueDate: dates[dates.length - 1].date });
+        continue;
+      }
+
+      if (notice) {
+        this.add(sentence, {
+          type: 'notice_period',
+          title: `${Math.round(notice.days)} days' notice${party ? ` by ${party}` : ''}`,
+          noticeDays: Math.round(notice.days),
+          relativeTo: 'the notice being given'
+        });
+        continue;
+      }
+
+      if (!OBLIGATION.test(text)) continue;
+
+      if (dates.length > 0) {
+        this.add(sentence, {
+          type: 'deadline',
+          title: `Deadline${party ? ` for ${party}` : ''}`,
+          dueDate: dates[0].date
+        });
+        continue;
+      }
+
+      const relative = this.relativeDeadline(sentence, effectiveDate);
+      if (relative) {
+        this.add(sentence, {
+          type: 'deadline',
+          title: `Deadline${party ? ` for ${party}` : ''}: ${relative.relativeTo || 'from the effective date'}`,
+          ...relative
+        });
+      }
+    }
+
+    return { effectiveDate, termEnd: term ? term.end : null, obligations: this.obligations };
+  }
+}
+
+// `clauses` is the flat clause list (stored Clause rows or flattenClauses output)
+const extractObligations = (text, clauses = [], options = {}) => new Extraction(text || '', clauses).run(options);
+
+module.exports = {
+  extractObligations
+};
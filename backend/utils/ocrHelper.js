@@ -1,27 +1,98 @@
 const Tesseract = require('tesseract.js');
 const fs = require('fs').promises;
-const pdf = require('pdf-parse');
+const fsSync = require('fs');
+const nodePath = require('path');
 const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const JSZip = require('jszip');
+const { simpleParser } = require('mailparser');
+const TextConverters = require('./textConverters');
+const sharp = require('sharp');
+const PDFRenderer = require('./pdfRenderer');
+const OCRLayout = require('./ocrLayout');
+const ImagePreprocessor = require('./imagePreprocessor');
+const Translator = require('./translator');
+
+// Separator placed between pages when they are joined into one text
+const PAGE_SEPARATOR = '\n\n';
+
+// Translator language codes -> Tesseract traineddata names
+const TESSERACT_LANGUAGES = {
+  'en': 'eng',
+  'es': 'spa',
+  'fr': 'fra',
+  'de': 'deu',
+  'it': 'ita',
+  'pt': 'por',
+  'ru': 'rus',
+  'ja': 'jpn',
+  'ko': 'kor',
+  'zh': 'chi_sim',
+  'hi': 'hin',
+  'ar': 'ara',
+  'bn': 'ben',
+  'ur': 'urd',
+  'ta': 'tam',
+  'te': 'tel',
+  'mr': 'mar',
+  'gu': 'guj',
+  'kn': 'kan',
+  'ml': 'mal',
+  'pa': 'pan'
+};
+
+// Scripts shared by several languages load all of them when auto-detected
+const SCRIPT_LANGUAGES = {
+  'hi': ['hin', 'mar'],
+  'ar': ['ara', 'urd']
+};
+
+// Traineddata is read from disk so OCR works without network access
+const LANG_PATH = process.env.OCR_LANG_PATH || nodePath.join(__dirname, '..', 'tessdata');
+const LANG_GZIP = process.env.OCR_LANG_GZIP === 'true';
+
+// Languages tried on the first image when none are given, narrowed after script detection
+const PROBE_LANGUAGES = (process.env.OCR_PROBE_LANGUAGES || 'eng+hin+ben+tam+tel+guj+kan+mal+pan').split('+');
 
 class OCRHelper {
-  async extractText(filePath, fileType) {
+  async extractText(filePath, fileType, options = {}) {
     try {
       const start = Date.now();
       let result;
 
+      // Format keys come from utils/fileFormats
       switch (fileType.toLowerCase()) {
         case 'png':
         case 'jpg':
         case 'jpeg':
-          result = await this.fromImage(filePath);
+          result = await this.fromImage(filePath, options);
+          break;
+        case 'tif':
+        case 'tiff':
+          result = await this.fromTIFF(filePath, options);
           break;
         case 'pdf':
-          result = await this.fromPDF(filePath);
+          result = await this.fromPDF(filePath, options);
           break;
-        case 'doc':
         case 'docx':
           result = await this.fromWord(filePath);
           break;
+        case 'doc':
+          result = await this.fromLegacyWord(filePath);
+          break;
+        case 'rtf':
+          result = await this.fromRTF(filePath);
+          break;
+        case 'odt':
+          result = await this.fromODT(filePath);
+          break;
+        case 'htm':
+        case 'html':
+          result = await this.fromHTML(filePath);
+          break;
+        case 'eml':
+          result = await this.fromEmail(filePath);
+          break;
         case 'txt':
           result = await this.fromText(filePath);
           break;
@@ -31,31 +102,356 @@ class OCRHelper {
 
       return {
         text: result.text,
-        confidence: result.confidence || 1.0,
+        confidence: result.confidence ?? 1.0,
         processingTime: Date.now() - start,
-        wordCount: this.countWords(result.text)
+        wordCount: this.countWords(result.text),
+        pages: result.pages,
+        layout: result.layout,
+        preprocessing: result.preprocessing,
+        languages: result.languages || Translator.detectScripts(result.text)
       };
     } catch (error) {
       throw new Error(`OCR failed: ${error.message}`);
     }
   }
 
-  async fromImage(path) {
-    const { data } = await Tesseract.recognize(path, 'eng', {
-      logger: m => console.log(`OCR: ${Math.round(m.progress * 100)}%`)
-    });
-    return { text: data.text, confidence: data.confidence / 100 };
+  async fromImage(path, options = {}) {
+    const { languages, onProgress, structured, lowConfidence } = options;
+    const session = this.openSession(languages, onProgress);
+
+    try {
+      const { data, width, height, preprocessing } = await this.recognizeImage(session, path, options);
+      const result = {
+        text: data.text,
+        confidence: data.confidence / 100,
+        languages: this.toLanguageCodes(session.languages)
+      };
+
+      if (preprocessing) {
+        result.preprocessing = [{ page: 1, ...preprocessing }];
+      }
+      if (structured) {
+        result.layout = [OCRLayout.fromTesseract(data, { page: 1, width, height, threshold: lowConfidence })];
+      }
+      return result;
+    } finally {
+      await this.closeSession(session);
+    }
   }
 
-  async fromPDF(path) {
+  // Uses the PDF text layer where it exists and OCRs pages that are only scanned images
+  async fromPDF(path, options = {}) {
+    const { languages, onProgress, structured, lowConfidence } = options;
     const buffer = await fs.readFile(path);
-    const data = await pdf(buffer);
-    
-    if (!data.text?.trim()) {
+    const pdf = await PDFRenderer.open(buffer);
+    const pageResults = [];
+    const layout = [];
+    const preprocessing = [];
+    const session = this.openSession(languages);
+
+    try {
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const { text, items } = await PDFRenderer.getTextLayer(page);
+
+        if (text) {
+          pageResults.push({ page: pageNumber, text, confidence: 1.0, method: 'text' });
+          if (structured) {
+            layout.push(OCRLayout.fromPdfText(items, PDFRenderer.getViewport(page), {
+              page: pageNumber,
+              threshold: lowConfidence
+            }));
+          }
+        } else {
+          const image = await PDFRenderer.renderPage(page);
+          const recognized = await this.recognizePage(session, image, pageNumber, { ...options, dpi: PDFRenderer.dpi });
+          pageResults.push(recognized.page);
+          if (recognized.preprocessing) preprocessing.push(recognized.preprocessing);
+          if (structured) layout.push(recognized.layout);
+        }
+
+        if (onProgress) onProgress(pageNumber / pdf.numPages);
+      }
+    } finally {
+      await this.closeSession(session);
+      await pdf.destroy();
+    }
+
+    if (!pageResults.some(p => p.text)) {
       throw new Error('PDF contains no extractable text');
     }
-    
-    return { text: data.text, confidence: 1.0 };
+
+    const combined = this.combinePages(pageResults);
+    if (session.languages) {
+      combined.languages = this.toLanguageCodes(session.languages);
+    }
+    if (structured) {
+      combined.layout = layout;
+    }
+    if (preprocessing.length > 0) {
+      combined.preprocessing = preprocessing;
+    }
+    return combined;
+  }
+
+  // Multi-page TIFF scans: every frame is OCRed as its own page
+  async fromTIFF(path, options = {}) {
+    const { languages, onProgress, structured } = options;
+    const { pages: frameCount = 1, density } = await sharp(path).metadata();
+    const pageResults = [];
+    const layout = [];
+    const preprocessing = [];
+    const session = this.openSession(languages);
+
+    try {
+      for (let pageNumber = 1; pageNumber <= frameCount; pageNumber++) {
+        const image = await sharp(path, { page: pageNumber - 1 }).png().toBuffer();
+        const recognized = await this.recognizePage(session, image, pageNumber, { ...options, dpi: density });
+        pageResults.push(recognized.page);
+        if (recognized.preprocessing) preprocessing.push(recognized.preprocessing);
+        if (structured) layout.push(recognized.layout);
+
+        if (onProgress) onProgress(pageNumber / frameCount);
+      }
+    } finally {
+      await this.closeSession(session);
+    }
+
+    const combined = this.combinePages(pageResults);
+    combined.languages = this.toLanguageCodes(session.languages);
+    if (structured) combined.layout = layout;
+    if (preprocessing.length > 0) combined.preprocessing = preprocessing;
+    return combined;
+  }
+
+  // OCR a page image and shape the result like the other per-page outputs
+  async recognizePage(session, image, pageNumber, options) {
+    const { data, width, height, preprocessing } = await this.recognizeImage(session, image, options);
+
+    return {
+      page: {
+        page: pageNumber,
+        text: data.text.trim(),
+        confidence: data.confidence / 100,
+        method: 'ocr'
+      },
+      preprocessing: preprocessing && { page: pageNumber, ...preprocessing },
+      layout: options.structured && OCRLayout.fromTesseract(data, {
+        page: pageNumber,
+        width,
+        height,
+        threshold: options.lowConfidence
+      })
+    };
+  }
+
+  // OCR one image, optionally cleaning it up first. With `compareConfidence` the original is
+  // recognised too and whichever scored higher is kept, so a harmful step never costs text.
+  async recognizeImage(session, image, { preprocess, compareConfidence, dpi } = {}) {
+    const steps = ImagePreprocessor.resolveSteps(preprocess);
+
+    if (!steps) {
+      const { width, height } = await sharp(image).metadata();
+      const data = await this.recognize(session, image);
+      return { data, width, height };
+    }
+
+    const processed = await ImagePreprocessor.run(image, {
+      steps,
+      dpi,
+      detectOrientation: this.isLanguageAvailable('osd') ? (buffer) => this.detectOrientation(buffer) : undefined
+    });
+    const after = await this.recognize(session, processed.buffer);
+    const report = {
+      steps: processed.steps,
+      confidenceAfter: after.confidence / 100
+    };
+
+    if (!compareConfidence) {
+      return { data: after, width: processed.width, height: processed.height, preprocessing: report };
+    }
+
+    const { width, height } = await sharp(image).metadata();
+    const before = await this.recognize(session, image);
+    const improved = after.confidence >= before.confidence;
+
+    report.confidenceBefore = before.confidence / 100;
+    report.improvement = Math.round(after.confidence - before.confidence) / 100;
+    report.used = improved ? 'preprocessed' : 'original';
+
+    return improved
+      ? { data: after, width: processed.width, height: processed.height, preprocessing: report }
+      : { data: before, width, height, preprocessing: report };
+  }
+
+  // Page orientation in degrees from Tesseract OSD (needs osd.traineddata)
+  async detectOrientation(image) {
+    const worker = await Tesseract.createWorker({ langPath: LANG_PATH, gzip: LANG_GZIP, cacheMethod: 'none' });
+
+    try {
+      await worker.loadLanguage('osd');
+      await worker.initialize('osd', Tesseract.OEM.TESSERACT_ONLY);
+      const { data } = await worker.detect(image);
+      return data.orientation_degrees;
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  // Join per-page results into one text and record where each page sits in it
+  combinePages(pageResults) {
+    let text = '';
+    const pages = pageResults.map(({ page, text: pageText, confidence, method }) => {
+      if (text) text += PAGE_SEPARATOR;
+      const start = text.length;
+      text += pageText;
+      return { page, start, end: text.length, confidence, method };
+    });
+
+    return { text, confidence: this.averageConfidence(pageResults), pages };
+  }
+
+  // Word-weighted mean, so a near-empty page does not skew the document score
+  averageConfidence(pageResults) {
+    let weighted = 0;
+    let words = 0;
+
+    pageResults.forEach(({ text, confidence }) => {
+      const count = this.countWords(text);
+      weighted += confidence * count;
+      words += count;
+    });
+
+    if (words === 0) {
+      return pageResults.reduce((sum, p) => sum + p.confidence, 0) / (pageResults.length || 1);
+    }
+    return weighted / words;
+  }
+
+  // Slice the text of a page range out of a combined document text
+  getPageRange(text, pages, from, to = from) {
+    return (pages || [])
+      .filter(p => p.page >= from && p.page <= to)
+      .map(p => ({
+        page: p.page,
+        confidence: p.confidence,
+        method: p.method,
+        text: text.substring(p.start, p.end)
+      }));
+  }
+
+  // Replace one page's text and shift the offsets of the pages after it
+  replacePageText(text, pages, pageNumber, pageText) {
+    const target = pages.find(p => p.page === pageNumber);
+    const delta = pageText.length - (target.end - target.start);
+
+    return {
+      text: text.substring(0, target.start) + pageText + text.substring(target.end),
+      pages: pages.map(p => {
+        if (p.page === pageNumber) return { ...p, end: p.end + delta, method: 'manual', confidence: 1.0 };
+        if (p.start >= target.end) return { ...p, start: p.start + delta, end: p.end + delta };
+        return p;
+      })
+    };
+  }
+
+  // Normalise a `languages` parameter ("hi,en", "hin+eng" or an array) to Tesseract names
+  resolveLanguages(languages) {
+    if (!languages) return null;
+
+    const requested = Array.isArray(languages) ? languages : String(languages).split(/[\s,+]+/);
+    const resolved = requested
+      .map(code => code.trim().toLowerCase())
+      .filter(Boolean)
+      .map(code => {
+        if (TESSERACT_LANGUAGES[code]) return TESSERACT_LANGUAGES[code];
+        if (Object.values(TESSERACT_LANGUAGES).includes(code)) return code;
+        throw new Error(`Unsupported OCR language: ${code}`);
+      });
+
+    return resolved.length ? [...new Set(resolved)] : null;
+  }
+
+  toLanguageCodes(tesseractLanguages) {
+    const codes = Object.fromEntries(Object.entries(TESSERACT_LANGUAGES).map(([code, lang]) => [lang, code]));
+    return (tesseractLanguages || []).map(lang => codes[lang]);
+  }
+
+  isLanguageAvailable(lang) {
+    if (/^https?:/.test(LANG_PATH)) return true;
+    const file = `${lang}.traineddata${LANG_GZIP ? '.gz' : ''}`;
+    return fsSync.existsSync(nodePath.join(LANG_PATH, file));
+  }
+
+  getAvailableLanguages() {
+    return Object.keys(TESSERACT_LANGUAGES).filter(code => this.isLanguageAvailable(TESSERACT_LANGUAGES[code]));
+  }
+
+  // Tesseract languages to load for the scripts detected in a probe pass
+  languagesForScripts(scripts) {
+    const languages = scripts
+      .flatMap(code => SCRIPT_LANGUAGES[code] || [TESSERACT_LANGUAGES[code]])
+      .filter(lang => lang && this.isLanguageAvailable(lang));
+    return [...new Set(languages)];
+  }
+
+  // One worker per document; `languages` null means detect them from the first image
+  openSession(languages, onProgress) {
+    return {
+      languages: this.resolveLanguages(languages),
+      worker: null,
+      workerLanguages: null,
+      onProgress
+    };
+  }
+
+  async closeSession(session) {
+    if (session.worker) await session.worker.terminate();
+    session.worker = null;
+  }
+
+  async recognize(session, image) {
+    if (!session.languages) {
+      const probeLanguages = PROBE_LANGUAGES.filter(lang => this.isLanguageAvailable(lang));
+      const probe = await this.getWorker(session, probeLanguages.length ? probeLanguages : ['eng']);
+      const { data } = await probe.recognize(image);
+
+      const detected = this.languagesForScripts(Translator.detectScripts(data.text));
+      session.languages = detected.length ? detected : ['eng'];
+
+      if (session.languages.join('+') === session.workerLanguages) return data;
+    }
+
+    const worker = await this.getWorker(session, session.languages);
+    const { data } = await worker.recognize(image);
+    return data;
+  }
+
+  async getWorker(session, languages) {
+    const key = languages.join('+');
+    if (session.worker && session.workerLanguages === key) return session.worker;
+
+    const missing = languages.filter(lang => !this.isLanguageAvailable(lang));
+    if (missing.length > 0) {
+      throw new Error(`OCR language data not installed: ${missing.join(', ')} (expected in ${LANG_PATH})`);
+    }
+
+    await this.closeSession(session);
+
+    const worker = await Tesseract.createWorker({
+      langPath: LANG_PATH,
+      gzip: LANG_GZIP,
+      cacheMethod: 'none',
+      logger: m => {
+        if (session.onProgress && m.status === 'recognizing text') session.onProgress(m.progress);
+      }
+    });
+    await worker.loadLanguage(key);
+    await worker.initialize(key);
+
+    session.worker = worker;
+    session.workerLanguages = key;
+    return worker;
   }
 
   async fromWord(path) {
@@ -63,6 +459,47 @@ class OCRHelper {
     return { text: result.value, confidence: 1.0 };
   }
 
+  // Word 97-2003 binary documents, which mammoth cannot read
+  async fromLegacyWord(path) {
+    const extracted = await new WordExtractor().extract(path);
+    return { text: extracted.getBody(), confidence: 1.0 };
+  }
+
+  async fromRTF(path) {
+    const rtf = await fs.readFile(path, 'latin1');
+    return { text: TextConverters.rtfToText(rtf), confidence: 1.0 };
+  }
+
+  async fromODT(path) {
+    const zip = await JSZip.loadAsync(await fs.readFile(path));
+    const content = zip.file('content.xml');
+    if (!content) throw new Error('ODT file has no content.xml');
+
+    return { text: TextConverters.odtXmlToText(await content.async('string')), confidence: 1.0 };
+  }
+
+  async fromHTML(path) {
+    const html = await fs.readFile(path, 'utf8');
+    return { text: TextConverters.htmlToText(html), confidence: 1.0 };
+  }
+
+  // Email: the headers that matter for a legal record, then the body
+  async fromEmail(path) {
+    const mail = await simpleParser(await fs.readFile(path));
+    const body = mail.text || (mail.html ? TextConverters.htmlToText(mail.html) : '');
+
+    const headers = [
+      mail.from && `From: ${mail.from.text}`,
+      mail.to && `To: ${mail.to.text}`,
+      mail.cc && `Cc: ${mail.cc.text}`,
+      mail.date && `Date: ${mail.date.toISOString()}`,
+      mail.subject && `Subject: ${mail.subject}`,
+      mail.attachments.length > 0 && `Attachments: ${mail.attachments.map(a => a.filename || 'unnamed').join(', ')}`
+    ].filter(Boolean);
+
+    return { text: `${headers.join('\n')}\n\n${body.trim()}`, confidence: 1.0 };
+  }
+
   async fromText(path) {
     const text = await fs.readFile(path, 'utf8');
     return { text, confidence: 1.0 };
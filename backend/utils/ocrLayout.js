@@ -0,0 +1,139 @@
+// Builds the page -> paragraph -> line -> word layout returned by structured OCR.
+// Boxes are { x0, y0, x1, y1 } in pixels of the page image; confidences are 0-1.
+
+const DEFAULT_LOW_CONFIDENCE = parseFloat(process.env.OCR_LOW_CONFIDENCE) || 0.6;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toConfidence = (value) => round(value / 100);
+
+const unionBox = (boxes) => ({
+  x0: Math.min(...boxes.map(b => b.x0)),
+  y0: Math.min(...boxes.map(b => b.y0)),
+  x1: Math.max(...boxes.map(b => b.x1)),
+  y1: Math.max(...boxes.map(b => b.y1))
+});
+
+const averageConfidence = (items) => {
+  if (items.length === 0) return 0;
+  return round(items.reduce((sum, item) => sum + item.confidence, 0) / items.length);
+};
+
+const makeWord = (text, bbox, confidence, threshold) => ({
+  text,
+  bbox,
+  confidence,
+  lowConfidence: confidence < threshold
+});
+
+// Layout from a Tesseract recognize() result
+const fromTesseract = (data, { page = 1, width, height, threshold = DEFAULT_LOW_CONFIDENCE } = {}) => {
+  const paragraphs = (data.blocks || []).flatMap(block => block.paragraphs.map(paragraph => ({
+    text: paragraph.text.trim(),
+    bbox: paragraph.bbox,
+    confidence: toConfidence(paragraph.confidence),
+    lines: paragraph.lines.map(line => ({
+      text: line.text.trim(),
+      bbox: line.bbox,
+      confidence: toConfidence(line.confidence),
+      words: line.words.map(word => makeWord(word.text, word.bbox, toConfidence(word.confidence), threshold))
+    }))
+  })));
+
+  return {
+    page,
+    width,
+    height,
+    method: 'ocr',
+    confidence: toConfidence(data.confidence),
+    paragraphs
+  };
+};
+
+// Split a pdf.js text run into words, spreading its width over the characters
+const splitTextItem = (item, viewport, threshold) => {
+  const [x, y] = [item.transform[4], item.transform[5]];
+  const [vx0, vy0, vx1, vy1] = viewport.convertToViewportRectangle([x, y, x + item.width, y + item.height]);
+  const box = { x0: Math.min(vx0, vx1), y0: Math.min(vy0, vy1), x1: Math.max(vx0, vx1), y1: Math.max(vy0, vy1) };
+  const charWidth = item.str.length ? (box.x1 - box.x0) / item.str.length : 0;
+
+  const words = [];
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(item.str)) !== null) {
+    words.push(makeWord(match[0], {
+      x0: round(box.x0 + match.index * charWidth),
+      y0: round(box.y0),
+      x1: round(box.x0 + (match.index + match[0].length) * charWidth),
+      y1: round(box.y1)
+    }, 1.0, threshold));
+  }
+  return words;
+};
+
+// Layout from the text layer of a born-digital PDF page
+const fromPdfText = (items, viewport, { page = 1, threshold = DEFAULT_LOW_CONFIDENCE } = {}) => {
+  const lines = [];
+  let current = [];
+
+  items.forEach(item => {
+    current.push(...splitTextItem(item, viewport, threshold));
+    if (item.hasEOL && current.length > 0) {
+      lines.push(current);
+      current = [];
+    }
+  });
+  if (current.length > 0) lines.push(current);
+
+  const lineLayouts = lines.map(words => ({
+    text: words.map(w => w.text).join(' '),
+    bbox: unionBox(words.map(w => w.bbox)),
+    confidence: 1.0,
+    words
+  }));
+
+  // A vertical gap wider than the line height starts a new paragraph
+  const paragraphs = [];
+  lineLayouts.forEach((line, index) => {
+    const previous = lineLayouts[index - 1];
+    const gap = previous ? line.bbox.y0 - previous.bbox.y1 : Infinity;
+    const lineHeight = line.bbox.y1 - line.bbox.y0;
+
+    if (!previous || gap > lineHeight) {
+      paragraphs.push({ lines: [] });
+    }
+    paragraphs[paragraphs.length - 1].lines.push(line);
+  });
+
+  return {
+    page,
+    width: round(viewport.width),
+    height: round(viewport.height),
+    method: 'text',
+    confidence: 1.0,
+    paragraphs: paragraphs.map(({ lines: paragraphLines }) => ({
+      text: paragraphLines.map(l => l.text).join('\n'),
+      bbox: unionBox(paragraphLines.map(l => l.bbox)),
+      confidence: averageConfidence(paragraphLines),
+      lines: paragraphLines
+    }))
+  };
+};
+
+// Flat list of words under the threshold, for review queues
+const collectLowConfidenceWords = (pages) => pages.flatMap(page =>
+  page.paragraphs.flatMap(paragraph =>
+    paragraph.lines.flatMap(line =>
+      line.words
+        .filter(word => word.lowConfidence)
+        .map(word => ({ page: page.page, text: word.text, bbox: word.bbox, confidence: word.confidence, line: line.text }))
+    )
+  )
+);
+
+module.exports = {
+  DEFAULT_LOW_CONFIDENCE,
+  fromTesseract,
+  fromPdfText,
+  collectLowConfidenceWords
+};
@@ -0,0 +1,85 @@
+const path = require('path');
+const canvasLib = require('@napi-rs/canvas');
+
+// pdf.js expects browser canvas globals when rendering under Node
+global.DOMMatrix = global.DOMMatrix || canvasLib.DOMMatrix;
+global.Path2D = global.Path2D || canvasLib.Path2D;
+global.ImageData = global.ImageData || canvasLib.ImageData;
+
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+const STANDARD_FONTS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// Canvas factory backed by @napi-rs/canvas instead of the optional `canvas` package
+class NodeCanvasFactory {
+  create(width, height) {
+    const canvas = canvasLib.createCanvas(Math.ceil(width), Math.ceil(height));
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = Math.ceil(width);
+    canvasAndContext.canvas.height = Math.ceil(height);
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+class PDFRenderer {
+  constructor() {
+    this.dpi = parseInt(process.env.OCR_PDF_DPI) || 200;
+  }
+
+  async open(buffer) {
+    return pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      canvasFactory: new NodeCanvasFactory(),
+      standardFontDataUrl: STANDARD_FONTS_DIR,
+      isEvalSupported: false,
+      verbosity: 0
+    }).promise;
+  }
+
+  // Text layer of a single page, with line breaks where pdf.js reports them
+  async getTextLayer(page) {
+    const content = await page.getTextContent();
+    const items = content.items.filter(item => item.str !== undefined);
+    const text = items
+      .map(item => item.str + (item.hasEOL ? '\n' : ''))
+      .join('')
+      .trim();
+
+    return { text, items };
+  }
+
+  // Viewport matching the rendered image, so text-layer boxes line up with OCR boxes
+  getViewport(page, dpi = this.dpi) {
+    return page.getViewport({ scale: dpi / 72 });
+  }
+
+  // Render a single page to a PNG buffer at the configured DPI
+  async renderPage(page, dpi = this.dpi) {
+    const viewport = this.getViewport(page, dpi);
+    const factory = new NodeCanvasFactory();
+    const target = factory.create(viewport.width, viewport.height);
+
+    try {
+      await page.render({
+        canvasContext: target.context,
+        viewport,
+        canvasFactory: factory
+      }).promise;
+      return target.canvas.toBuffer('image/png');
+    } finally {
+      factory.destroy(target);
+      page.cleanup();
+    }
+  }
+}
+
+module.exports = new PDFRenderer();
@@ -0,0 +1,24 @@
+// Per-user rate limiting of OpenAI calls, shared by every endpoint that uses the API
+const rateLimiter = {
+  requests: new Map(),
+  maxRequestsPerMinute: 3, // Adjust based on your OpenAI plan
+  
+  canMakeRequest: (userId) => {
+    const now = Date.now();
+    const userRequests = rateLimiter.requests.get(userId) || [];
+    
+    // Remove requests older than 1 minute
+    const recentRequests = userRequests.filter(time => now - time < 60000);
+    rateLimiter.requests.set(userId, recentRequests);
+    
+    return recentRequests.length < rateLimiter.maxRequestsPerMinute;
+  },
+  
+  recordRequest: (userId) => {
+    const userRequests = rateLimiter.requests.get(userId) || [];
+    userRequests.push(Date.now());
+    rateLimiter.requests.set(userId, userRequests);
+  }
+};
+
+module.exports = rateLimiter;
@@ -0,0 +1,202 @@
+const JSZip = require('jszip');
+
+// Renders a documentDiff comparison as a redline: standalone HTML for review in the
+// browser, or a DOCX whose changes are Word tracked changes the other side can accept/reject.
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Characters XML 1.0 does not allow even escaped, such as control characters left in OCR
+// text and lone surrogates; Word will not open a document.xml containing one
+const XML_ILLEGAL = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+const escapeXml = (text) => escapeHtml(text.replace(XML_ILLEGAL, ''));
+
+const HTML_STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; max-width: 800px; margin: 2em auto; line-height: 1.5; color: #222; }
+  header { border-bottom: 1px solid #ccc; margin-bottom: 1.5em; }
+  .summary span { margin-right: 1em; font-family: sans-serif; font-size: 0.9em; }
+  p { white-space: pre-wrap; margin: 0 0 1em; }
+  ins { color: #1a7f37; text-decoration: underline; background: #e6ffec; }
+  del { color: #cf222e; text-decoration: line-through; background: #ffebe9; }
+  .moved-from { color: #0550ae; text-decoration: line-through double; }
+  .moved-to { color: #0550ae; text-decoration: underline double; }
+  .note { font-family: sans-serif; font-size: 0.75em; color: #0550ae; margin-left: 0.5em; }
+`;
+
+const wordsToHtml = (words) => words.map((part) => {
+  const text = escapeHtml(part.text);
+  if (part.type === 'inserted') return `<ins>${text}</ins>`;
+  if (part.type === 'deleted') return `<del>${text}</del>`;
+  return text;
+}).join('');
+
+const changeToHtml = (change) => {
+  switch (change.type) {
+    case 'inserted':
+      return `<p><ins>${escapeHtml(change.after.text)}</ins></p>`;
+    case 'deleted':
+      return `<p><del>${escapeHtml(change.before.text)}</del></p>`;
+    case 'modified':
+    case 'reformatted':
+      return `<p>${wordsToHtml(change.words)}</p>`;
+    case 'moved-from':
+      return `<p class="moved-from">${escapeHtml(change.before.text)}<span class="note">[moved to ¶${change.movedTo + 1}]</span></p>`;
+    case 'moved-to':
+      return `<p class="moved-to">${change.words ? wordsToHtml(change.words) : escapeHtml(change.after.text)}`
+        + `<span class="note">[moved from ¶${change.before.index + 1}]</span></p>`;
+    default:
+      return `<p>${escapeHtml(change.after.text)}</p>`;
+  }
+};
+
+const toHTML = (comparison, { title, beforeLabel, afterLabel }) => {
+  const { summary } = comparison;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p>Comparing <strong>${escapeHtml(beforeLabel)}</strong> with <strong>${escapeHtml(afterLabel)}</strong></p>
+<p class="summary">
+<span>${summary.inserted} inserted</span>
+<span>${summary.deleted} deleted</span>
+<span>${summary.modified} modified</span>
+<span>${summary.moved} moved</span>
+</p>
+</header>
+${comparison.changes.map(changeToHtml).join('\n')}
+</body>
+</html>
+`;
+};
+
+// WordprocessingML building blocks
+const run = (text, { deleted = false, props = '' } = {}) => {
+  const tag = deleted ? 'w:delText' : 'w:t';
+  // Line breaks inside a paragraph become <w:br/>
+  return text.split('\n').map((line, index) => (
+    `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${index > 0 ? '<w:br/>' : ''}<${tag} xml:space="preserve">${escapeXml(line)}</${tag}></w:r>`
+  )).join('');
+};
+
+const MOVE_PROPS = '<w:color w:val="0550AE"/>';
+
+class TrackedChanges {
+  constructor(author, date) {
+    this.author = escapeXml(author);
+    this.date = date;
+    this.nextId = 1;
+  }
+
+  attrs() {
+    return `w:id="${this.nextId++}" w:author="${this.author}" w:date="${this.date}"`;
+  }
+
+  inserted(text, props) {
+    return `<w:ins ${this.attrs()}>${run(text, { props })}</w:ins>`;
+  }
+
+  deleted(text, props) {
+    return `<w:del ${this.attrs()}>${run(text, { deleted: true, props })}</w:del>`;
+  }
+
+  words(words, props) {
+    return words.map((part) => {
+      if (part.type === 'inserted') return this.inserted(part.text, props);
+      if (part.type === 'deleted') return this.deleted(part.text, props);
+      return run(part.text, { props });
+    }).join('');
+  }
+
+  // Paragraph whose mark is itself inserted or deleted, so accepting/rejecting removes it whole
+  paragraph(content, mark) {
+    const markProps = mark ? `<w:pPr><w:rPr><w:${mark} ${this.attrs()}/></w:rPr></w:pPr>` : '';
+    return `<w:p>${markProps}${content}</w:p>`;
+  }
+
+  // Annotation carried as deleted text, so accepting the changes leaves no trace of it
+  note(text) {
+    return this.deleted(` [${text}]`, `${MOVE_PROPS}<w:i/><w:sz w:val="16"/>`);
+  }
+}
+
+const changeToDocx = (change, tracked) => {
+  switch (change.type) {
+    case 'inserted':
+      return tracked.paragraph(tracked.inserted(change.after.text), 'ins');
+    case 'deleted':
+      return tracked.paragraph(tracked.deleted(change.before.text), 'del');
+    case 'modified':
+    case 'reformatted':
+      return tracked.paragraph(tracked.words(change.words));
+    case 'moved-from':
+      return tracked.paragraph(
+        tracked.deleted(change.before.text, MOVE_PROPS) + tracked.note(`moved to ¶${change.movedTo + 1}`),
+        'del'
+      );
+    case 'moved-to':
+      return tracked.paragraph(
+        tracked.inserted(change.after.text, MOVE_PROPS) + tracked.note(`moved from ¶${change.before.index + 1}`),
+        'ins'
+      );
+    default:
+      return tracked.paragraph(run(change.after.text));
+  }
+};
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>`;
+
+// A minimal A4 .docx around the given <w:body> content
+const packageDocx = (bodyXml) => {
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>${bodyXml}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', CONTENT_TYPES);
+  zip.file('_rels/.rels', ROOT_RELS);
+  zip.file('word/document.xml', documentXml);
+  zip.file('word/_rels/document.xml.rels', DOCUMENT_RELS);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const toDOCX = async (comparison, { title, beforeLabel, afterLabel, author = 'Legal Document Assistant' }) => {
+  const tracked = new TrackedChanges(author, new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'));
+
+  const heading = `<w:p><w:r><w:rPr><w:b/><w:sz w:val="32"/></w:rPr><w:t xml:space="preserve">${escapeXml(title)}</w:t></w:r></w:p>`
+    + `<w:p>${run(`Comparing ${beforeLabel} with ${afterLabel}`, { props: '<w:i/>' })}</w:p>`;
+  const body = comparison.changes.map(change => changeToDocx(change, tracked)).join('');
+
+  return packageDocx(heading + body);
+};
+
+module.exports = {
+  escapeXml,
+  packageDocx,
+  toHTML,
+  toDOCX
+};
@@ -0,0 +1,350 @@
+const { scoreCategory } = require('./clauseParser');
+const { findNoticePeriods } = require('./legalDates');
+const { sentenceAround, clauseBodyStart } = require('./textSpans');
+
+// Contract risk review against a playbook (config/riskPlaybook). Rule-based checks run over
+// the document text and its clause list; an optional LLM pass adds issues the rules cannot
+// see. Every finding points back at the offending text as offsets into the document.
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+// Score bands for the overall rating
+const RATINGS = [
+  { min: 70, rating: 'critical' },
+  { min: 40, rating: 'high' },
+  { min: 15, rating: 'medium' },
+  { min: 0, rating: 'low' }
+];
+
+// A required clause counts as present when some clause matches it this strongly,
+// even if it was classified under another category
+const PRESENT_CONFIDENCE = 0.5;
+
+const AUTO_RENEWAL = /\b(?:automatic(?:ally)?\s+(?:be\s+)?renew(?:ed|al|s)?|auto[- ]?renew(?:al|s|ed)?|deemed\s+(?:to\s+(?:have\s+been|be)\s+)?(?:renewed|extended)|shall\s+(?:be\s+)?renew(?:ed)?\s+(?:itself\s+)?for\s+(?:a\s+)?(?:further|successive|additional|like))\b/gi;
+
+const UNLIMITED_LIABILITY = /\bunlimited\s+liability\b|\bliability\b[^.;]{0,80}?\bshall\s+(?:be\s+unlimited|not\s+be\s+(?:limited|capped))|\bwithout\s+(?:any\s+)?(?:limit|limitation|cap)\b[^.;]{0,40}?\bliab|\bliab[^.;]{0,80}?\bwithout\s+(?:any\s+)?(?:limit|limitation|cap)\b/gi;
+
+const LIABILITY_CAP = /\b(?:aggregate|total|maximum|cumulative)\s+liability\b|\bliability\b[^.;]{0,120}?\b(?:shall\s+not\s+exceed|limited\s+to|capped\s+at|not\s+exceed)\b/i;
+
+const INDEMNIFIER = /((?:[Ee]ach|[Ee]ither|[Bb]oth|[Tt]he)\s+[Pp]art(?:y|ies)(?:\s+hereto)?|(?:[Tt]he\s+)?[A-Z][A-Za-z]+(?:\s+[A-Z][A-Za-z]+){0,3})\s*(?:,[^,]{0,60},\s*)?(?:hereby\s+)?(?:shall|will|agrees?\s+to|undertakes?\s+to|covenants?\s+to)\s+(?:[a-z]+,?\s+){0,3}?(?:indemnif|keep\b[^.;]{0,60}?\bindemnified|hold\b[^.;]{0,60}?\bharmless)/g;
+
+const MUTUAL_INDEMNITY = /\b(?:each|either|both)\s+part(?:y|ies)\b|\bthe\s+parties\b|\bmutual(?:ly)?\b|\breciprocal/i;
+
+const GOVERNING_LAW = /\b(?:governed\s+by|construed\s+in\s+accordance\s+with|subject\s+to)\s+(?:and\s+construed\s+in\s+accordance\s+with\s+)?(?:the\s+)?(?:laws?\s+(?:of|in\s+force\s+in)\s+(?:the\s+)?([A-Z][\w.'-]*(?:[ ,]+(?:of\s+)?[A-Z][\w.'-]*){0,5})|([A-Z][a-z]+)\s+laws?\b)/g;
+
+const matchesOf = (pattern, text) => {
+  const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+  return [...text.matchAll(new RegExp(pattern.source, flags))];
+};
+
+class Review {
+  constructor(text, clauses, playbook) {
+    this.text = text;
+    this.clauses = clauses;
+    this.playbook = playbook;
+    this.findings = [];
+  }
+
+  // Deepest clause containing an offset
+  clauseAt(offset) {
+    let best = null;
+    for (const clause of this.clauses) {
+      if (clause.start <= offset && offset < clause.end && (!best || clause.depth >= best.depth)) {
+        best = clause;
+      }
+    }
+    return best;
+  }
+
+  span(start, end) {
+    const clause = this.clauseAt(start);
+    return {
+      start,
+      end,
+      text: this.text.slice(start, end),
+      clauseId: clause && clause.id ? clause.id : null,
+      reference: clause ? clause.reference || null : null
+    };
+  }
+
+  // Sentences do not run back into the clause heading or the previous clause
+  sentenceSpan(start, end) {
+    const clause = this.clauseAt(start);
+    const body = clause ? clauseBodyStart(this.text, clause) : 0;
+    // A match running from the heading into the clause text ("Liability\nThe liability
+    // ... unlimited") is taken from where the text starts; one wholly inside the heading
+    // keeps the clause start as its floor
+    const from = start < body && end > body ? body : start;
+    const sentence = sentenceAround(this.text, from, end, Math.min(body, from));
+    return this.span(sentence.start, sentence.end);
+  }
+
+  add(check, finding) {
+    const config = this.playbook.checks[check] || {};
+    this.findings.push({
+      id: `rule:${check}:${this.findings.filter(f => f.check === check).length + 1}`,
+      check,
+      source: 'rule',
+      severity: finding.severity || config.severity || 'medium',
+      spans: [],
+      ...finding
+    });
+  }
+
+  enabled(check) {
+    const config = this.playbook.checks[check];
+    return Boolean(config && config.enabled !== false);
+  }
+
+  // Clauses that score for a category, strongest first
+  clausesFor(category) {
+    return this.clauses
+      .map(clause => ({
+        clause,
+        score: clause.category === category
+          ? 1
+          : scoreCategory(category, clause.heading, clause.text)
+      }))
+      .filter(entry => entry.score >= PRESENT_CONFIDENCE)
+      .sort((a, b) => b.score - a.score)
+      .map(entry => entry.clause);
+  }
+
+  missingClauses() {
+    for (const required of this.playbook.requiredClauses || []) {
+      if (this.clausesFor(required.category).length > 0) continue;
+
+      const label = required.category.replace(/_/g, ' ');
+      this.add('missingClause', {
+        severity: required.severity,
+        category: required.category,
+        title: `No ${label} clause`,
+        description: required.description || `The contract has no clause dealing with ${label}.`,
+        recommendation: required.recommendation || `Add a ${label} clause.`
+      });
+    }
+  }
+
+  oneSidedIndemnity() {
+    const indemnifiers = new Map();
+    let mutual = false;
+
+    for (const match of matchesOf(INDEMNIFIER, this.text)) {
+      const subject = match[1].replace(/^the\s+/i, '').toLowerCase();
+      const sentence = this.sentenceSpan(match.index, match.index + match[0].length);
+
+      if (MUTUAL_INDEMNITY.test(match[1]) || /\bmutual(?:ly)?\s+indemnif/i.test(sentence.text)) {
+        mutual = true;
+        continue;
+      }
+      if (!indemnifiers.has(subject)) indemnifiers.set(subject, { party: match[1].replace(/^the\s+/i, ''), spans: [] });
+      const spans = indemnifiers.get(subject).spans;
+      if (!spans.some(span => span.start === sentence.start)) spans.push(sentence);
+    }
+
+    if (mutual || indemnifiers.size !== 1) return;
+
+    const [{ party, spans }] = indemnifiers.values();
+    this.add('oneSidedIndemnity', {
+      title: 'One-sided indemnity',
+      description: `Only the ${party} gives an indemnity; the other party gives none in return.`,
+      recommendation: 'Make the indemnity mutual, or limit it to losses caused by the indemnifying party\'s breach, negligence or wilful misconduct.',
+      spans,
+      details: { indemnifyingParty: party }
+    });
+  }
+
+  unlimitedLiability() {
+    const spans = [];
+    for (const match of matchesOf(UNLIMITED_LIABILITY, this.text)) {
+      const sentence = this.sentenceSpan(match.index, match.index + match[0].length);
+      if (!spans.some(span => span.start === sentence.start)) spans.push(sentence);
+    }
+
+    if (spans.length > 0) {
+      this.add('unlimitedLiability', {
+        title: 'Unlimited liability',
+        description: 'The contract expressly leaves liability uncapped.',
+        recommendation: 'Cap aggregate liability, e.g. at the fees paid in the preceding twelve months, with carve-outs only for fraud and wilful misconduct.',
+        spans
+      });
+      return;
+    }
+
+    // A limitation clause that only excludes kinds of loss still leaves direct liability uncapped.
+    // Without any limitation clause the missing-clause finding already covers this.
+    const limitation = this.clausesFor('limitation_of_liability');
+    if (limitation.length === 0 || LIABILITY_CAP.test(this.text)) return;
+
+    this.add('unlimitedLiability', {
+      title: 'Liability is not capped',
+      description: 'The limitation of liability clause does not set a maximum amount, so direct losses are recoverable without limit.',
+      recommendation: 'Add an aggregate cap on each party\'s liability.',
+      spans: limitation.slice(0, 1).map(clause => this.span(clause.start, clause.end))
+    });
+  }
+
+  autoRenewal() {
+    const { minimumOptOutDays } = this.playbook.checks.autoRenewal;
+    const seen = new Set();
+
+    for (const match of matchesOf(AUTO_RENEWAL, this.text)) {
+      const sentence = this.sentenceSpan(match.index, match.index + match[0].length);
+      if (seen.has(sentence.start)) continue;
+      seen.add(sentence.start);
+
+      const optOut = findNoticePeriods(sentence.text, sentence.start)[0];
+      let description = 'The contract renews automatically unless a party acts to stop it.';
+      if (!optOut) {
+        description += ' No notice period for opting out is stated.';
+      } else if (minimumOptOutDays && optOut.days < minimumOptOutDays) {
+        description += ` The opt-out window of ${optOut.days} days is shorter than the ${minimumOptOutDays} days the playbook requires.`;
+      }
+
+      this.add('autoRenewal', {
+        title: 'Automatic renewal',
+        description,
+        recommendation: 'Require an express renewal, or diarise the opt-out deadline and negotiate a longer notice window.',
+        spans: [sentence],
+        details: { optOutDays: optOut ? optOut.days : null }
+      });
+    }
+  }
+
+  governingLaw() {
+    const allowed = (this.playbook.checks.governingLaw.allowed || []).map(entry => entry.toLowerCase());
+
+    for (const match of matchesOf(GOVERNING_LAW, this.text)) {
+      const jurisdiction = (match[1] || match[2]).replace(/[\s,.]+$/, '');
+      const normalized = jurisdiction.toLowerCase();
+      if (allowed.some(entry => normalized === entry || normalized.includes(entry))) continue;
+
+      this.add('governingLaw', {
+        title: 'Unusual governing law',
+        description: `The contract is governed by the law of ${jurisdiction}, which is not one of the playbook's accepted jurisdictions.`,
+        recommendation: `Change the governing law to ${this.playbook.checks.governingLaw.allowed[0] || 'an accepted jurisdiction'}, or get advice on ${jurisdiction} law.`,
+        spans: [this.sentenceSpan(match.index, match.index + match[0].length)],
+        details: { jurisdiction }
+      });
+    }
+  }
+
+  shortNoticePeriods() {
+    const { minimumDays } = this.playbook.checks.noticePeriod;
+    // Opt-out windows are already reported with the renewal they belong to
+    const renewals = this.findings
+      .filter(finding => finding.check === 'autoRenewal')
+      .flatMap(finding => finding.spans);
+
+    for (const period of findNoticePeriods(this.text)) {
+      if (period.days >= minimumDays) continue;
+      if (renewals.some(span => span.start <= period.start && period.end <= span.end)) continue;
+
+      const days = Math.round(period.days * 100) / 100;
+      this.add('noticePeriod', {
+        title: 'Short notice period',
+        description: `A notice period of ${days} day${days === 1 ? '' : 's'} is shorter than the ${minimumDays} days the playbook requires.`,
+        recommendation: `Extend the notice period to at least ${minimumDays} days.`,
+        spans: [this.sentenceSpan(period.start, period.end)],
+        details: { days }
+      });
+    }
+  }
+
+  run() {
+    this.missingClauses();
+    if (this.enabled('oneSidedIndemnity')) this.oneSidedIndemnity();
+    if (this.enabled('unlimitedLiability')) this.unlimitedLiability();
+    if (this.enabled('autoRenewal')) this.autoRenewal();
+    if (this.enabled('governingLaw')) this.governingLaw();
+    if (this.enabled('noticePeriod')) this.shortNoticePeriods();
+    return this.findings;
+  }
+}
+
+// Offsets of a quote from the LLM, tolerating differences in whitespace
+const locateQuote = (text, quote) => {
+  const words = (quote || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const match = new RegExp(escaped.join('\\s+'), 'i').exec(text);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+};
+
+// Findings from AIHelper.reviewContractRisks, minus those a rule already reported at the same place
+const mergeAIFindings = (review, aiFindings) => {
+  const ruleSpans = review.findings.flatMap(finding => finding.spans.map(span => ({ ...span, check: finding.check })));
+  const merged = [];
+
+  aiFindings.forEach((finding, index) => {
+    const location = locateQuote(review.text, finding.quote);
+    const spans = location ? [review.sentenceSpan(location.start, location.end)] : [];
+
+    const duplicate = spans.length > 0 && ruleSpans.some(span => span.check === finding.check
+      && span.start < spans[0].end && spans[0].start < span.end);
+    if (duplicate) return;
+
+    merged.push({
+      id: `ai:${index + 1}`,
+      check: finding.check || 'other',
+      source: 'ai',
+      severity: SEVERITIES.includes(finding.severity) ? finding.severity : 'medium',
+      title: finding.title,
+      description: finding.explanation,
+      recommendation: finding.recommendation || null,
+      spans,
+      // The model quoted text that is not in the document
+      ...(location ? {} : { unverifiedQuote: finding.quote || null })
+    });
+  });
+
+  return merged;
+};
+
+const scoreFindings = (findings, scoring) => {
+  const score = Math.min(100, findings.reduce((total, finding) => total + (scoring[finding.severity] || 0), 0));
+  return { score, rating: RATINGS.find(band => score >= band.min).rating };
+};
+
+// Runs the playbook over a document. `clauses` is the flat clause list (stored Clause rows or
+// flattenClauses output); `aiReview` is an async (text, playbook) => findings, or null for rules only.
+const reviewContract = async (text, clauses, playbook, { aiReview = null } = {}) => {
+  const review = new Review(text, clauses, playbook);
+  review.run();
+
+  const ai = { status: 'skipped' };
+  let aiFindings = [];
+  if (aiReview && playbook.ai && playbook.ai.enabled) {
+    try {
+      const result = await aiReview(text, playbook);
+      aiFindings = mergeAIFindings(review, result.findings.slice(0, playbook.ai.maxFindings || 10));
+      Object.assign(ai, { status: 'used', model: result.model, truncated: result.truncated });
+    } catch (error) {
+      // The rule-based report stands on its own
+      Object.assign(ai, { status: 'failed', error: error.message });
+    }
+  }
+
+  const findings = [...review.findings, ...aiFindings]
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  const bySeverity = {};
+  for (const severity of SEVERITIES) {
+    bySeverity[severity] = findings.filter(finding => finding.severity === severity).length;
+  }
+
+  return {
+    playbook: playbook.name,
+    ...scoreFindings(findings, playbook.scoring),
+    summary: { findings: findings.length, bySeverity },
+    ai,
+    findings
+  };
+};
+
+module.exports = {
+  SEVERITIES,
+  reviewContract,
+  locateQuote
+};
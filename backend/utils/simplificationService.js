@@ -0,0 +1,215 @@
+const Document = require('../models/Document');
+const DocumentSimplification = require('../models/DocumentSimplification');
+const AIHelper = require('./aiHelper');
+const {
+  simplifyText, SIMPLIFICATION_METHODS, AI_MODEL, PROMPT_VERSION
+} = require('./documentSimplifier');
+const {
+  basicSimplification,
+  huggingFaceSimplification,
+  calculateReadabilityScore,
+  calculateWordCountReduction
+} = require('./simplifyLegalText');
+
+// The one simplification service behind POST /api/documents/:id/simplify, its streaming
+// variant and the background simplify job. Methods are those of simplifyLegalText():
+//   basic       - legal terms map and sentence rules, no external service
+//   ai          - OpenAI
+//   huggingface - Hugging Face inference API
+//   hybrid      - basic first, then OpenAI (or Hugging Face) on the result
+// Every method runs chunk by chunk through utils/documentSimplifier and falls back along
+// its chain when a provider is not configured or fails, ending with basic.
+// Providers marked `usesGlossary` follow the user's glossary (utils/glossary); the
+// version of the glossary terms found in the text is part of their prompt version, so
+// editing one of those terms produces a new variant instead of serving a stale one.
+
+const PROVIDERS = {
+  rules: {
+    model: 'legal-terms-map',
+    promptVersion: 'rules-1',
+    usesGlossary: true,
+    available: () => true,
+    simplify: async (sections, complexity, glossary) => sections.map(section => basicSimplification(section.text, { glossary }))
+  },
+  openai: {
+    model: AI_MODEL,
+    promptVersion: PROMPT_VERSION,
+    usesGlossary: true,
+    available: () => Boolean(process.env.OPENAI_API_KEY),
+    simplify: (sections, complexity, glossary, { onToken, signal } = {}) => AIHelper.simplifySections(sections, complexity, {
+      model: AI_MODEL,
+      glossary,
+      onToken,
+      signal
+    })
+  },
+  huggingface: {
+    model: 'facebook/bart-large-cnn',
+    promptVersion: 'hf-1',
+    available: () => Boolean(process.env.HUGGING_FACE_API_KEY),
+    simplify: async (sections) => {
+      const results = [];
+      for (const section of sections) results.push(await huggingFaceSimplification(section.text));
+      return results;
+    }
+  }
+};
+
+// Attempts per method, tried in order. Each attempt runs its providers one after another.
+const CHAINS = {
+  basic: [['rules']],
+  ai: [['openai'], ['rules']],
+  huggingface: [['huggingface'], ['rules']],
+  hybrid: [['rules', 'openai'], ['rules', 'huggingface'], ['rules']]
+};
+
+const methodOf = attempt => (attempt.length > 1
+  ? 'hybrid'
+  : { rules: 'basic', openai: 'ai', huggingface: 'huggingface' }[attempt[0]]);
+
+const promptVersionOf = (name, glossary) => (PROVIDERS[name].usesGlossary && glossary && glossary.size > 0
+  ? `${PROVIDERS[name].promptVersion}@g${glossary.version}`
+  : PROVIDERS[name].promptVersion);
+
+// Variant key of an attempt, as stored in DocumentSimplification. `glossary` holds the
+// glossary terms that occur in the text.
+const variantOf = (attempt, glossary = null) => ({
+  method: methodOf(attempt),
+  model: attempt.map(name => PROVIDERS[name].model).join('+'),
+  promptVersion: attempt.map(name => promptVersionOf(name, glossary)).join('+')
+});
+
+const missingProviders = attempt => attempt.filter(name => !PROVIDERS[name].available());
+
+// First attempt of the method's chain whose providers are all configured
+const primaryAttempt = method => CHAINS[method].find(attempt => missingProviders(attempt).length === 0);
+
+// Attempts ahead of the primary one, skipped because a provider is not configured
+const unconfiguredAttempts = (method, glossary = null) => CHAINS[method]
+  .slice(0, CHAINS[method].indexOf(primaryAttempt(method)))
+  .map(attempt => ({ ...variantOf(attempt, glossary), reason: `${missingProviders(attempt).join(', ')} not configured` }));
+
+// Methods whose primary attempt calls an external service count against the rate limit
+const usesExternalService = method => primaryAttempt(method).some(name => name !== 'rules');
+
+// Only the last provider of an attempt streams tokens; earlier ones feed it
+const runAttempt = (text, attempt, complexity, glossary, { onProgress, onToken, signal }) => simplifyText(text, {
+  simplifyChunk: async (sections) => {
+    let current = sections;
+    for (const [position, name] of attempt.entries()) {
+      signal?.throwIfAborted();
+      const last = position === attempt.length - 1;
+      const simplified = await PROVIDERS[name].simplify(current, complexity, glossary, {
+        onToken: last ? onToken : null,
+        signal
+      });
+      current = current.map((section, index) => ({ ...section, text: simplified[index] }));
+    }
+    return current.map(section => section.text);
+  },
+  onProgress
+});
+
+// Simplifies text with the method's fallback chain. With `fallback: false` the first
+// failure is thrown instead. Returns the stitched text, section offsets, the method
+// that produced it and the attempts that were skipped or failed on the way.
+// `onToken(sectionIndex, text)` receives the output of providers that stream it as it
+// arrives; once `signal` aborts nothing more is tried.
+const simplify = async (text, {
+  method = 'ai', complexity = 'simple', fallback = true, glossary = null, onProgress, onToken, signal
+} = {}) => {
+  if (!SIMPLIFICATION_METHODS.includes(method)) throw new Error(`Unknown simplification method: ${method}`);
+
+  const terms = glossary ? glossary.within(text) : null;
+  const fallbacks = unconfiguredAttempts(method, terms);
+  const chain = CHAINS[method];
+  for (const attempt of chain.slice(chain.indexOf(primaryAttempt(method)))) {
+    const variant = variantOf(attempt, terms);
+    if (missingProviders(attempt).length > 0) {
+      fallbacks.push({ ...variant, reason: `${missingProviders(attempt).join(', ')} not configured` });
+      continue;
+    }
+
+    try {
+      const result = await runAttempt(text, attempt, complexity, terms, { onProgress, onToken, signal });
+      return {
+        ...variant,
+        requestedMethod: method,
+        complexity,
+        ...result,
+        fallbacks
+      };
+    } catch (error) {
+      if (!fallback || signal?.aborted) throw error;
+      console.warn(`Simplification with ${variant.model} failed, falling back:`, error.message);
+      fallbacks.push({ ...variant, reason: error.message });
+    }
+  }
+
+  throw new Error(`Simplification failed: ${fallbacks.map(attempt => `${attempt.model}: ${attempt.reason}`).join('; ')}`);
+};
+
+// Saves a result as its variant row ({ complexity, method, model, promptVersion }) and as
+// the document's current simplified text. `textRevision` is the revision it was made from.
+const storeSimplification = async (doc, variant, { simplifiedText, sections = null }, requestedBy = null) => {
+  const { textRevision = doc.textRevision, ...key } = variant;
+  const fields = {
+    textRevision,
+    requestedBy,
+    simplifiedText,
+    sections,
+    readabilityScore: calculateReadabilityScore(simplifiedText),
+    wordCountReduction: doc.originalText ? calculateWordCountReduction(doc.originalText, simplifiedText) : null
+  };
+
+  return Document.sequelize.transaction(async (transaction) => {
+    const existing = await DocumentSimplification.findOne({
+      where: { documentId: doc.id, ...key },
+      transaction
+    });
+    const stored = existing
+      ? await existing.update(fields, { transaction, ownerUserId: doc.userId })
+      : await DocumentSimplification.create({ documentId: doc.id, ...key, ...fields }, { transaction, ownerUserId: doc.userId });
+
+    await doc.update({
+      simplifiedText,
+      simplifiedTextRevision: textRevision,
+      simplifiedSections: sections
+    }, { transaction });
+    return stored;
+  });
+};
+
+// Simplifies a document's current text and stores the result
+const simplifyDocument = async (doc, { requestedBy = null, ...options } = {}) => {
+  const textRevision = doc.textRevision;
+  const result = await simplify(doc.originalText, options);
+
+  const simplification = await storeSimplification(doc, {
+    complexity: result.complexity,
+    method: result.method,
+    model: result.model,
+    promptVersion: result.promptVersion,
+    textRevision
+  }, result, requestedBy);
+  return { ...result, simplification };
+};
+
+// The stored result the method's primary attempt would produce for the current text
+const findCached = (doc, method, complexity, glossary = null) => DocumentSimplification.findOne({
+  where: {
+    documentId: doc.id,
+    textRevision: doc.textRevision,
+    complexity,
+    ...variantOf(primaryAttempt(method), glossary ? glossary.within(doc.originalText) : null)
+  }
+});
+
+module.exports = {
+  usesExternalService,
+  unconfiguredAttempts,
+  simplify,
+  simplifyDocument,
+  storeSimplification,
+  findCached
+};
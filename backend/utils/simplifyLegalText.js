@@ -69,8 +69,13 @@ const sentencePatterns = [
   }
 ];
 
-// Basic legal text simplification
-const basicSimplification = (text) => {
+// Basic legal text simplification. With a `glossary` (utils/glossary) its terms are left
+// alone by the rules below and come out in the glossary's plain-language wording.
+const basicSimplification = (text, { glossary = null } = {}) => {
+  if (glossary && glossary.size > 0) {
+    return glossary.simplify(text, shielded => basicSimplification(shielded));
+  }
+
   let simplifiedText = text;
 
   // Replace legal terms
@@ -450,5 +455,6 @@ module.exports = {
   getSimplificationSuggestions,
   batchSimplifyTexts,
   calculateReadabilityScore,
+  calculateWordCountReduction,
   legalTermsMap
 };
\ No newline at end of file
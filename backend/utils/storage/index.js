@@ -0,0 +1,158 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { pipeline } = require('stream/promises');
+const Encryption = require('../encryption');
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+
+const SIGNED_URL_TTL = parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 300;
+
+const createDriver = () => {
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  switch (driver) {
+    case 'local':
+      return new LocalStorage({
+        root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '..', '..', 'uploads')
+      });
+    case 's3':
+    case 'minio':
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: driver === 'minio' || process.env.S3_FORCE_PATH_STYLE === 'true',
+        prefix: process.env.S3_PREFIX
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}. Use local or s3`);
+  }
+};
+
+// Single entry point for uploaded files. Models store the storage key
+// (e.g. "documents/<name>.pdf") in filePath; only this module knows where it lives.
+// Files written with an `ownerUserId` are encrypted with that user's data key when
+// encryption is enabled; reads decrypt transparently.
+class Storage {
+  constructor() {
+    this.driver = createDriver();
+    this.signedUrlTTL = SIGNED_URL_TTL;
+  }
+
+  get name() {
+    return this.driver.name;
+  }
+
+  // New key under a folder, keeping the original extension
+  createKey(folder, originalName) {
+    const ext = path.extname(originalName || '').toLowerCase();
+    return `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+  }
+
+  async put(key, sourcePath, options = {}) {
+    if (!options.ownerUserId || !Encryption.isEnabled()) {
+      return this.driver.put(key, sourcePath, options);
+    }
+
+    await this.putBuffer(key, await fs.readFile(sourcePath), options);
+    await fs.remove(sourcePath);
+    return key;
+  }
+
+  async putBuffer(key, buffer, options = {}) {
+    const body = options.ownerUserId
+      ? await Encryption.encryptBuffer(buffer, Encryption.ownerForUser(options.ownerUserId))
+      : buffer;
+    return this.driver.putBuffer(key, body, options);
+  }
+
+  async getStream(key) {
+    const stream = await this.driver.getStream(key);
+    return stream ? Encryption.decryptStream(stream) : null;
+  }
+
+  async getBuffer(key) {
+    return Encryption.decryptBuffer(await this.driver.getBuffer(key));
+  }
+
+  // Stored size; for encrypted files this includes the encryption header
+  stat(key) {
+    return this.driver.stat(key);
+  }
+
+  exists(key) {
+    return this.driver.exists(key);
+  }
+
+  delete(key) {
+    return this.driver.delete(key);
+  }
+
+  // Runs `callback` with a plaintext file on local disk
+  withLocalFile(key, callback) {
+    return this.driver.withLocalFile(key, async (localPath) => {
+      const handle = await fs.open(localPath, 'r');
+      const header = Buffer.alloc(Encryption.headerLength);
+      const { bytesRead } = await fs.read(handle, header, 0, header.length, 0);
+      await fs.close(handle);
+
+      if (!Encryption.isEncryptedBuffer(header.subarray(0, bytesRead))) {
+        return callback(localPath);
+      }
+
+      const tempPath = path.join(os.tmpdir(), `decrypted-${crypto.randomBytes(8).toString('hex')}${path.extname(key)}`);
+      try {
+        await pipeline(Encryption.decryptStream(fs.createReadStream(localPath)), fs.createWriteStream(tempPath));
+        return await callback(tempPath);
+      } finally {
+        await fs.remove(tempPath);
+      }
+    });
+  }
+
+  getSignedUrl(key, options = {}) {
+    return this.driver.getSignedUrl(key, { expiresIn: this.signedUrlTTL, ...options });
+  }
+
+  // Sends a stored file to an authenticated client: a redirect to a short-lived
+  // signed URL when the driver has one, otherwise the bytes are streamed.
+  // Pass `{ redirect: false }` to get the signed URL as JSON instead.
+  // Encrypted files are always streamed, since only the server can decrypt them.
+  async send(res, key, { fileName, contentType, redirect = true } = {}) {
+    const url = Encryption.isEnabled() ? null : await this.getSignedUrl(key, { fileName, contentType });
+    if (url) {
+      if (!redirect) {
+        return res.json({ success: true, url, expiresIn: this.signedUrlTTL });
+      }
+      return res.redirect(302, url);
+    }
+
+    const stream = await this.getStream(key);
+    if (!stream) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.attachment(fileName || path.basename(key));
+    if (contentType) res.type(contentType);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    stream.on('error', (error) => {
+      console.error('Storage stream failed:', error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  }
+
+  // Stores a multer upload under `folder` and removes the temp file
+  async storeUpload(folder, file, { ownerUserId } = {}) {
+    const key = this.createKey(folder, file.originalname);
+    await this.put(key, file.path, { contentType: file.mimetype, ownerUserId });
+    return key;
+  }
+}
+
+module.exports = new Storage();
@@ -0,0 +1,76 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Files on local disk under STORAGE_LOCAL_ROOT. Nothing here is served statically;
+// downloads are streamed through authenticated routes.
+class LocalStorage {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  // Absolute path for a key, refusing anything that escapes the storage root.
+  // Rows created before the storage layer hold multer paths such as
+  // "uploads/documents/abc", which resolve to the same file.
+  resolve(key) {
+    const relative = key.replace(/\\/g, '/').replace(/^uploads\//, '');
+    const fullPath = path.resolve(this.root, relative);
+    if (!fullPath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  }
+
+  // Moves a local file (e.g. a multer temp upload) into storage
+  async put(key, sourcePath) {
+    await fs.move(sourcePath, this.resolve(key), { overwrite: true });
+    return key;
+  }
+
+  async putBuffer(key, buffer) {
+    const target = this.resolve(key);
+    await fs.ensureDir(path.dirname(target));
+    await fs.writeFile(target, buffer);
+    return key;
+  }
+
+  async getStream(key) {
+    const fullPath = this.resolve(key);
+    if (!(await fs.pathExists(fullPath))) return null;
+    return fs.createReadStream(fullPath);
+  }
+
+  async getBuffer(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.resolve(key));
+      return { size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return fs.pathExists(this.resolve(key));
+  }
+
+  async delete(key) {
+    await fs.remove(this.resolve(key));
+  }
+
+  // The stored file already lives on disk, so it is used in place
+  async withLocalFile(key, callback) {
+    return callback(this.resolve(key));
+  }
+
+  // Local files have no URL of their own; callers stream them instead
+  async getSignedUrl() {
+    return null;
+  }
+}
+
+module.exports = LocalStorage;
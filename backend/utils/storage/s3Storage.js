@@ -0,0 +1,129 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Any S3-compatible object store: AWS S3, MinIO, Ceph, R2...
+// For MinIO set S3_ENDPOINT (e.g. http://localhost:9000) and S3_FORCE_PATH_STYLE=true.
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }) {
+    if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix ? prefix.replace(/\/+$/, '') + '/' : '';
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      forcePathStyle: Boolean(forcePathStyle),
+      credentials: accessKeyId
+        ? { accessKeyId, secretAccessKey }
+        : undefined
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix + key.replace(/\\/g, '/').replace(/^uploads\//, '');
+  }
+
+  async put(key, sourcePath, { contentType } = {}) {
+    const { size } = await fs.stat(sourcePath);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: size,
+      ContentType: contentType
+    }));
+    await fs.remove(sourcePath);
+    return key;
+  }
+
+  async putBuffer(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: buffer,
+      ContentType: contentType
+    }));
+    return key;
+  }
+
+  async getStream(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return response.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw error;
+    }
+  }
+
+  async getBuffer(key) {
+    const stream = await this.getStream(key);
+    if (!stream) throw new Error(`Stored file not found: ${key}`);
+    return Buffer.from(await stream.transformToByteArray());
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return { size: response.ContentLength };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return Boolean(await this.stat(key));
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  // OCR and parsers need a real file, so the object is copied to a temp file
+  // for the duration of the callback
+  async withLocalFile(key, callback) {
+    const stream = await this.getStream(key);
+    if (!stream) throw new Error(`Stored file not found: ${key}`);
+
+    const tempPath = path.join(os.tmpdir(), `storage-${crypto.randomBytes(8).toString('hex')}${path.extname(key)}`);
+    try {
+      await pipeline(stream, fs.createWriteStream(tempPath));
+      return await callback(tempPath);
+    } finally {
+      await fs.remove(tempPath);
+    }
+  }
+
+  // Short-lived GET URL that downloads under the original file name
+  async getSignedUrl(key, { expiresIn, fileName, contentType } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      ResponseContentDisposition: fileName
+        ? `attachment; filename="${fileName.replace(/"/g, '')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+        : undefined,
+      ResponseContentType: contentType
+    });
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+}
+
+module.exports = S3Storage;
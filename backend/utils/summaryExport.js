@@ -0,0 +1,288 @@
+const { PDFDocument, GlobalFonts, createCanvas } = require('@napi-rs/canvas');
+const { escapeXml, packageDocx } = require('./redlineExport');
+
+// Renders a stored summary (Markdown, see utils/documentSummarizer) for download: the
+// Markdown itself, a DOCX or a PDF to attach to a client email. Only the Markdown the
+// summary prompts ask for is rendered: headings, bullets, numbered points, paragraphs,
+// **bold** and *italic*.
+
+const AUTHOR = 'Legal Document Assistant';
+
+// Blocks of the summary in order: { type: heading|item|paragraph, text, level?, depth?, marker? }
+const parseBlocks = (markdown) => {
+  const blocks = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    paragraph = [];
+  };
+
+  for (const line of markdown.split(/\r?\n/)) {
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+    const bullet = line.match(/^(\s*)[-*+•]\s+(.*)$/);
+    const numbered = line.match(/^(\s*)(\d+|[a-z])[.)]\s+(.*)$/);
+    const depth = indent => Math.min(Math.floor(indent.replace(/\t/g, '  ').length / 2), 3);
+    const previous = blocks[blocks.length - 1];
+
+    if (!line.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+    } else if (bullet) {
+      flush();
+      blocks.push({ type: 'item', depth: depth(bullet[1]), marker: '•', text: bullet[2].trim() });
+    } else if (numbered) {
+      flush();
+      blocks.push({ type: 'item', depth: depth(numbered[1]), marker: `${numbered[2]}.`, text: numbered[3].trim() });
+    } else if (/^\s/.test(line) && paragraph.length === 0 && previous && previous.type === 'item') {
+      // Indented continuation of a list item
+      previous.text += ` ${line.trim()}`;
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+  return blocks;
+};
+
+// Inline runs of a block's text: [{ text, bold, italic }]
+const parseRuns = (text) => {
+  const runs = [];
+  const pattern = /\*\*(.+?)\*\*|__(.+?)__|\*(?!\s)(.+?)(?<!\s)\*|(?<!\w)_(?!\s)(.+?)(?<!\s)_(?!\w)/g;
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) runs.push({ text: text.slice(last, match.index), bold: false, italic: false });
+    const bold = match[1] !== undefined || match[2] !== undefined;
+    runs.push({ text: match[1] ?? match[2] ?? match[3] ?? match[4], bold, italic: !bold });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) runs.push({ text: text.slice(last), bold: false, italic: false });
+  return runs;
+};
+
+const fileHeader = ({ title, subtitle }) => [
+  { type: 'title', text: title },
+  ...(subtitle ? [{ type: 'subtitle', text: subtitle }] : [])
+];
+
+const toMarkdown = (summary, { title, subtitle }) => `# ${title}\n\n${subtitle ? `_${subtitle}_\n\n` : ''}${summary.trim()}\n`;
+
+// WordprocessingML
+const docxRuns = (text, props = '') => parseRuns(text).map((run) => {
+  const runProps = `${props}${run.bold ? '<w:b/>' : ''}${run.italic ? '<w:i/>' : ''}`;
+  return `<w:r>${runProps ? `<w:rPr>${runProps}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(run.text)}</w:t></w:r>`;
+}).join('');
+
+const blockToDocx = (block) => {
+  switch (block.type) {
+    case 'title':
+      return `<w:p><w:pPr><w:spacing w:after="80"/></w:pPr>${docxRuns(block.text, '<w:b/><w:sz w:val="36"/>')}</w:p>`;
+    case 'subtitle':
+      return `<w:p><w:pPr><w:spacing w:after="280"/></w:pPr>${docxRuns(block.text, '<w:i/><w:color w:val="555555"/><w:sz w:val="20"/>')}</w:p>`;
+    case 'heading':
+      return `<w:p><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/></w:pPr>${docxRuns(block.text, `<w:b/><w:sz w:val="${block.level <= 2 ? 26 : 22}"/>`)}</w:p>`;
+    case 'item': {
+      const left = 360 * (block.depth + 1);
+      return `<w:p><w:pPr><w:spacing w:after="60"/><w:ind w:left="${left}" w:hanging="360"/></w:pPr>`
+        + `<w:r><w:t xml:space="preserve">${escapeXml(block.marker)}</w:t></w:r><w:r><w:tab/></w:r>${docxRuns(block.text)}</w:p>`;
+    }
+    default:
+      return `<w:p><w:pPr><w:spacing w:after="120"/></w:pPr>${docxRuns(block.text)}</w:p>`;
+  }
+};
+
+const toDOCX = async (summary, meta) => packageDocx(
+  [...fileHeader(meta), ...parseBlocks(summary)].map(blockToDocx).join('')
+);
+
+// PDF, laid out on A4 in points
+const PAGE = { width: 595.28, height: 841.89, margin: 56 };
+const INDENT = 18;
+
+// Text is set in the system serif font, which covers Latin, Greek and Cyrillic. Fonts for
+// other scripts (Devanagari, Tamil, ...) are loaded from PDF_FONT_DIR and used glyph by
+// glyph where serif has none.
+const PROBE_SIZE = 32;
+const probe = createCanvas(PROBE_SIZE * 2, PROBE_SIZE * 2).getContext('2d');
+
+// The family "serif" stands for; a generic name is ignored inside a list of families
+const serifFamily = () => {
+  const sample = 'Hamburgefonstiv 0123';
+  const widthIn = (font) => {
+    probe.font = `${PROBE_SIZE}px ${font}`;
+    return probe.measureText(sample).width;
+  };
+  const serif = widthIn('serif');
+  return GlobalFonts.families.map(font => font.family).find(family => widthIn(`"${family}"`) === serif);
+};
+
+const FONT_FAMILIES = (() => {
+  const dir = process.env.PDF_FONT_DIR;
+  const base = dir && serifFamily();
+  if (!base) return 'serif';
+  const before = new Set(GlobalFonts.families.map(font => font.family));
+  GlobalFonts.loadFontsFromDir(dir);
+  const added = GlobalFonts.families.map(font => font.family).filter(family => !before.has(family));
+  return [base, ...added].map(family => `"${family}"`).join(', ');
+})();
+
+// Characters no font has a glyph for: drawn alone they come out the same as a
+// private-use character
+const glyphPixels = (char) => {
+  probe.clearRect(0, 0, PROBE_SIZE * 2, PROBE_SIZE * 2);
+  probe.font = `${PROBE_SIZE}px ${FONT_FAMILIES}`;
+  probe.fillText(char, PROBE_SIZE / 2, PROBE_SIZE * 1.5);
+  return Buffer.from(probe.getImageData(0, 0, PROBE_SIZE * 2, PROBE_SIZE * 2).data);
+};
+let missingGlyph = null;
+const unprintableCharacters = (text) => {
+  missingGlyph = missingGlyph || glyphPixels('\uE000');
+  const chars = new Set(text.replace(/[\x00-\x7F\s]/g, ''));
+  return [...chars].filter(char => glyphPixels(char).equals(missingGlyph));
+};
+
+const PDF_STYLES = {
+  title: { size: 18, bold: true, after: 4 },
+  subtitle: { size: 10, italic: true, color: '#555555', after: 16 },
+  heading: { size: 13, bold: true, before: 10, after: 4 },
+  item: { size: 11, after: 3 },
+  paragraph: { size: 11, after: 7 }
+};
+
+class PdfWriter {
+  constructor(metadata) {
+    this.pdf = new PDFDocument(metadata);
+    this.pageNumber = 0;
+    this.context = null;
+  }
+
+  newPage() {
+    if (this.context) this.endPage();
+    this.context = this.pdf.beginPage(PAGE.width, PAGE.height);
+    this.pageNumber += 1;
+    this.y = PAGE.margin;
+  }
+
+  endPage() {
+    const { context } = this;
+    context.font = `9px ${FONT_FAMILIES}`;
+    context.fillStyle = '#777777';
+    const label = String(this.pageNumber);
+    context.fillText(label, (PAGE.width - context.measureText(label).width) / 2, PAGE.height - PAGE.margin / 2);
+    this.pdf.endPage();
+  }
+
+  font(style, run) {
+    const bold = style.bold || run.bold;
+    const italic = style.italic || run.italic;
+    return `${italic ? 'italic ' : ''}${bold ? 'bold ' : ''}${style.size}px ${FONT_FAMILIES}`;
+  }
+
+  measure(text, font) {
+    this.context.font = font;
+    return this.context.measureText(text).width;
+  }
+
+  // Words of the runs broken into lines no wider than `width`; words wider than a
+  // whole line are cut
+  lines(runs, style, width) {
+    const lines = [];
+    let line = [];
+    let lineWidth = 0;
+    const pushWord = (text, font) => {
+      const wordWidth = this.measure(text, font);
+      if (/^\s+$/.test(text)) {
+        if (line.length > 0) {
+          line.push({ text: ' ', font, width: wordWidth });
+          lineWidth += wordWidth;
+        }
+        return;
+      }
+      if (lineWidth + wordWidth > width && line.length > 0) {
+        while (line.length > 0 && line[line.length - 1].text === ' ') lineWidth -= line.pop().width;
+        lines.push(line);
+        line = [];
+        lineWidth = 0;
+      }
+      if (wordWidth > width && text.length > 1) {
+        let cut = text.length - 1;
+        while (cut > 1 && this.measure(text.slice(0, cut), font) > width) cut -= 1;
+        pushWord(text.slice(0, cut), font);
+        pushWord(text.slice(cut), font);
+        return;
+      }
+      line.push({ text, font, width: wordWidth });
+      lineWidth += wordWidth;
+    };
+
+    for (const run of runs) {
+      const font = this.font(style, run);
+      for (const word of run.text.split(/(\s+)/).filter(Boolean)) pushWord(word, font);
+    }
+    if (line.length > 0) lines.push(line);
+    return lines;
+  }
+
+  block(block) {
+    const style = PDF_STYLES[block.type];
+    const indent = block.type === 'item' ? INDENT * (block.depth + 1) : 0;
+    const left = PAGE.margin + indent;
+    const lineHeight = style.size * 1.35;
+    const lines = this.lines(parseRuns(block.text), style, PAGE.width - PAGE.margin - left);
+
+    this.y += style.before || 0;
+    // Keep headings with the first lines of what follows
+    const keep = block.type === 'heading' ? lineHeight * 3 : lineHeight;
+    if (this.y + keep > PAGE.height - PAGE.margin) this.newPage();
+
+    lines.forEach((line, index) => {
+      if (this.y + lineHeight > PAGE.height - PAGE.margin) this.newPage();
+      const { context } = this;
+      const baseline = this.y + style.size;
+      context.fillStyle = style.color || '#222222';
+      if (index === 0 && block.marker) {
+        context.font = this.font(style, {});
+        context.fillText(block.marker, left - INDENT + 2, baseline);
+      }
+      let x = left;
+      for (const word of line) {
+        context.font = word.font;
+        context.fillText(word.text, x, baseline);
+        x += word.width;
+      }
+      this.y += lineHeight;
+    });
+    this.y += style.after || 0;
+  }
+
+  close() {
+    this.endPage();
+    return this.pdf.close();
+  }
+}
+
+// Refuses text the fonts cannot show rather than printing it as blanks
+const toPDF = async (summary, meta) => {
+  const unprintable = unprintableCharacters(`${meta.title}${meta.subtitle || ''}${summary}`);
+  if (unprintable.length > 0) {
+    const error = new Error(`The PDF fonts have no glyphs for some characters of this summary (${unprintable.slice(0, 5).join(' ')}); `
+      + 'download it as md or docx, or add a font for them to PDF_FONT_DIR');
+    error.statusCode = 422;
+    error.code = 'UNPRINTABLE_CHARACTERS';
+    throw error;
+  }
+
+  const writer = new PdfWriter({ title: meta.title, author: AUTHOR, creator: AUTHOR });
+  writer.newPage();
+  for (const block of [...fileHeader(meta), ...parseBlocks(summary)]) writer.block(block);
+  return writer.close();
+};
+
+module.exports = {
+  parseBlocks,
+  parseRuns,
+  toMarkdown,
+  toDOCX,
+  toPDF
+};
@@ -0,0 +1,193 @@
+const { segmentParagraphs } = require('./documentDiff');
+const { splitSentences } = require('./textSpans');
+
+// Pairs paragraphs and sentences of a simplified text with the original wording they came
+// from. Simplification rewords heavily, so units are matched on shared word stems and
+// kept in reading order; one original sentence may become two plain ones and vice versa.
+
+const STOP_WORDS = new Set(('the a an and or of to in on at by for with from as is are be been was were this that these those '
+  + 'it its any all such shall will must may can not no which who whom whose their there than then into upon under '
+  + 'hereby herein hereof hereto thereof therein said same other each per').split(' '));
+
+// Matching a pair scores slightly above leaving both unmatched
+const PAIR_BONUS = 0.05;
+const MERGE_PENALTY = 0.03;
+const MAX_CELLS = 250000;
+
+const stem = word => word
+  .replace(/(?:ing|ed|es|s|ly|ment|tion|ions?)$/, '')
+  .slice(0, 6);
+
+// Stems of the content words of a text, in order
+const stemWords = text => (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+  .map(stem);
+
+const stems = text => new Set(stemWords(text));
+
+const overlap = (stemsA, stemsB) => {
+  if (stemsA.size === 0 || stemsB.size === 0) return 0;
+  let shared = 0;
+  for (const s of stemsA) if (stemsB.has(s)) shared++;
+  return (2 * shared) / (stemsA.size + stemsB.size);
+};
+
+// 0..1 overlap of the word stems in two pieces of text
+const similarity = (a, b) => overlap(stems(a), stems(b));
+
+// Monotonic alignment of two unit lists allowing 1-1, 1-2, 2-1 and unmatched units.
+// Units are { start, end, text }; returns [{ a: [indices], b: [indices], similarity }].
+const alignUnits = (a, b) => {
+  if (a.length * b.length > MAX_CELLS) {
+    // Too large to align; pair by position
+    return Array.from({ length: Math.max(a.length, b.length) }, (_, i) => ({
+      a: i < a.length ? [i] : [],
+      b: i < b.length ? [i] : [],
+      similarity: i < a.length && i < b.length ? similarity(a[i].text, b[i].text) : 0
+    }));
+  }
+
+  const stemsA = a.map(unit => stems(unit.text));
+  const stemsB = b.map(unit => stems(unit.text));
+  const joined = (sets, from, count) => (count === 1 ? sets[from] : new Set([...sets[from], ...sets[from + 1]]));
+  const moves = [[1, 1], [1, 2], [2, 1], [1, 0], [0, 1]];
+  const best = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(-Infinity));
+  const step = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(null));
+  best[0][0] = 0;
+
+  for (let i = 0; i <= a.length; i++) {
+    for (let j = 0; j <= b.length; j++) {
+      if (best[i][j] === -Infinity) continue;
+      for (const [di, dj] of moves) {
+        if (i + di > a.length || j + dj > b.length) continue;
+        let sim = 0;
+        let score = 0;
+        if (di > 0 && dj > 0) {
+          sim = overlap(joined(stemsA, i, di), joined(stemsB, j, dj));
+          score = sim + PAIR_BONUS - (di + dj > 2 ? MERGE_PENALTY : 0);
+        }
+        if (best[i][j] + score > best[i + di][j + dj]) {
+          best[i + di][j + dj] = best[i][j] + score;
+          step[i + di][j + dj] = { di, dj, sim };
+        }
+      }
+    }
+  }
+
+  const pairs = [];
+  for (let i = a.length, j = b.length; i > 0 || j > 0;) {
+    const { di, dj, sim } = step[i][j];
+    i -= di;
+    j -= dj;
+    pairs.unshift({
+      a: Array.from({ length: di }, (_, k) => i + k),
+      b: Array.from({ length: dj }, (_, k) => j + k),
+      similarity: Math.round(sim * 100) / 100
+    });
+  }
+  return pairs;
+};
+
+// One contiguous span covering the given units, or null
+const cover = (text, units, indices) => {
+  if (indices.length === 0) return null;
+  const start = units[indices[0]].start;
+  const end = units[indices[indices.length - 1]].end;
+  return { start, end, text: text.slice(start, end) };
+};
+
+const alignSentences = (originalText, simplifiedText, original, simplified) => {
+  const a = splitSentences(originalText, original.start, original.end);
+  const b = splitSentences(simplifiedText, simplified.start, simplified.end);
+  return alignUnits(a, b).map(pair => ({
+    original: cover(originalText, a, pair.a),
+    simplified: cover(simplifiedText, b, pair.b),
+    similarity: pair.similarity
+  }));
+};
+
+// A span with surrounding whitespace trimmed off
+const trimSpan = (text, start, end) => {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { start, end };
+};
+
+// Paragraph pairs from stored simplification sections, with the repeated heading
+// paired on its own so it does not skew the first sentence
+const pairsFromSections = (originalText, simplifiedText, sections) => sections.map((section) => {
+  const original = trimSpan(originalText, section.original.start, section.original.end);
+  const simplified = trimSpan(simplifiedText, section.simplified.start, section.simplified.end);
+  const paragraph = {
+    original: { ...original, text: originalText.slice(original.start, original.end) },
+    simplified: { ...simplified, text: simplifiedText.slice(simplified.start, simplified.end) }
+  };
+  const sentences = [];
+
+  if (section.heading && originalText.startsWith(section.heading, original.start)
+    && simplifiedText.startsWith(section.heading, simplified.start)) {
+    const length = section.heading.length;
+    sentences.push({
+      original: { start: original.start, end: original.start + length, text: section.heading },
+      simplified: { start: simplified.start, end: simplified.start + length, text: section.heading },
+      similarity: 1,
+      heading: true
+    });
+    original.start = trimSpan(originalText, original.start + length, original.end).start;
+    simplified.start = trimSpan(simplifiedText, simplified.start + length, simplified.end).start;
+  }
+  sentences.push(...alignSentences(originalText, simplifiedText, original, simplified));
+
+  return {
+    reference: section.reference || null,
+    heading: section.heading || null,
+    similarity: Math.round(similarity(paragraph.original.text, paragraph.simplified.text) * 100) / 100,
+    ...paragraph,
+    sentences
+  };
+});
+
+// Paragraph pairs found by aligning the paragraphs of both texts
+const pairsFromParagraphs = (originalText, simplifiedText) => {
+  const a = segmentParagraphs(originalText);
+  const b = segmentParagraphs(simplifiedText);
+  return alignUnits(a, b).map((pair) => {
+    const original = cover(originalText, a, pair.a);
+    const simplified = cover(simplifiedText, b, pair.b);
+    return {
+      reference: null,
+      heading: null,
+      similarity: pair.similarity,
+      original,
+      simplified,
+      sentences: original && simplified
+        ? alignSentences(originalText, simplifiedText, original, simplified)
+        : (original
+          ? splitSentences(originalText, original.start, original.end).map(s => ({ original: s, simplified: null, similarity: 0 }))
+          : splitSentences(simplifiedText, simplified.start, simplified.end).map(s => ({ original: null, simplified: s, similarity: 0 })))
+    };
+  });
+};
+
+// Paragraph and sentence pairs with offsets into both texts. `sections` are the
+// section offsets stored with a chunked simplification; without them (e.g. a local
+// simplification) paragraphs are aligned from scratch.
+const alignSimplification = (originalText, simplifiedText, sections = null) => {
+  const paragraphs = sections && sections.length
+    ? pairsFromSections(originalText, simplifiedText, sections)
+    : pairsFromParagraphs(originalText, simplifiedText);
+
+  return {
+    method: sections && sections.length ? 'sections' : 'paragraphs',
+    paragraphCount: paragraphs.length,
+    sentenceCount: paragraphs.reduce((sum, paragraph) => sum + paragraph.sentences.length, 0),
+    paragraphs: paragraphs.map((paragraph, index) => ({ index, ...paragraph }))
+  };
+};
+
+module.exports = {
+  stemWords,
+  similarity,
+  alignUnits,
+  alignSimplification
+};
@@ -0,0 +1,157 @@
+const { convert: convertHtml } = require('html-to-text');
+
+// Plain-text conversion for the markup formats OCRHelper reads directly
+
+// RTF groups whose content is metadata, not document text
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata',
+  'datastore', 'listtable', 'listoverridetable', 'rsidtbl', 'generator',
+  'xmlnstbl', 'latentstyles', 'mmathPr', 'header', 'footer', 'headerl',
+  'headerr', 'footerl', 'footerr', 'fldinst', 'shp', 'revtbl'
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  row: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  tab: '\t',
+  cell: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+const cp1252 = new TextDecoder('windows-1252');
+
+const rtfToText = (rtf) => {
+  let output = '';
+  let state = { skip: false, unicodeSkip: 1 };
+  const stack = [];
+  let pendingSkip = 0;
+  let i = 0;
+
+  const emit = (text) => {
+    if (state.skip) return;
+    if (pendingSkip > 0) {
+      const dropped = Math.min(pendingSkip, text.length);
+      pendingSkip -= dropped;
+      text = text.substring(dropped);
+    }
+    output += text;
+  };
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+    } else if (char === '}') {
+      state = stack.pop() || state;
+      i++;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === '~') {
+        emit(' ');
+        i += 2;
+      } else if (next === '-' || next === '_') {
+        i += 2;
+      } else if (next === '*') {
+        // Ignorable destination: skip the group unless we know it
+        state.skip = true;
+        i += 2;
+      } else if (next === '\'') {
+        const byte = parseInt(rtf.substr(i + 2, 2), 16);
+        emit(cp1252.decode(Uint8Array.of(byte)));
+        i += 4;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+        i += 2;
+      } else {
+        const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.substring(i + 1, i + 40));
+        if (!match) {
+          i += 2;
+          continue;
+        }
+
+        const [token, word, param] = match;
+        i += 1 + token.length;
+
+        if (RTF_SKIP_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'uc') {
+          state.unicodeSkip = parseInt(param);
+        } else if (word === 'u') {
+          let code = parseInt(param);
+          if (code < 0) code += 65536;
+          emit(String.fromCharCode(code));
+          pendingSkip = state.unicodeSkip;
+        } else if (RTF_SYMBOLS[word]) {
+          emit(RTF_SYMBOLS[word]);
+        }
+      }
+    } else if (char === '\r' || char === '\n') {
+      i++;
+    } else {
+      emit(char);
+      i++;
+    }
+  }
+
+  return output.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+const decodeXmlEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+// Text of an ODT content.xml: one line per paragraph/heading
+const odtXmlToText = (xml) => {
+  const body = xml.replace(/^[\s\S]*?<office:body>/, '').replace(/<\/office:body>[\s\S]*$/, '');
+
+  return decodeXmlEntities(body
+    .replace(/<text:s\s+text:c="(\d+)"\s*\/>/g, (_, count) => ' '.repeat(parseInt(count)))
+    .replace(/<text:s\s*\/>/g, ' ')
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<\/text:(p|h)>/g, '\n')
+    .replace(/<\/table:table-cell>/g, '\t')
+    .replace(/<\/table:table-row>/g, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+const htmlToText = (html) => convertHtml(html, {
+  wordwrap: false,
+  selectors: [
+    { selector: 'a', options: { ignoreHref: true } },
+    { selector: 'img', format: 'skip' },
+    { selector: 'h1', options: { uppercase: false } },
+    { selector: 'h2', options: { uppercase: false } },
+    { selector: 'h3', options: { uppercase: false } },
+    { selector: 'table', format: 'dataTable', options: { uppercaseHeaderCells: false } }
+  ]
+}).trim();
+
+module.exports = {
+  rtfToText,
+  odtXmlToText,
+  htmlToText
+};
@@ -0,0 +1,74 @@
+// Sentence boundaries for pointing findings back at contract text by offset
+
+// Full stops that end a sentence: not clause numbers ("3."), initials or common abbreviations
+const SENTENCE_END = /(?<!(?:^|[\s(])(?:\d{1,3}|[A-Za-z]|No|Rs|Sr|Mr|Mrs|Ms|Dr|Ltd|Pvt|Co|viz|i\.e|e\.g))[.;](?=\s|$)|\n\s*\n/g;
+
+// Sentence around [start, end), never reaching back past `floor`
+const sentenceAround = (text, start, end = start, floor = 0) => {
+  const boundary = new RegExp(SENTENCE_END.source, 'g');
+  let from = floor;
+  boundary.lastIndex = floor;
+  let match;
+  while ((match = boundary.exec(text)) && match.index < start) {
+    from = match.index + match[0].length;
+  }
+  // The match may itself end in a full stop, e.g. "the laws of the State of New York."
+  boundary.lastIndex = Math.max(end - 1, from);
+  const next = boundary.exec(text);
+  const to = next ? next.index + (next[0].startsWith('\n') ? 0 : 1) : text.length;
+
+  // Leading whitespace is not part of the span
+  while (from < to && /\s/.test(text[from])) from++;
+  return { start: from, end: to };
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Where a clause's own text starts: past its number and heading ("3. Liability",
+// "4. DELIVERY:"), so sentences do not run back into the heading. The heading is looked
+// for after the clause number, since text above the first clause (a title) belongs to it.
+const clauseBodyStart = (text, clause) => {
+  if (!clause.heading) return clause.start;
+
+  const pattern = clause.reference
+    ? new RegExp(`${escapeRegExp(clause.reference)}[.):]?\\s*${escapeRegExp(clause.heading)}`, 'g')
+    : new RegExp(escapeRegExp(clause.heading), 'g');
+  pattern.lastIndex = clause.start;
+  const match = pattern.exec(text);
+  if (!match || match.index + match[0].length > clause.end) return clause.start;
+
+  let from = match.index + match[0].length;
+  while (from < clause.end && /[\s.:\-–—]/.test(text[from])) from++;
+  return from;
+};
+
+// Sentences of text[start, end) as [{ start, end, text }]
+const splitSentences = (text, start = 0, end = text.length) => {
+  const sentences = [];
+  const boundary = new RegExp(SENTENCE_END.source, 'g');
+  boundary.lastIndex = start;
+
+  let from = start;
+  const push = (to) => {
+    let first = from;
+    while (first < to && /\s/.test(text[first])) first++;
+    let last = to;
+    while (last > first && /\s/.test(text[last - 1])) last--;
+    if (last > first) sentences.push({ start: first, end: last, text: text.slice(first, last) });
+  };
+
+  let match;
+  while ((match = boundary.exec(text)) && match.index < end) {
+    const to = match.index + (match[0].startsWith('\n') ? 0 : 1);
+    push(to);
+    from = match.index + match[0].length;
+  }
+  push(end);
+  return sentences;
+};
+
+module.exports = {
+  clauseBodyStart,
+  sentenceAround,
+  splitSentences
+};
@@ -25,6 +25,24 @@ class Translator {
       'ml': 'Malayalam',
       'pa': 'Punjabi'
     };
+
+    // Unicode ranges of the scripts we can recognise without an external service.
+    // Scripts shared by several languages (Devanagari: Hindi/Marathi) map to the first.
+    this.scriptPatterns = {
+      'hi': /[\u0900-\u097F]/,
+      'ar': /[\u0600-\u06FF]/,
+      'zh': /[\u4e00-\u9fff]/,
+      'ja': /[\u3040-\u309f\u30a0-\u30ff]/,
+      'ko': /[\uac00-\ud7af]/,
+      'ru': /[\u0400-\u04FF]/,
+      'bn': /[\u0980-\u09FF]/,
+      'ta': /[\u0B80-\u0BFF]/,
+      'te': /[\u0C00-\u0C7F]/,
+      'gu': /[\u0A80-\u0AFF]/,
+      'pa': /[\u0A00-\u0A7F]/,
+      'kn': /[\u0C80-\u0CFF]/,
+      'ml': /[\u0D00-\u0D7F]/
+    };
   }
 
   // Main translation method
@@ -219,20 +237,7 @@ class Translator {
   async detectLanguageBasic(text) {
     // This is a very basic implementation
     // In production, you might want to use a more sophisticated library
-    const patterns = {
-      'hi': /[\u0900-\u097F]/,
-      'ar': /[\u0600-\u06FF]/,
-      'zh': /[\u4e00-\u9fff]/,
-      'ja': /[\u3040-\u309f\u30a0-\u30ff]/,
-      'ko': /[\uac00-\ud7af]/,
-      'ru': /[\u0400-\u04FF]/,
-      'bn': /[\u0980-\u09FF]/,
-      'ta': /[\u0B80-\u0BFF]/,
-      'te': /[\u0C00-\u0C7F]/,
-      'gu': /[\u0A80-\u0AFF]/
-    };
-
-    for (const [lang, pattern] of Object.entries(patterns)) {
+    for (const [lang, pattern] of Object.entries(this.scriptPatterns)) {
       if (pattern.test(text)) {
         return {
           language: lang,
@@ -250,19 +255,65 @@ class Translator {
     };
   }
 
-  // Translate legal document with context preservation
-  async translateLegalDocument(text, targetLanguage, sourceLanguage = 'auto') {
+  // All scripts present in the text, most frequent first. Latin text counts as English.
+  // A script must make up at least `minShare` of the letters to be reported.
+  detectScripts(text, minShare = 0.05) {
+    const counts = {};
+    let letters = 0;
+
+    for (const char of text || '') {
+      if (/\s|\d|[!-\/:-@\[-`{-~]/.test(char)) continue;
+      letters++;
+
+      if (/[A-Za-z]/.test(char)) {
+        counts.en = (counts.en || 0) + 1;
+        continue;
+      }
+
+      for (const [lang, pattern] of Object.entries(this.scriptPatterns)) {
+        if (pattern.test(char)) {
+          counts[lang] = (counts[lang] || 0) + 1;
+          break;
+        }
+      }
+    }
+
+    if (letters === 0) return [];
+
+    return Object.entries(counts)
+      .filter(([, count]) => count / letters >= minShare)
+      .sort((a, b) => b[1] - a[1])
+      .map(([lang]) => lang);
+  }
+
+  // Translate legal document with context preservation. Terms of the optional
+  // `glossary` (utils/glossary) get their preferred rendering or stay untranslated.
+  async translateLegalDocument(text, targetLanguage, sourceLanguage = 'auto', { glossary = null } = {}) {
     try {
       // Preserve legal formatting and structure
       const sections = this.splitLegalDocument(text);
       const translatedSections = [];
+      const glossaryTerms = new Set();
+      const results = [];
+      const translate = async (content) => {
+        const result = await this.translateText(content, targetLanguage, sourceLanguage);
+        results.push(result);
+        return result.translatedText;
+      };
 
       for (const section of sections) {
         if (section.type === 'text') {
-          const translated = await this.translateText(section.content, targetLanguage, sourceLanguage);
+          let content;
+          if (glossary && glossary.size > 0) {
+            const translated = await glossary.translate(section.content, targetLanguage, sourceLanguage, translate);
+            translated.applied.forEach(term => glossaryTerms.add(term));
+            content = translated.text;
+          } else {
+            content = await translate(section.content);
+          }
           translatedSections.push({
             type: 'text',
-            content: translated.translatedText,
+            content,
             original: section.content
           });
         } else {
@@ -279,7 +330,13 @@ class Translator {
         sections: translatedSections,
         sourceLanguage: sourceLanguage,
         targetLanguage: targetLanguage,
-        preservedStructure: true
+        preservedStructure: true,
+        glossaryTerms: [...glossaryTerms],
+        // Services that translated the text lines, e.g. ['google_translate']
+        methods: [...new Set(results.map(result => result.method))],
+        confidence: results.length
+          ? results.reduce((sum, result) => sum + result.confidence, 0) / results.length
+          : null
       };
 
     } catch (error) {